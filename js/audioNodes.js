@@ -1,3 +1,9 @@
+import { MultiModeFilter } from './multiModeFilter.js';
+import { Flanger } from './flanger.js';
+import { StereoDelay } from './stereoDelay.js';
+import { initFxRack, replaceFxNode } from './fxRack.js';
+import { initAuxBuses, getAuxSend } from './auxBuses.js';
+
 // Create a centralized audio node factory
 // This factory pattern improves efficiency and organization
 // Using direct Tone.js objects for simplicity and compatibility
@@ -23,10 +29,10 @@ const AudioNodeFactory = {
             try {
                 switch (type) {
                     case 'filter':
-                        node = new Tone.Filter(
-                            config.frequency || 2000, 
-                            config.type || "lowpass"
-                        );
+                        node = new MultiModeFilter({
+                            frequency: config.frequency || 2000,
+                            type: config.type || "lowpass"
+                        });
                         break;
                     case 'reverb':
                         node = new Tone.Reverb();
@@ -35,12 +41,13 @@ const AudioNodeFactory = {
                         // No automatic generate to prevent startup delay
                         break;
                     case 'delay':
-                        node = new Tone.FeedbackDelay();
-                        if (config.delayTime) node.delayTime.value = config.delayTime;
-                        if (config.feedback) node.feedback.value = config.feedback;
+                        node = new StereoDelay(config);
                         break;
                     case 'chorus':
                         node = new Tone.Chorus();
+                        if (config.frequency) node.frequency.value = config.frequency;
+                        if (config.delayTime) node.delayTime = config.delayTime;
+                        if (config.depth !== undefined) node.depth = config.depth;
                         if (config.wet !== undefined) node.wet.value = config.wet;
                         node.start();
                         break;
@@ -50,14 +57,13 @@ const AudioNodeFactory = {
                         if (config.wet !== undefined) node.wet.value = config.wet;
                         break;
                     case 'flanger':
-                        // Use FeedbackDelay for flanger effect
-                        node = new Tone.FeedbackDelay();
-                        if (config.delayTime) node.delayTime.value = config.delayTime;
-                        if (config.feedback) node.feedback.value = config.feedback;
-                        if (config.wet !== undefined) node.wet.value = config.wet;
+                        node = new Flanger(config);
                         break;
                     case 'phaser':
                         node = new Tone.Phaser();
+                        if (config.frequency) node.frequency.value = config.frequency;
+                        if (config.octaves) node.octaves = config.octaves;
+                        if (config.baseFrequency) node.baseFrequency = config.baseFrequency;
                         if (config.wet !== undefined) node.wet.value = config.wet;
                         break;
                     case 'eq':
@@ -129,15 +135,39 @@ const AudioNodeFactory = {
 };
 
 // Initialize audio processing components with the factory
+// Sound sources connect to fxInput, which feeds the FX rack (filter and effects).
+// Created directly, the factory would hand back the cached unity gain used for widthCompensation.
+const fxInput = new Tone.Gain(1);
+// The rack's output, which also feeds the rack's aux sends
+const fxOutput = new Tone.Gain(1);
 let filter = AudioNodeFactory.getNode('filter', { frequency: 2000, type: "lowpass" });
 let reverb = AudioNodeFactory.getNode('reverb', { decay: 2, wet: 0 });
-let delay = AudioNodeFactory.getNode('delay', { delayTime: "8n", feedback: 0.5 });
+let delay = AudioNodeFactory.getNode('delay', {
+    delayTime: 0.3,
+    feedback: 0.4,
+    lowCut: 20,
+    highCut: 20000,
+    pingPong: false,
+    duck: 0
+});
+
+// Effects on the aux buses. They run fully wet, the sends and returns set how much is heard.
+const reverbBus = AudioNodeFactory.getNode('reverb', { decay: 3, wet: 1 });
+const delayBus = AudioNodeFactory.getNode('delay', {
+    delayTime: 0.375,
+    feedback: 0.35,
+    lowCut: 150,
+    highCut: 6000,
+    pingPong: true,
+    duck: 0
+});
 
 // Initialize effects with better defaults and optimization
+// These match the defaults of the effect editors in the FX rack
 let chorus = AudioNodeFactory.getNode('chorus', { 
-    frequency: 4, 
-    delayTime: 2.5, 
-    depth: 0.5,
+    frequency: 1.5, 
+    delayTime: 3.5, 
+    depth: 0.7,
     wet: 0
 });
 
@@ -146,16 +176,18 @@ let distortion = AudioNodeFactory.getNode('distortion', {
     wet: 0 
 });
 
-let flanger = AudioNodeFactory.getNode('flanger', { 
-    delayTime: "8n", 
+let flanger = AudioNodeFactory.getNode('flanger', {
+    frequency: 0.5,
+    depth: 0.5,
     feedback: 0.5,
+    manual: 0.003,
     wet: 0
 });
 
 let phaser = AudioNodeFactory.getNode('phaser', {
     frequency: 0.5,
     octaves: 3,
-    baseFrequency: 1000,
+    baseFrequency: 350,
     wet: 0
 });
 
@@ -199,14 +231,19 @@ function connectAudioNodes() {
     masterPanner.connect(masterVolume);
     masterVolume.toDestination();
     
-    // Build the main effects chain
-    filter.connect(chorus);
-    chorus.connect(distortion);
-    distortion.connect(flanger);
-    flanger.connect(phaser);
-    phaser.connect(reverb);
-    reverb.connect(delay);
-    delay.connect(eq);
+    // The filter and effects run in the FX rack, in the order chosen there
+    initFxRack({
+        input: fxInput,
+        output: fxOutput,
+        effects: { filter, chorus, distortion, flanger, phaser, reverb, delay }
+    });
+    fxOutput.connect(eq);
+    fxOutput.connect(getAuxSend('rack'));
+    // The aux returns join the rack's output
+    initAuxBuses({
+        effects: { reverb: reverbBus, delay: delayBus },
+        output: eq
+    });
     eq.connect(masterCompressor);
     masterCompressor.connect(masterPanner);
     masterPanner.connect(stereoWidener);
@@ -226,14 +263,14 @@ function connectAudioNodes() {
 let visualizersConnected = false;
 let visualizerConnectionCount = 0;
 
-function updateReverb(value) {
+function updateReverb(value, preDelay = 0.01) {
     // Store the current wet value
     const currentWet = reverb.wet.value;
 
-    // Create a new reverb with the new decay value
+    // Create a new reverb with the new decay and pre-delay
     const newReverb = new Tone.Reverb({
         decay: value,
-        preDelay: 0.01
+        preDelay
     });
 
     // Generate the impulse response before swapping
@@ -241,16 +278,8 @@ function updateReverb(value) {
         // Set the wet value to match the previous reverb
         newReverb.wet.value = currentWet;
 
-        // Temporarily disconnect reverb from the chain
-        phaser.disconnect(reverb);
-        reverb.disconnect(delay);
-
-        // Connect the new reverb
-        phaser.connect(newReverb);
-        newReverb.connect(delay);
-
-        // Dispose the old reverb
-        reverb.dispose();
+        // Swap it into the reverb's rack slot, which disposes the old reverb
+        replaceFxNode('reverb', newReverb);
 
         // Replace the reverb reference
         reverb = newReverb;
@@ -303,9 +332,12 @@ function initAudioNodes() {
 // Export all audio nodes and utilities
 export {
     AudioNodeFactory,
+    fxInput,
     filter,
     reverb,
     delay,
+    reverbBus,
+    delayBus,
     chorus,
     distortion,
     flanger,
@@ -0,0 +1,97 @@
+// Aux Bus Module
+// Parallel send/return buses next to the FX rack. Each sound source has a send to every
+// bus, and each bus runs its own effect fully wet into a return with a level and a mute.
+// The returns join the main signal after the rack, so a bus effect only hears what is
+// sent to it - the reverb bus doesn't reverberate the delay bus's repeats.
+// The synth, drone and generative layers share the rack, so they share one send taken
+// from the rack's output - the buses hear them filtered and through the inserts.
+
+const CONSTANTS = {
+  FADE_TIME: 0.02 // s - ramp for send, return and mute changes
+};
+
+const AUX_BUSES = [
+  { id: 'reverb', label: 'Reverb' },
+  { id: 'delay', label: 'Delay' }
+];
+
+const AUX_SOURCES = [
+  { id: 'rack', label: 'FX Rack' },
+  { id: 'drums', label: 'Drums' }
+];
+
+// Module state
+// Source inputs exist from the start, so sources can connect before the buses are built
+const sources = new Map(AUX_SOURCES.map(source => [source.id, { input: new Tone.Gain(1), sends: new Map() }]));
+const buses = new Map(); // bus id -> { effect, input, returnGain, mute }
+
+// Build the buses and each source's sends, all sends starting at 0.
+// options.effects: { [bus id]: Tone node for each bus in AUX_BUSES }
+// options.output: where the returns go
+function initAuxBuses(options) {
+  try {
+    AUX_BUSES.forEach(bus => {
+      const effect = options.effects[bus.id];
+      if (!effect) return;
+      const entry = {
+        effect,
+        input: new Tone.Gain(1),
+        returnGain: new Tone.Gain(1),
+        mute: new Tone.Gain(1)
+      };
+      entry.input.chain(effect, entry.returnGain, entry.mute, options.output);
+      buses.set(bus.id, entry);
+    });
+
+    sources.forEach(source => {
+      buses.forEach((bus, busId) => {
+        const send = new Tone.Gain(0);
+        source.input.chain(send, bus.input);
+        source.sends.set(busId, send);
+      });
+    });
+
+    console.log("Aux buses initialized");
+  } catch (error) {
+    console.error("Error initializing aux buses:", error);
+  }
+}
+
+// Node a source connects to, alongside its usual path, to reach the buses
+function getAuxSend(sourceId) {
+  const source = sources.get(sourceId);
+  return source ? source.input : null;
+}
+
+// Id of the knob for a source's send to a bus, e.g. rackReverbSend
+function getAuxSendId(sourceId, busId) {
+  return `${sourceId}${busId.charAt(0).toUpperCase()}${busId.slice(1)}Send`;
+}
+
+function setAuxSendLevel(sourceId, busId, value) {
+  const source = sources.get(sourceId);
+  const send = source && source.sends.get(busId);
+  if (send) send.gain.rampTo(value, CONSTANTS.FADE_TIME);
+}
+
+function setAuxReturnLevel(busId, value) {
+  const bus = buses.get(busId);
+  if (bus) bus.returnGain.gain.rampTo(value, CONSTANTS.FADE_TIME);
+}
+
+function setAuxReturnMute(busId, muted) {
+  const bus = buses.get(busId);
+  if (bus) bus.mute.gain.rampTo(muted ? 0 : 1, CONSTANTS.FADE_TIME);
+}
+
+// Export the necessary functions and variables
+export {
+  AUX_BUSES,
+  AUX_SOURCES,
+  initAuxBuses,
+  getAuxSend,
+  getAuxSendId,
+  setAuxSendLevel,
+  setAuxReturnLevel,
+  setAuxReturnMute
+};
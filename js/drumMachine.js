@@ -0,0 +1,201 @@
+// Drum Machine Module - per-voice step grid running on Tone.Transport
+
+// Constants to replace magic numbers
+const CONSTANTS = {
+  STEPS: 16, // Steps per pattern (one bar of 16th notes)
+  STEP_INTERVAL: '16n', // Transport interval between steps
+  VOICES: ['kick', 'snare', 'hihat', 'clap', 'tom', 'rimshot', 'cowbell', 'cymbal'],
+  VOICE_LABELS: {
+    kick: 'Kick',
+    snare: 'Snare',
+    hihat: 'Hi-hat',
+    clap: 'Clap',
+    tom: 'Tom',
+    rimshot: 'Rim',
+    cowbell: 'Cowbell',
+    cymbal: 'Cymbal'
+  }
+};
+
+// Module state
+let drumPattern = createEmptyPattern();
+let drumMachineEventId = null;
+let drumStepCounter = -1;
+let playDrumVoice = null; // Callback supplied by main.js - (type, time) => void
+let cachedDrumCells = null; // Lazily built [step][voice] lookup of grid cells
+
+// Build an all-off pattern for every voice
+function createEmptyPattern() {
+  const pattern = {};
+  CONSTANTS.VOICES.forEach(voice => {
+    pattern[voice] = new Array(CONSTANTS.STEPS).fill(false);
+  });
+  return pattern;
+}
+
+// Initialize the drum machine grid
+function initDrumMachine(triggerVoice) {
+  try {
+    playDrumVoice = triggerVoice;
+
+    const grid = document.getElementById('drumMachineGrid');
+    if (!grid) {
+      console.error("Drum machine grid element not found! Should have ID 'drumMachineGrid'");
+      return;
+    }
+
+    buildDrumGrid(grid);
+
+    // Toggle a cell on click - event delegation keeps this to a single listener
+    grid.addEventListener('click', e => {
+      const cell = e.target.closest('.drum-step');
+      if (!cell) return;
+
+      const voice = cell.dataset.voice;
+      const step = parseInt(cell.dataset.step);
+      drumPattern[voice][step] = !drumPattern[voice][step];
+      cell.classList.toggle('active', drumPattern[voice][step]);
+    });
+
+    const clearButton = document.getElementById('drumMachineClear');
+    if (clearButton) {
+      clearButton.addEventListener('click', () => clearDrumPattern());
+    }
+
+    console.log("Drum machine initialized");
+  } catch (error) {
+    console.error("Error initializing drum machine:", error);
+  }
+}
+
+// Create one row of step cells per drum voice
+function buildDrumGrid(grid) {
+  grid.innerHTML = '';
+  cachedDrumCells = null;
+
+  CONSTANTS.VOICES.forEach(voice => {
+    const row = document.createElement('div');
+    row.className = 'drum-machine-row';
+
+    const label = document.createElement('span');
+    label.className = 'drum-machine-label';
+    label.textContent = CONSTANTS.VOICE_LABELS[voice];
+    row.appendChild(label);
+
+    for (let step = 0; step < CONSTANTS.STEPS; step++) {
+      const cell = document.createElement('button');
+      cell.className = 'drum-step';
+      cell.dataset.voice = voice;
+      cell.dataset.step = step;
+      // Mark the first step of each beat so the grid reads in groups of four
+      if (step % 4 === 0) {
+        cell.classList.add('beat-start');
+      }
+      cell.classList.toggle('active', drumPattern[voice][step]);
+      row.appendChild(cell);
+    }
+
+    grid.appendChild(row);
+  });
+}
+
+// Get grid cells grouped by step for fast playhead updates
+function getDrumCellsByStep() {
+  if (!cachedDrumCells) {
+    cachedDrumCells = [];
+    document.querySelectorAll('.drum-step').forEach(cell => {
+      const step = parseInt(cell.dataset.step);
+      if (!cachedDrumCells[step]) cachedDrumCells[step] = [];
+      cachedDrumCells[step].push(cell);
+    });
+  }
+  return cachedDrumCells;
+}
+
+// Move the playhead highlight to the given step (-1 clears it)
+function updateDrumPlayhead(step) {
+  getDrumCellsByStep().forEach((cells, i) => {
+    cells.forEach(cell => cell.classList.toggle('playing', i === step));
+  });
+}
+
+// Schedule the pattern on the transport - mirrors setupSequencer() in main.js
+function setupDrumMachine() {
+  // Clear any existing drum machine events to avoid duplicates
+  if (drumMachineEventId !== null) {
+    try {
+      Tone.Transport.clear(drumMachineEventId);
+    } catch (e) {
+      console.warn("Error clearing previous drum machine event:", e);
+    }
+  }
+
+  drumStepCounter = -1; // Start at -1 so first increment makes it 0
+
+  drumMachineEventId = Tone.Transport.scheduleRepeat(time => {
+    drumStepCounter = (drumStepCounter + 1) % CONSTANTS.STEPS;
+    const step = drumStepCounter;
+
+    if (playDrumVoice) {
+      CONSTANTS.VOICES.forEach(voice => {
+        if (drumPattern[voice][step]) {
+          playDrumVoice(voice, time);
+        }
+      });
+    }
+
+    // Keep the playhead in sync with the audio
+    Tone.Draw.schedule(() => updateDrumPlayhead(step), time);
+  }, CONSTANTS.STEP_INTERVAL);
+}
+
+// Remove the playhead highlight when the transport stops
+function stopDrumMachine() {
+  updateDrumPlayhead(-1);
+}
+
+// Turn every step off
+function clearDrumPattern() {
+  drumPattern = createEmptyPattern();
+  document.querySelectorAll('.drum-step').forEach(cell => cell.classList.remove('active'));
+}
+
+// Get a copy of the current pattern for saving in presets
+function getDrumPattern() {
+  const pattern = {};
+  CONSTANTS.VOICES.forEach(voice => {
+    pattern[voice] = drumPattern[voice].slice();
+  });
+  return pattern;
+}
+
+// Load a pattern from a preset - unknown voices are ignored, missing ones are cleared
+function setDrumPattern(pattern) {
+  const next = createEmptyPattern();
+
+  if (pattern && typeof pattern === 'object') {
+    CONSTANTS.VOICES.forEach(voice => {
+      if (Array.isArray(pattern[voice])) {
+        for (let step = 0; step < CONSTANTS.STEPS; step++) {
+          next[voice][step] = Boolean(pattern[voice][step]);
+        }
+      }
+    });
+  }
+
+  drumPattern = next;
+
+  document.querySelectorAll('.drum-step').forEach(cell => {
+    cell.classList.toggle('active', drumPattern[cell.dataset.voice][parseInt(cell.dataset.step)]);
+  });
+}
+
+// Export the necessary functions
+export {
+  initDrumMachine,
+  setupDrumMachine,
+  stopDrumMachine,
+  clearDrumPattern,
+  getDrumPattern,
+  setDrumPattern
+};
@@ -0,0 +1,94 @@
+// Flanger Module - a short modulated delay with feedback
+// An LFO sweeps the delay time around the manual setting; depth sets how far it
+// swings, as a fraction of the manual delay. Feedback can be negative, which moves
+// the comb's peaks to odd harmonics for the hollower flanger sound. The effect's
+// wet control mixes the delayed signal with the dry one, strongest at 0.5.
+// Web Audio won't run a delay inside a feedback loop shorter than one 128-sample
+// block (about 3 ms), so the loop has its own delay line. The delay that's heard is
+// outside the loop and sweeps all the way down; only the feedback's comb stops at 3 ms.
+
+import { Effect } from './utils.js';
+
+const MAX_DELAY = 0.03; // s - longest delay the sweep can reach
+const SMOOTHING_TIME = 0.05; // s - ramp for manual and depth changes, a jump in delay time clicks
+
+class Flanger extends Effect {
+    constructor(options = {}) {
+        const settings = { ...Flanger.getDefaults(), ...options };
+        super(settings);
+        this.name = 'Flanger';
+
+        this._manual = settings.manual;
+        this._depth = settings.depth;
+
+        // Input plus feedback -> the delay that's heard, and round the loop
+        this._sum = new Tone.Gain({ context: this.context });
+        this._delay = new Tone.Delay({ context: this.context, delayTime: this._manual, maxDelay: MAX_DELAY });
+        this._loopDelay = new Tone.Delay({ context: this.context, delayTime: this._manual, maxDelay: MAX_DELAY });
+        this._feedback = new Tone.Gain({ context: this.context, gain: settings.feedback });
+        this.feedback = this._feedback.gain;
+
+        // The LFO swings -1..1 and the sweep gain scales it to seconds. A plain gain
+        // adds to the delay time, so the manual setting stays the centre of the sweep.
+        this._lfo = new Tone.LFO({ context: this.context, frequency: settings.frequency, min: -1, max: 1 });
+        this.frequency = this._lfo.frequency;
+        this._sweep = new Tone.Gain({ context: this.context, gain: this._manual * this._depth });
+
+        this.effectSend.connect(this._sum);
+        this._sum.chain(this._delay, this.effectReturn);
+        this._sum.chain(this._loopDelay, this._feedback, this._sum);
+        this._lfo.connect(this._sweep);
+        this._sweep.fan(this._delay.delayTime, this._loopDelay.delayTime);
+        this._lfo.start();
+    }
+
+    static getDefaults() {
+        return Object.assign(Effect.getDefaults(), {
+            frequency: 0.5, // Hz - sweep rate
+            depth: 0.5, // 0..1 of the manual delay
+            feedback: 0.5, // -0.95..0.95
+            manual: 0.003 // s - centre delay
+        });
+    }
+
+    get manual() {
+        return this._manual;
+    }
+
+    set manual(value) {
+        // At full depth the sweep reaches twice the manual delay
+        this._manual = Math.max(0, Math.min(MAX_DELAY / 2, value));
+        this._delay.delayTime.rampTo(this._manual, SMOOTHING_TIME);
+        this._loopDelay.delayTime.rampTo(this._manual, SMOOTHING_TIME);
+        this._updateSweep();
+    }
+
+    get depth() {
+        return this._depth;
+    }
+
+    set depth(value) {
+        this._depth = Math.max(0, Math.min(1, value));
+        this._updateSweep();
+    }
+
+    _updateSweep() {
+        this._sweep.gain.rampTo(this._manual * this._depth, SMOOTHING_TIME);
+    }
+
+    dispose() {
+        super.dispose();
+        this._lfo.dispose();
+        this._sweep.dispose();
+        this._sum.dispose();
+        this._delay.dispose();
+        this._loopDelay.dispose();
+        this._feedback.dispose();
+        return this;
+    }
+}
+
+// Export the necessary functions and variables
+export {
+    Flanger
+};
@@ -0,0 +1,328 @@
+// FX Rack Module
+// Runs the filter and effects as slots in a reorderable serial chain. Each slot wraps its
+// effect with a dry path, so bypassing crossfades instead of disconnecting. Reordering,
+// adding and removing fade the rack's output out, rewire the chain and fade it back in,
+// so changes made while playing don't click. Effects with an editor in the page
+// (an element with the id `${effect}Editor`) can be expanded to show it in their slot.
+
+const CONSTANTS = {
+  FADE_TIME: 0.02, // s - fade around a rewire or a bypass change
+  REWIRE_MARGIN: 10 // ms - extra wait after the fade before the chain is rewired
+};
+
+// Effects the rack can hold, in the order of the original fixed chain
+const FX_EFFECTS = [
+  { id: 'filter', label: 'Filter', icon: 'fa-filter' },
+  { id: 'chorus', label: 'Chorus', icon: 'fa-water' },
+  { id: 'distortion', label: 'Distortion', icon: 'fa-bolt' },
+  { id: 'flanger', label: 'Flanger', icon: 'fa-wind' },
+  { id: 'phaser', label: 'Phaser', icon: 'fa-sync-alt' },
+  { id: 'reverb', label: 'Reverb', icon: 'fa-mountain' },
+  { id: 'delay', label: 'Delay', icon: 'fa-clock' }
+];
+
+const DEFAULT_FX_RACK = FX_EFFECTS.map(effect => ({ id: effect.id, bypass: false }));
+
+// Module state
+let rackInput = null;
+let rackOutput = null;
+let rackFader = null;
+const slots = new Map(); // effect id -> { id, node, input, wet, dry, output }
+let rack = []; // [{ id, bypass }] in signal order
+let rewireTimeout = null;
+let draggedId = null;
+const expanded = new Set(); // Effects whose editor is open
+
+// Build a slot for every effect and wire the default chain between input and output.
+// options.effects: { [id]: Tone node for each effect in FX_EFFECTS }
+function initFxRack(options) {
+  try {
+    rackInput = options.input;
+    rackOutput = options.output;
+    rackFader = new Tone.Gain(1);
+    rackFader.connect(rackOutput);
+
+    FX_EFFECTS.forEach(effect => {
+      const node = options.effects[effect.id];
+      if (!node) return;
+      const slot = {
+        id: effect.id,
+        node,
+        input: new Tone.Gain(1),
+        wet: new Tone.Gain(1),
+        dry: new Tone.Gain(0),
+        output: new Tone.Gain(1)
+      };
+      slot.input.chain(node, slot.wet, slot.output);
+      slot.input.chain(slot.dry, slot.output);
+      slots.set(effect.id, slot);
+    });
+
+    rack = DEFAULT_FX_RACK.filter(entry => slots.has(entry.id)).map(entry => ({ ...entry }));
+    connectChain();
+    setupDropZone();
+    renderRack();
+
+    console.log("FX rack initialized");
+  } catch (error) {
+    console.error("Error initializing FX rack:", error);
+  }
+}
+
+// Wire input -> slots in rack order -> fader
+function connectChain() {
+  rackInput.disconnect();
+  slots.forEach(slot => slot.output.disconnect());
+
+  let previous = rackInput;
+  rack.forEach(entry => {
+    const slot = slots.get(entry.id);
+    previous.connect(slot.input);
+    previous = slot.output;
+  });
+  previous.connect(rackFader);
+}
+
+// Fade out, rewire once silent, fade back in. Changes during a pending
+// rewire are picked up by it, since the chain is read when it runs.
+function rewireChain() {
+  if (!rackFader) return;
+  rackFader.gain.rampTo(0, CONSTANTS.FADE_TIME);
+  if (rewireTimeout) return;
+
+  rewireTimeout = setTimeout(() => {
+    rewireTimeout = null;
+    connectChain();
+    rackFader.gain.rampTo(1, CONSTANTS.FADE_TIME);
+  }, CONSTANTS.FADE_TIME * 1000 + CONSTANTS.REWIRE_MARGIN);
+}
+
+function applyBypass(entry) {
+  const slot = slots.get(entry.id);
+  slot.wet.gain.rampTo(entry.bypass ? 0 : 1, CONSTANTS.FADE_TIME);
+  slot.dry.gain.rampTo(entry.bypass ? 1 : 0, CONSTANTS.FADE_TIME);
+}
+
+// Current rack for presets
+function getFxRack() {
+  return rack.map(entry => ({ ...entry }));
+}
+
+// Load a rack from a preset. Unknown and repeated effects are dropped.
+function setFxRack(entries = DEFAULT_FX_RACK) {
+  const seen = new Set();
+  const usable = entries.filter(entry => {
+    if (!slots.has(entry.id) || seen.has(entry.id)) return false;
+    seen.add(entry.id);
+    return true;
+  });
+
+  const changedOrder = usable.map(entry => entry.id).join(',') !== rack.map(entry => entry.id).join(',');
+  rack = usable.map(entry => ({ id: entry.id, bypass: Boolean(entry.bypass) }));
+  slots.forEach((slot, id) => {
+    const entry = rack.find(item => item.id === id);
+    applyBypass(entry || { id, bypass: false });
+  });
+  if (changedOrder) {
+    rewireChain();
+  }
+  renderRack();
+}
+
+// Put a new node in an effect's slot, e.g. a reverb rebuilt with a new decay.
+// The slot's wet path fades out around the swap.
+function replaceFxNode(id, node) {
+  const slot = slots.get(id);
+  if (!slot) return;
+  const entry = rack.find(item => item.id === id);
+
+  slot.wet.gain.rampTo(0, CONSTANTS.FADE_TIME);
+  setTimeout(() => {
+    slot.input.disconnect(slot.node);
+    slot.node.disconnect();
+    slot.node.dispose();
+    slot.node = node;
+    slot.input.connect(node);
+    node.connect(slot.wet);
+    slot.wet.gain.rampTo(entry && entry.bypass ? 0 : 1, CONSTANTS.FADE_TIME);
+  }, CONSTANTS.FADE_TIME * 1000 + CONSTANTS.REWIRE_MARGIN);
+}
+
+function addEffect(id) {
+  if (!slots.has(id) || rack.some(entry => entry.id === id)) return;
+  const entry = { id, bypass: false };
+  rack.push(entry);
+  applyBypass(entry);
+  rewireChain();
+  renderRack();
+}
+
+function removeEffect(id) {
+  rack = rack.filter(entry => entry.id !== id);
+  rewireChain();
+  renderRack();
+}
+
+function toggleBypass(id) {
+  const entry = rack.find(item => item.id === id);
+  if (!entry) return;
+  entry.bypass = !entry.bypass;
+  applyBypass(entry);
+  renderRack();
+}
+
+// Move an effect in front of another one, or to the end when beforeId is null
+function moveEffect(id, beforeId) {
+  if (id === beforeId) return;
+  const entry = rack.find(item => item.id === id);
+  if (!entry) return;
+
+  const reordered = rack.filter(item => item.id !== id);
+  const index = beforeId ? reordered.findIndex(item => item.id === beforeId) : -1;
+  reordered.splice(index === -1 ? reordered.length : index, 0, entry);
+  if (reordered.map(item => item.id).join(',') === rack.map(item => item.id).join(',')) return;
+
+  rack = reordered;
+  rewireChain();
+  renderRack();
+}
+
+// Dropping below the last row moves an effect to the end of the chain
+function setupDropZone() {
+  const container = document.getElementById('fxRackSlots');
+  if (!container) return;
+  container.addEventListener('dragover', e => {
+    if (draggedId) e.preventDefault();
+  });
+  container.addEventListener('drop', e => {
+    if (!draggedId || e.target !== container) return;
+    e.preventDefault();
+    moveEffect(draggedId, null);
+  });
+}
+
+function getEffect(id) {
+  return FX_EFFECTS.find(effect => effect.id === id);
+}
+
+function toggleEditor(id) {
+  if (expanded.has(id)) {
+    expanded.delete(id);
+  } else {
+    expanded.add(id);
+  }
+  renderRack();
+}
+
+// Build the slot rows and the add menu
+function renderRack() {
+  const container = document.getElementById('fxRackSlots');
+  if (!container) return;
+
+  // Park the editors before the rows go, so their controls stay in the page
+  const editorStore = document.getElementById('fxEditors');
+  if (editorStore) {
+    container.querySelectorAll('.fx-editor').forEach(editor => editorStore.appendChild(editor));
+  }
+  container.innerHTML = '';
+
+  rack.forEach(entry => {
+    const effect = getEffect(entry.id);
+    const editor = document.getElementById(`${entry.id}Editor`);
+    const row = document.createElement('div');
+    row.className = 'fx-slot';
+    row.classList.toggle('bypassed', entry.bypass);
+    row.dataset.id = entry.id;
+
+    // Only the header drags, so knobs in the editor can be turned
+    const header = document.createElement('div');
+    header.className = 'fx-slot-header';
+    header.draggable = true;
+
+    const handle = document.createElement('i');
+    handle.className = 'fas fa-grip-vertical fx-slot-handle';
+
+    const name = document.createElement('span');
+    name.className = 'fx-slot-name';
+    name.innerHTML = `<i class="fas ${effect.icon}"></i> ${effect.label}`;
+
+    const bypass = document.createElement('button');
+    bypass.className = 'fx-slot-bypass';
+    bypass.title = entry.bypass ? `Turn ${effect.label} back on` : `Bypass ${effect.label}`;
+    bypass.innerHTML = '<i class="fas fa-power-off"></i>';
+    bypass.addEventListener('click', () => toggleBypass(entry.id));
+
+    const remove = document.createElement('button');
+    remove.className = 'fx-slot-remove';
+    remove.title = `Remove ${effect.label} from the rack`;
+    remove.innerHTML = '<i class="fas fa-times"></i>';
+    remove.addEventListener('click', () => removeEffect(entry.id));
+
+    header.append(handle, name);
+    if (editor) {
+      const edit = document.createElement('button');
+      edit.className = 'fx-slot-edit';
+      edit.title = expanded.has(entry.id) ? `Hide ${effect.label} settings` : `Show ${effect.label} settings`;
+      edit.innerHTML = `<i class="fas fa-chevron-${expanded.has(entry.id) ? 'up' : 'down'}"></i>`;
+      edit.addEventListener('click', () => toggleEditor(entry.id));
+      header.appendChild(edit);
+    }
+    header.append(bypass, remove);
+    row.appendChild(header);
+    if (editor && expanded.has(entry.id)) {
+      row.appendChild(editor);
+    }
+
+    // Dropping on the lower half of a row puts the effect after it
+    header.addEventListener('dragstart', e => {
+      draggedId = entry.id;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', entry.id);
+      row.classList.add('dragging');
+    });
+    header.addEventListener('dragend', () => {
+      draggedId = null;
+      row.classList.remove('dragging');
+    });
+    row.addEventListener('dragover', e => {
+      if (!draggedId) return;
+      e.preventDefault();
+    });
+    row.addEventListener('drop', e => {
+      e.preventDefault();
+      if (!draggedId) return;
+      const bounds = row.getBoundingClientRect();
+      const after = e.clientY > bounds.top + bounds.height / 2;
+      const index = rack.findIndex(item => item.id === entry.id);
+      const next = after ? rack[index + 1] : rack[index];
+      moveEffect(draggedId, next ? next.id : null);
+    });
+
+    container.appendChild(row);
+  });
+
+  const addSelect = document.getElementById('fxRackAdd');
+  if (!addSelect) return;
+  addSelect.innerHTML = '<option value="">Add effect...</option>';
+  FX_EFFECTS.filter(effect => slots.has(effect.id) && !rack.some(entry => entry.id === effect.id))
+    .forEach(effect => {
+      const option = document.createElement('option');
+      option.value = effect.id;
+      option.textContent = effect.label;
+      addSelect.appendChild(option);
+    });
+  addSelect.disabled = addSelect.options.length === 1;
+  addSelect.onchange = () => {
+    if (addSelect.value) addEffect(addSelect.value);
+  };
+}
+
+// Export the necessary functions and variables
+export {
+  FX_EFFECTS,
+  DEFAULT_FX_RACK,
+  initFxRack,
+  getFxRack,
+  setFxRack,
+  replaceFxNode
+};
@@ -3,7 +3,8 @@ import {
     updateVUMeter,
     throttle,
     isElementVisible,
-    formatControlValue
+    formatControlValue,
+    lerp
 } from './utils.js';
 
 // Import arpeggiator module
@@ -18,9 +19,12 @@ import {
 
 // Import audio nodes
 import {
+    fxInput,
     filter,
     reverb,
     delay,
+    reverbBus,
+    delayBus,
     chorus,
     distortion,
     flanger,
@@ -36,23 +40,96 @@ import {
     updateReverb
 } from './audioNodes.js';
 
+import {
+    initDrumMachine,
+    setupDrumMachine,
+    stopDrumMachine,
+    getDrumPattern,
+    setDrumPattern
+} from './drumMachine.js';
+
+import {
+    initPatternBank,
+    processPatternBoundary,
+    isBarBoundary,
+    resetPatternPlayback,
+    getPatternBank,
+    setPatternBank
+} from './patternBank.js';
+
+import {
+    initRandomizer,
+    getLocks,
+    isParamLocked,
+    isSectionLocked,
+    getNudgeAmount,
+    createSeed,
+    createSeededRandom,
+    shuffle,
+    randomizeSettings,
+    addToHistory,
+    getHistoryEntry
+} from './randomizer.js';
+
 import {
     GenerativeEngine
 } from './generative.js';
 
+import {
+    LayeredSynth,
+    MonoLayeredSynth,
+    voiceModulation,
+    setVelocityResponse,
+    applyVelocityCurve,
+    onVoiceNoteStart,
+    onVoiceNoteEnd
+} from './synthVoice.js';
+
+import {
+    wavetablePosition,
+    setWavetable,
+    setImportedWavetable,
+    getImportedWavetable,
+    getWavetablePartials,
+    importWavetableFiles
+} from './wavetable.js';
+
+import {
+    initModMatrix,
+    getModMatrix,
+    setModMatrix,
+    setDirectRoute,
+    updateModDisplay
+} from './modMatrix.js';
+
+import {
+    DEFAULT_FX_RACK,
+    getFxRack,
+    setFxRack
+} from './fxRack.js';
+
+import {
+    AUX_BUSES,
+    AUX_SOURCES,
+    getAuxSend,
+    getAuxSendId,
+    setAuxSendLevel,
+    setAuxReturnLevel,
+    setAuxReturnMute
+} from './auxBuses.js';
+
 // Global generative engine instance
 let generativeEngine = null;
 let isGenerativePlaying = false;
 
-// Initialize LFO tracking system
+// Initialize LFO tracking system. lfoDestination is the LFO module's own
+// destination select, a shortcut for one LFO 1 route in the mod matrix.
 let lfoActive = false;
 let lfoDestination = 'off';
-let lfoBaseValues = {};
-lfoBaseValues.pan = 0; // Default to center
-lfoBaseValues.masterVolume = parseFloat(document.getElementById('masterVolume').value) // Current master volume
 
 // Initialize synth variables
 let synth;
+let synthUsesWavetable = false; // Whether the current voices were built with a wavetable oscillator
 let currentStep = 0; // Initialize currentStep at the global level
 
 const activeNotes = new Set();
@@ -71,13 +148,132 @@ const synthSettings = {
     }
 };
 
-// Initialize LFO setup early
+// Initialize LFO setup early. The LFO runs on the audio clock and swings -1..1;
+// the mod matrix scales that into each destination's range.
 const lfo = new Tone.LFO({
     frequency: 1,
-    amplitude: 0.5,
+    min: -1,
+    max: 1,
     type: "sine"
 }).start();
 
+// Tone.LFO has no random waveform, so 'random' is a stepped signal that a clock
+// sets to a new value 8 times per cycle, matching the LFO scope
+const LFO_RANDOM_STEPS = 8;
+
+// An LFO modulation source. Its controls share an id prefix: LFO 1 uses the LFO
+// module (lfoRate, lfoWaveform...), LFOs 2 and 3 the mod matrix panel (lfo2Rate...).
+// Whichever waveform source is selected feeds `output`.
+function createLfoSource(prefix, lfoNode) {
+    const random = new Tone.Signal(0);
+    const output = new Tone.Gain(1);
+    lfoNode.connect(output);
+
+    return {
+        prefix,
+        lfo: lfoNode,
+        random,
+        randomClock: new Tone.Clock(time => {
+            random.setValueAtTime(Math.random() * 2 - 1, time);
+        }, LFO_RANDOM_STEPS),
+        output,
+        source: lfoNode,
+        // When the cycle restarts: 'off', 'note' (every note-on) or 'bar' (sequencer bars)
+        retrigger: 'off',
+        lastRetriggerTime: -1
+    };
+}
+
+const lfos = {
+    lfo1: createLfoSource('lfo', lfo),
+    lfo2: createLfoSource('lfo2', new Tone.LFO({ frequency: 1, min: -1, max: 1 }).start()),
+    lfo3: createLfoSource('lfo3', new Tone.LFO({ frequency: 1, min: -1, max: 1 }).start())
+};
+
+// Envelope, velocity, mod wheel and aftertouch sources, all 0..1. The envelope
+// follows the ADSR knobs and is held while any voice is. Poly aftertouch follows
+// the hardest-pressed held note.
+const modEnvelope = new Tone.Envelope(synthSettings.envelope);
+const modVelocity = new Tone.Signal(0);
+const modWheel = new Tone.Signal(0);
+const modAftertouch = new Tone.Signal(0);
+const modPolyAftertouch = new Tone.Signal(0);
+const heldVoices = new Set();
+
+// Filter envelope, key tracking and velocity. All are in octaves around the cutoff knob;
+// their sum goes through a shaper that turns it into an offset in Hz added to the filter
+// frequency, the same additive route the mod matrix uses. The filter is shared by all
+// voices, so like the mod envelope each note-on retriggers it and the last held voice
+// releases it; key tracking and velocity follow the most recent note.
+const FILTER_ENV_OCTAVES = 6; // Sweep at +/-100% amount
+const FILTER_MOD_RANGE = 10; // Octaves each way the shaper covers, envelope plus key tracking
+const FILTER_MOD_CURVE_SIZE = 4097; // Odd, so the middle point is exactly no offset
+const FILTER_KEY_TRACK_CENTER = 261.63; // Hz - C4 plays at the knob's cutoff
+const FILTER_VELOCITY_OCTAVES = 4; // Cutoff offset for a full-velocity note at +/-100%
+const filterEnvelope = new Tone.Envelope({ attack: 0.01, decay: 0.3, sustain: 0, release: 0.5 });
+const filterEnvDepth = new Tone.Gain(0);
+const filterNoteOffset = new Tone.Signal(0);
+const filterModSum = new Tone.Gain(1);
+const filterModShaper = new Tone.WaveShaper();
+const filterModSend = new Tone.Gain(1);
+filterEnvelope.chain(filterEnvDepth, filterModSum);
+filterNoteOffset.connect(filterModSum);
+filterModSum.chain(filterModShaper, filterModSend);
+filterModSend.connect(filter.frequency);
+
+// Amount -1..1, velocity and key tracking 0..1, velocity to cutoff -1..1,
+// plus the note they were last applied to
+const filterEnvSettings = {
+    amount: 0,
+    velocity: 0,
+    keyTrack: 0,
+    velocityCutoff: 0,
+    noteVelocity: 1,
+    noteFrequency: FILTER_KEY_TRACK_CENTER
+};
+
+// Values that can't be tied to the tempo signal follow tempo changes from here - the
+// slider, generative mode setting the tempo and its tempo ramps. Each follower is
+// { isSynced(), follow(glide) } and glides until the next tick. The clock only runs
+// while a follower is synced; Tone's clock keeps ticking in a background tab.
+const TEMPO_FOLLOW_RATE = 10;
+const tempoFollowers = [];
+let followedTempo = Tone.Transport.bpm.value;
+const tempoFollowClock = new Tone.Clock(() => {
+    const tempo = Tone.Transport.bpm.value;
+    if (Math.abs(tempo - followedTempo) < 0.01) return;
+    followedTempo = tempo;
+    tempoFollowers.forEach(follower => {
+        if (follower.isSynced()) {
+            follower.follow(1 / TEMPO_FOLLOW_RATE);
+        }
+    });
+}, TEMPO_FOLLOW_RATE);
+
+function addTempoFollower(follower) {
+    tempoFollowers.push(follower);
+    updateTempoFollowClock();
+}
+
+// Start or stop the clock after a follower's sync setting changed
+function updateTempoFollowClock() {
+    const needed = tempoFollowers.some(follower => follower.isSynced());
+    if (needed && tempoFollowClock.state !== 'started') {
+        followedTempo = Tone.Transport.bpm.value;
+        tempoFollowClock.start();
+    } else if (!needed && tempoFollowClock.state === 'started') {
+        tempoFollowClock.stop();
+    }
+}
+
+// The random steps of a synced LFO
+Object.values(lfos).forEach(source => addTempoFollower({
+    isSynced: () => isLfoSynced(source) && source.source === source.random,
+    follow: () => {
+        source.randomClock.frequency.value = getLfoFrequency(source) * LFO_RANDOM_STEPS;
+    }
+}));
+
 // Initialize drone state
 let isDroneActive = false;
 let droneSynth = null;
@@ -191,7 +387,7 @@ function initAnimationSettings() {
     }, 500); // Check visibility at most every 500ms
 
     // Create throttled versions of update functions
-    animations.throttledLfoUpdate = throttle(updateLfoModulation, 16); // ~60fps
+    animations.throttledLfoUpdate = throttle(updateModDisplay, 16); // ~60fps
 
     console.log(`Animation settings initialized: ${animations.settings.isMobile ? 'Mobile' : 'Desktop'} mode, ${animations.settings.fpsLimit}fps target`);
 }
@@ -225,9 +421,10 @@ function mainAnimationLoop(timestamp) {
         updateLfoScope(timestamp);
     }
 
-    // If LFO is active, update it using throttled function
+    // Modulated knobs show their current value
+    animations.throttledLfoUpdate(timestamp);
+
     if (lfoActive && lfoDestination !== 'off') {
-        animations.throttledLfoUpdate(timestamp);
 
         // Check if basic LFO visualizer is visible
         const basicLfoVisible = document.querySelector('.lfo-scope')?.style.display !== 'none';
@@ -377,7 +574,7 @@ function updateLfoScope(timestamp) {
     }
 
     const waveform = updateLfoScope.elements.waveform.value;
-    const rate = parseFloat(updateLfoScope.elements.rate.value);
+    const rate = getLfoFrequency(lfos.lfo1);
     const amount = parseInt(updateLfoScope.elements.amount.value) / 100;
 
     const width = element.width;
@@ -506,7 +703,7 @@ function updateLfoScope(timestamp) {
     context.fillStyle = 'rgba(255, 255, 255, 0.8)';
     context.font = '10px sans-serif';
     context.textAlign = 'right';
-    context.fillText(`${rate.toFixed(1)} Hz`, width - 5, height - 5);
+    context.fillText(isLfoSynced(lfos.lfo1) ? document.getElementById('lfoRateValue').textContent : `${rate.toFixed(1)} Hz`, width - 5, height - 5);
 
     if (lfoActive && lfoDestination !== 'off') {
         // Show active modulation target
@@ -519,189 +716,270 @@ function updateLfoScope(timestamp) {
     animations.lfoScope.lastUpdate = timestamp;
 }
 
-// Add this new function to calculate the current LFO value
-function getLfoValue() {
-    // Get current LFO settings
-    const waveform = document.getElementById('lfoWaveform').value;
-    const rate = parseFloat(document.getElementById('lfoRate').value);
+// Audio params each modulation destination drives. `map` converts a control value
+// into the param's own units. Modulation is added to the param, so the param itself
+// keeps the knob's value. Destinations missing here are updated at control rate.
+function getModAudioTargets(destination) {
+    const dbToGain = value => Tone.dbToGain(value);
 
-    // Calculate current phase based on time
-    const now = performance.now() / 1000; // Current time in seconds
-    const phase = (now * rate) % 1; // Phase between 0 and 1
-
-    // Get the appropriate waveform function
-    let value;
-    switch (waveform) {
-        case 'sine':
-            value = Math.sin(phase * Math.PI * 2);
-            break;
-        case 'triangle':
-            value = 1 - Math.abs((phase * 4) % 4 - 2);
-            break;
-        case 'square':
-            value = phase < 0.5 ? 1 : -1;
-            break;
-        case 'sawtooth':
-            value = (phase * 2) - 1;
-            break;
-        case 'random':
-            // Use segment-based approach for random to match visualization
-            const segments = 8;
-            const segmentIndex = Math.floor(phase * segments);
-            // Use deterministic "random" based on segment index
-            value = Math.sin(segmentIndex * 1000) * 2 - 1;
-            break;
+    switch (destination) {
+        case 'filterCutoff':
+            return [{ param: filter.frequency }];
+        case 'filterRes':
+            return [{ param: filter.Q }];
+        case 'detune':
+            return [{ param: voiceModulation.detune }];
+        case 'oscillatorLevel':
+            return [{ param: voiceModulation.osc1Level }];
+        case 'wavetablePosition':
+            return [{ param: wavetablePosition }];
+        case 'reverbMix':
+            return [{ param: reverb.wet }];
+        case 'delayTime':
+            return [{ param: delay.delayTime }];
+        case 'delayFeedback':
+            return [{ param: delay.feedback }];
+        case 'chorusMix':
+            return [{ param: chorus.wet }];
+        case 'flangerMix':
+            return [{ param: flanger.wet }];
+        case 'distortionMix':
+            return [{ param: distortion.wet }];
+        case 'phaserMix':
+            return [{ param: phaser.wet }];
+        case 'chorusRate':
+            return [{ param: chorus.frequency }];
+        case 'chorusFeedback':
+            return [{ param: chorus.feedback }];
+        case 'flangerRate':
+            return [{ param: flanger.frequency }];
+        case 'flangerFeedback':
+            return [{ param: flanger.feedback }];
+        case 'phaserRate':
+            return [{ param: phaser.frequency }];
+        case 'phaserQ':
+            return [{ param: phaser.Q }];
+        case 'delayMix':
+            return [{ param: delay.wet }];
+        case 'delayLowCut':
+            return [{ param: delay.lowCut }];
+        case 'delayHighCut':
+            return [{ param: delay.highCut }];
+        // EQ gains are in decibels, but the underlying gain nodes are linear
+        case 'eqLow':
+            return [{ param: eq.low, map: dbToGain }];
+        case 'eqMid':
+            return [{ param: eq.mid, map: dbToGain }];
+        case 'eqHigh':
+            return [{ param: eq.high, map: dbToGain }];
+        case 'masterPan':
+            return [{ param: masterPanner.pan }];
+        case 'masterVolume':
+            return [{ param: masterVolume.gain }];
+        // Same mappings as updateAudioParameter()
+        case 'compressor':
+            return [
+                { param: masterCompressor.threshold, map: value => value * -30 },
+                { param: masterCompressor.ratio, map: value => 1 + value * 19 }
+            ];
+        case 'stereoWidth':
+            return [
+                { param: stereoWidener.width, map: value => value * 0.5 },
+                { param: widthCompensation.gain, map: value => value > 1 ? 1 + (value - 1) * 0.5 : 1 }
+            ];
         default:
-            value = Math.sin(phase * Math.PI * 2); // Default to sine
+            return [];
     }
-
-    return value; // Value between -1 and 1
 }
 
-// Optimized LFO modulation with reduced DOM access
-function updateLfoModulation(timestamp) {
-    // Skip if LFO is inactive or destination is off
-    if (!lfoActive || lfoDestination === 'off') return;
-
-    // Get LFO value (scaled between -1 and 1)
-    let lfoValue = getLfoValue();
+function isLfoSynced(source) {
+    return document.getElementById(`${source.prefix}SyncToggle`).checked;
+}
 
-    // Get target element
-    const targetElement = document.getElementById(lfoDestination);
-    if (!targetElement) return;
+// LFO rate in Hz - the rate knob, or the division at the current tempo while synced
+function getLfoFrequency(source) {
+    if (isLfoSynced(source)) {
+        return Tone.Time(document.getElementById(`${source.prefix}Division`).value).toFrequency();
+    }
+    return parseFloat(document.getElementById(`${source.prefix}Rate`).value);
+}
 
-    // Get amount setting (as a percentage)
-    const amount = parseFloat(document.getElementById('lfoAmount').value) / 100;
+// Apply the rate, sync and division controls. While synced the LFO frequency is
+// tied to Tone.Transport.bpm, so tempo changes and ramps carry it along.
+function updateLfoRate(source) {
+    const synced = isLfoSynced(source);
+    const division = document.getElementById(`${source.prefix}Division`);
+    const frequency = getLfoFrequency(source);
+
+    Tone.Transport.unsyncSignal(source.lfo.frequency);
+    source.lfo.frequency.value = frequency;
+    if (synced) {
+        Tone.Transport.syncSignal(source.lfo.frequency);
+    }
+    source.randomClock.frequency.value = frequency * LFO_RANDOM_STEPS;
+    updateTempoFollowClock();
+
+    division.disabled = !synced;
+    document.getElementById(`${source.prefix}RateKnob`).closest('.knob-container').classList.toggle('lfo-synced', synced);
+    document.getElementById(`${source.prefix}SyncState`).textContent = synced ? 'Sync' : 'Free';
+    document.getElementById(`${source.prefix}RateValue`).textContent = synced ?
+        division.options[division.selectedIndex].text :
+        frequency.toFixed(2) + ' Hz';
+}
 
-    // Get min and max values from the range input
-    const min = parseFloat(targetElement.min);
-    const max = parseFloat(targetElement.max);
+// Restart an LFO's cycle at the given time. Every voice of a chord reports the
+// same start time, so only the first one restarts it.
+function retriggerLfo(source, time) {
+    if (time === source.lastRetriggerTime) return;
+    source.lastRetriggerTime = time;
 
-    // Get base value (or use current value if not set)
-    let baseValue = lfoBaseValues[lfoDestination];
-    if (baseValue === undefined) {
-        baseValue = parseFloat(targetElement.value);
-        lfoBaseValues[lfoDestination] = baseValue;
+    source.lfo.stop(time);
+    source.lfo.start(time);
+    if (source.source === source.random) {
+        source.randomClock.stop(time);
+        source.randomClock.start(time);
     }
+}
 
-    // Calculate new value, scaling the LFO output appropriately
-    const range = max - min;
-    const scaledLfo = lfoValue * range * amount / 2;
-    let newValue = baseValue + scaledLfo;
-
-    // Ensure value stays within range
-    newValue = Math.max(min, Math.min(max, newValue));
+// Retrigger the LFOs set to the given mode ('note' or 'bar')
+function retriggerLfos(mode, time) {
+    Object.values(lfos).forEach(source => {
+        if (source.retrigger === mode) {
+            retriggerLfo(source, time);
+        }
+    });
+}
 
-    // Update input element
-    targetElement.value = newValue;
+onVoiceNoteStart((time, velocity, voice) => {
+    retriggerLfos('note', time);
 
-    // Update display value
-    const valueDisplay = document.getElementById(`${lfoDestination}Value`);
-    if (valueDisplay) {
-        // Format based on parameter type
-        if (lfoDestination === 'masterPan') {
-            // Special formatting for pan display
-            let displayText = "C"; // Center by default
+    heldVoices.add(voice);
+    modVelocity.setValueAtTime(velocity, time);
+    modEnvelope.set(synthSettings.envelope);
+    modEnvelope.triggerAttack(time);
 
-            if (newValue < -0.05) {
-                // Left side
-                const leftAmount = Math.abs(Math.round(newValue * 100));
-                displayText = `L${leftAmount}`;
-            } else if (newValue > 0.05) {
-                // Right side
-                const rightAmount = Math.round(newValue * 100);
-                displayText = `R${rightAmount}`;
-            }
+    filterEnvSettings.noteVelocity = velocity;
+    filterEnvSettings.noteFrequency = voice.frequency.getValueAtTime(time);
+    updateFilterModulation(time);
+    filterEnvelope.triggerAttack(time);
+});
 
-            valueDisplay.textContent = displayText;
-        } else {
-            // Default formatting for other parameters
-            valueDisplay.textContent = formatControlValue(lfoDestination, newValue);
-        }
+onVoiceNoteEnd((time, voice) => {
+    heldVoices.delete(voice);
+    if (heldVoices.size === 0) {
+        modEnvelope.triggerRelease(time);
+        filterEnvelope.triggerRelease(time);
     }
+});
 
-    updateAudioParameter(lfoDestination, newValue);
+// Set the envelope depth and the key tracking and velocity offset for the current note.
+// Velocity sensitivity scales the sweep down for softer notes.
+function updateFilterModulation(time = Tone.now()) {
+    const { amount, velocity, keyTrack, velocityCutoff, noteVelocity, noteFrequency } = filterEnvSettings;
+    const velocityScale = 1 - velocity + velocity * noteVelocity;
+    const keyOctaves = Math.log2(noteFrequency / FILTER_KEY_TRACK_CENTER) * keyTrack;
+    const velocityOctaves = velocityCutoff * noteVelocity * FILTER_VELOCITY_OCTAVES;
 
-    // Update knob position if a knob updater exists
-    if (knobUpdaters[lfoDestination]) {
-        knobUpdaters[lfoDestination](newValue);
-    }
+    filterEnvDepth.gain.setValueAtTime(amount * velocityScale * FILTER_ENV_OCTAVES / FILTER_MOD_RANGE, time);
+    filterNoteOffset.setValueAtTime((keyOctaves + velocityOctaves) / FILTER_MOD_RANGE, time);
 }
 
-// Cache for parameter related elements
-const parameterElementCache = new Map();
+// Rebuild the octaves -> Hz offset curve after the cutoff moved
+function updateFilterModCurve(base = parseFloat(document.getElementById('filterCutoff').value)) {
+    const input = document.getElementById('filterCutoff');
+    const min = parseFloat(input.min);
+    const max = parseFloat(input.max);
+    const curve = new Float32Array(FILTER_MOD_CURVE_SIZE);
 
-// Apply LFO modulation to a parameter with DOM caching
-function applyLfoToParameter(paramId, lfoOutput) {
-    // Get or cache elements for this parameter
-    if (!parameterElementCache.has(paramId)) {
-        const input = document.getElementById(paramId);
-        if (!input) return;
+    for (let i = 0; i < FILTER_MOD_CURVE_SIZE; i++) {
+        const octaves = ((i / (FILTER_MOD_CURVE_SIZE - 1)) * 2 - 1) * FILTER_MOD_RANGE;
+        curve[i] = Math.max(min, Math.min(max, base * Math.pow(2, octaves))) - base;
+    }
+    filterModShaper.curve = curve;
+}
 
-        const min = parseFloat(input.min);
-        const max = parseFloat(input.max);
-        const range = max - min;
-        const modRange = range * 0.5;
-        const knob = document.getElementById(`${paramId}Knob`);
+// Mod wheel, channel aftertouch and poly aftertouch from midi.js, 0..1
+const modulationInputs = {
+    modWheel,
+    aftertouch: modAftertouch,
+    polyAftertouch: modPolyAftertouch
+};
 
-        parameterElementCache.set(paramId, {
-            input,
-            min,
-            max,
-            range,
-            modRange,
-            knob
-        });
+function setModulationInput(input, value) {
+    const signal = modulationInputs[input];
+    if (signal) {
+        signal.rampTo(value, 0.01);
+    }
+}
+window.setModulationInput = setModulationInput;
+
+// Switch the signal feeding an LFO's output between Tone.LFO and the random steps
+function updateLfoWaveform(source, waveform) {
+    const next = waveform === 'random' ? source.random : source.lfo;
+    if (waveform !== 'random') {
+        source.lfo.type = waveform;
     }
+    if (next === source.source) return;
 
-    // Get cached elements and values
-    const cache = parameterElementCache.get(paramId);
-    if (!cache) return;
+    source.source.disconnect(source.output);
+    next.connect(source.output);
+    source.source = next;
 
-    const {
-        input,
-        min,
-        max,
-        range,
-        modRange,
-        knob
-    } = cache;
-
-    // Get base value - this still needs to be dynamic
-    const baseValue = lfoBaseValues[paramId] || (min + range / 2);
-
-    // Calculate modulated value
-    const modValue = baseValue + (lfoOutput * modRange);
-    const clampedValue = Math.max(min, Math.min(max, modValue));
-
-    // Only update the DOM if the value has changed significantly
-    // This avoids unnecessary updates that won't be visually noticeable
-    if (Math.abs(parseFloat(input.value) - clampedValue) > 0.001) {
-        // Update input value
-        input.value = clampedValue;
-
-        // Update the parameter
-        updateAudioParameter(paramId, clampedValue);
-
-        // Update knob rotation using GSAP (only if knob exists)
-        if (knob) {
-            const normalizedValue = (clampedValue - min) / range;
-            const rotation = normalizedValue * 270 - 135;
-
-            gsap.to(knob, {
-                rotation: rotation,
-                duration: 0.05,
-                overwrite: true
-            });
-        }
+    if (next === source.random) {
+        source.randomClock.start();
+    } else {
+        source.randomClock.stop();
     }
+    updateTempoFollowClock();
 }
 
+// Show a value on the destination's knob and readout without changing the input
+function showModulatedValue(destination, value) {
+    if (knobUpdaters[destination]) {
+        knobUpdaters[destination](value);
+    }
+    updateParameterDisplay(destination, value);
+}
 
+// Parameters the mod matrix can target - everything updateAudioParameter() handles,
+// by knob input id
+function getModDestinations() {
+    return [
+        ...LOCKABLE_PARAMS.map(({ param, inputId, label }) => ({ id: inputId || param, label })),
+        { id: 'detune', label: 'Detune' },
+        { id: 'filterDrive', label: 'Filter Drive' },
+        { id: 'filterEnvAmount', label: 'Filter Env Amount' },
+        { id: 'filterKeyTrack', label: 'Filter Key Track' },
+        { id: 'velocityCutoff', label: 'Velocity Cutoff' },
+        { id: 'velocityAttack', label: 'Velocity Attack' },
+        { id: 'reverbDecay', label: 'Reverb Decay' },
+        { id: 'chorusRate', label: 'Chorus Rate' },
+        { id: 'chorusDelay', label: 'Chorus Delay' },
+        { id: 'chorusDepth', label: 'Chorus Depth' },
+        { id: 'chorusFeedback', label: 'Chorus Feedback' },
+        { id: 'chorusSpread', label: 'Chorus Spread' },
+        { id: 'distortionAmount', label: 'Distortion Drive' },
+        { id: 'flangerRate', label: 'Flanger Rate' },
+        { id: 'flangerDepth', label: 'Flanger Depth' },
+        { id: 'flangerFeedback', label: 'Flanger Feedback' },
+        { id: 'flangerManual', label: 'Flanger Manual' },
+        { id: 'phaserRate', label: 'Phaser Rate' },
+        { id: 'phaserOctaves', label: 'Phaser Octaves' },
+        { id: 'phaserBaseFrequency', label: 'Phaser Base Freq' },
+        { id: 'phaserQ', label: 'Phaser Q' },
+        { id: 'delayMix', label: 'Delay Mix' },
+        { id: 'delayLowCut', label: 'Delay Low Cut' },
+        { id: 'delayHighCut', label: 'Delay High Cut' },
+        { id: 'delayDuck', label: 'Delay Duck' },
+        { id: 'eqMidFreq', label: 'EQ Mid Freq' },
+        { id: 'eqQ', label: 'EQ Q' },
+        { id: 'arpRate', label: 'Arp Rate' },
+        { id: 'arpGate', label: 'Arp Gate' },
+        { id: 'arpSwing', label: 'Arp Swing' }
+    ];
+}
 
 
-// The handleMonoNoteChange function can be removed as we only use poly mode
-
 // Function to update the detune value based on octave and semitone settings
 function updateDetune() {
     const octave = parseInt(document.getElementById('oscillatorOctave').value);
@@ -789,11 +1067,13 @@ function createSynth() {
 
         // Get current settings
         const waveformType = document.getElementById('waveform').value;
-        const level = parseFloat(document.getElementById('oscillatorLevel').value || 0.8);
+        synthUsesWavetable = waveformType === 'wavetable';
 
         // Prepare enhanced audio settings with better defaults
         const enhancedSettings = {
             ...synthSettings,
+            // Second oscillator, sub, noise and their mixer levels
+            ...getVoiceSourceSettings(),
             envelope: {
                 ...synthSettings.envelope,
                 // Add curve settings for better envelope shape
@@ -801,43 +1081,54 @@ function createSynth() {
                 releaseCurve: 'exponential'
             },
             oscillator: {
-                type: waveformType,
+                // Wavetable voices replace this oscillator, it only needs a valid type
+                type: synthUsesWavetable ? 'sine' : waveformType,
                 // Improve stability with phase reset on new notes
                 phase: 0
                 // Removed problematic partials setting that was causing errors
             },
-            volume: Tone.gainToDb(level),
-            // No portamento needed for poly synth
+            wavetable: synthUsesWavetable,
+            // Glide is set per note by the mono synth, poly voices never glide
             portamento: 0
         };
 
-        // Get the number of voices from UI or use default
-        const maxVoices = parseInt(document.getElementById('voices')?.value || 8);
+        const voiceMode = document.getElementById('voiceMode').value;
 
-        // Configure polyphonic synth with optimal performance settings (8 voices)
-        const increasedVoices = maxVoices; // Use exactly the requested number of voices for better performance
+        if (voiceMode === 'poly') {
+            // Get the number of voices from UI or use default
+            const maxVoices = parseInt(document.getElementById('voices')?.value || 8);
 
-        synth = new Tone.PolySynth({
-            maxPolyphony: increasedVoices,
-            voice: Tone.Synth,
-            options: enhancedSettings
-        });
+            // Configure polyphonic synth with optimal performance settings (8 voices)
+            // Unison multiplies the oscillators per note, so fewer notes fit in the voice budget
+            const increasedVoices = VoiceManager.getPolyphonyLimit(maxVoices, enhancedSettings.unison);
 
-        // Apply additional polyphonic optimizations
-        synth.set({
-            // Use voice stealing algorithms for consistent performance
-            maxPolyphony: increasedVoices,
-            // Setting a voice limit dynamically based on system capability
-            voice: {
-                portamento: 0, // Individual voices don't need portamento
-                volume: Tone.gainToDb(level)
-            }
-        });
+            synth = new Tone.PolySynth({
+                maxPolyphony: increasedVoices,
+                voice: LayeredSynth,
+                options: enhancedSettings
+            });
+
+            // Apply additional polyphonic optimizations
+            synth.set({
+                // Use voice stealing algorithms for consistent performance
+                maxPolyphony: increasedVoices,
+                // Setting a voice limit dynamically based on system capability
+                voice: {
+                    portamento: 0 // Individual voices don't need portamento
+                }
+            });
+        } else {
+            // Mono and legato play a single voice with note priority and glide
+            synth = new MonoLayeredSynth({
+                mode: voiceMode,
+                priority: document.getElementById('notePriority').value,
+                glide: parseFloat(document.getElementById('glideTime').value),
+                options: enhancedSettings
+            });
+        }
 
-        // Create optimized connection to effects chain
-        // Connect directly to filter for now to simplify the chain
-        // This avoids potential issues with the limiter
-        synth.connect(filter);
+        // Connect to the FX rack, which starts with the filter unless it has been moved
+        synth.connect(fxInput);
 
         // Ensure visualizers are connected when creating a new synth
         ensureVisualizersConnected();
@@ -849,7 +1140,7 @@ function createSynth() {
         if (typeof VoiceManager !== 'undefined') {
             try {
                 // Use the local VoiceManager, not window.VoiceManager
-                VoiceManager.registerSynth(synth, "poly");
+                VoiceManager.registerSynth(synth, voiceMode === 'poly' ? "poly" : "mono", enhancedSettings.unison);
             } catch (err) {
                 console.warn('Error registering with voice manager:', err);
             }
@@ -893,13 +1184,20 @@ const VoiceManager = {
         return this;
     },
 
+    // Most notes a poly synth can play when each note stacks `unison` oscillators,
+    // so notes x unison stays within maxTotalVoices
+    getPolyphonyLimit(requested, unison = 1) {
+        return Math.max(1, Math.min(requested, Math.floor(this.options.maxTotalVoices / unison)));
+    },
+
     // Register a new synth for voice management
-    registerSynth(synth, type = "poly") {
+    registerSynth(synth, type = "poly", unison = 1) {
         const id = this.generateId();
         this.activeVoices.set(id, {
             synth,
             type,
-            maxVoices: type === "poly" ? this.options.maxPolyphonyStandard : 1,
+            unison,
+            maxVoices: type === "poly" ? this.getPolyphonyLimit(this.options.maxPolyphonyStandard, unison) : 1,
             lastUsed: Date.now(),
             activeNotes: new Set()
         });
@@ -948,9 +1246,10 @@ const VoiceManager = {
         const now = Date.now();
         let totalVoices = 0;
 
-        // Count total active voices
+        // Count total active voices - each note plays one voice per unison copy
+        const getVoiceCount = info => (info.activeNotes.size || 1) * info.unison;
         this.activeVoices.forEach(info => {
-            totalVoices += info.activeNotes.size || 1;
+            totalVoices += getVoiceCount(info);
         });
 
         // If we're over the limit, aggressively clean up
@@ -968,7 +1267,7 @@ const VoiceManager = {
                     console.debug(`Disposing unused synth to free resources`);
                     if (info.synth.dispose) info.synth.dispose();
                     this.activeVoices.delete(id);
-                    totalVoices--;
+                    totalVoices -= getVoiceCount(info);
                 }
             }
         }
@@ -1193,23 +1492,35 @@ const generateNotes = () => {
     return notes;
 };
 
+// Sequencer length and per-step defaults (MAX_SEQUENCER_STEPS comes from presets.js)
+const DEFAULT_SEQUENCER_STEPS = 16;
+const DEFAULT_STEP_VELOCITY = 1;
+const DEFAULT_STEP_GATE = 1;
+
 // Create sequencer with proper note names
-const createSequencer = () => {
+const createSequencer = (length = DEFAULT_SEQUENCER_STEPS) => {
     const sequencerElement = document.getElementById('sequencer');
     const notes = generateNotes();
 
     // Clear existing steps
     sequencerElement.innerHTML = '';
 
-    for (let i = 0; i < 16; i++) {
+    for (let i = 0; i < length; i++) {
         const step = document.createElement('div');
         step.className = 'step';
         step.setAttribute('data-step', i + 1);
 
         const led = document.createElement('div');
         led.className = 'step-led';
+        led.title = 'Select step for parameter locks';
+        led.onclick = () => selectLockStep(step);
         step.appendChild(led);
 
+        // Shows how many parameters are locked on this step
+        const lockBadge = document.createElement('div');
+        lockBadge.className = 'step-lock-badge';
+        step.appendChild(lockBadge);
+
         const select = document.createElement('select');
         // Add a data attribute to help with identifying
         select.setAttribute('data-step-select', i);
@@ -1227,6 +1538,35 @@ const createSequencer = () => {
 
         step.appendChild(select);
 
+        // Per-step velocity and gate length (fraction of the step)
+        step.appendChild(createStepSlider('step-velocity', 'Velocity', MIN_STEP_LEVEL, DEFAULT_STEP_VELOCITY));
+        step.appendChild(createStepSlider('step-gate', 'Gate', MIN_STEP_LEVEL, DEFAULT_STEP_GATE));
+
+        const buttons = document.createElement('div');
+        buttons.className = 'step-buttons';
+
+        // Tie holds the note into the next step instead of retriggering it
+        const tie = document.createElement('button');
+        tie.type = 'button';
+        tie.className = 'step-tie';
+        tie.textContent = 'Tie';
+        tie.title = 'Tie into the next step';
+        tie.onclick = () => {
+            tie.classList.toggle('active');
+        };
+        buttons.appendChild(tie);
+
+        // Slide holds the note and glides into the next step's note in mono and legato modes
+        const slide = document.createElement('button');
+        slide.type = 'button';
+        slide.className = 'step-slide';
+        slide.textContent = 'Slide';
+        slide.title = 'Slide into the next step';
+        slide.onclick = () => {
+            slide.classList.toggle('active');
+        };
+        buttons.appendChild(slide);
+
         const toggle = document.createElement('button');
         toggle.type = 'button';
         toggle.className = 'step-toggle active';
@@ -1235,12 +1575,288 @@ const createSequencer = () => {
             toggle.classList.toggle('active');
             toggle.textContent = toggle.classList.contains('active') ? 'On' : 'Off';
         };
-        step.appendChild(toggle);
+        buttons.appendChild(toggle);
+
+        step.appendChild(buttons);
 
         sequencerElement.appendChild(step);
     }
 };
 
+// Create a compact labelled slider for a sequencer step
+function createStepSlider(className, label, min, value) {
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.className = className;
+    input.min = min;
+    input.max = 1;
+    input.step = 0.01;
+    input.value = value;
+    input.title = `${label}: ${Math.round(value * 100)}%`;
+    input.addEventListener('input', () => {
+        input.title = `${label}: ${Math.round(parseFloat(input.value) * 100)}%`;
+    });
+    return input;
+}
+
+// Read the sequencer steps from the DOM
+function getSequencerSteps() {
+    return Array.from(document.querySelectorAll('.step')).map(step => ({
+        note: step.querySelector('select').value,
+        active: step.querySelector('.step-toggle').classList.contains('active'),
+        velocity: parseFloat(step.querySelector('.step-velocity').value),
+        gate: parseFloat(step.querySelector('.step-gate').value),
+        tie: step.querySelector('.step-tie').classList.contains('active'),
+        slide: step.querySelector('.step-slide').classList.contains('active'),
+        locks: getStepLocks(step)
+    }));
+}
+
+// Write sequencer steps to the DOM, resizing the sequencer to match
+// Older presets only have note/active, so the new fields fall back to defaults.
+// No step data (a preset without a sequencer) leaves the sequencer as it is.
+function setSequencerSteps(stepData) {
+    if (!stepData || stepData.length === 0) return;
+
+    const length = Math.max(1, Math.min(MAX_SEQUENCER_STEPS, stepData.length));
+    if (document.querySelectorAll('.step').length !== length) {
+        resizeSequencer(length);
+    }
+
+    const steps = document.querySelectorAll('.step');
+    stepData.slice(0, length).forEach((stepSetup, i) => {
+        const step = steps[i];
+        const select = step.querySelector('select');
+        if (select && stepSetup.note) {
+            select.value = stepSetup.note;
+        }
+
+        const toggle = step.querySelector('.step-toggle');
+        if (toggle) {
+            toggle.classList.toggle('active', Boolean(stepSetup.active));
+            toggle.textContent = stepSetup.active ? 'On' : 'Off';
+        }
+
+        const velocity = step.querySelector('.step-velocity');
+        velocity.value = stepSetup.velocity !== undefined ? stepSetup.velocity : DEFAULT_STEP_VELOCITY;
+        velocity.dispatchEvent(new Event('input'));
+
+        const gate = step.querySelector('.step-gate');
+        gate.value = stepSetup.gate !== undefined ? stepSetup.gate : DEFAULT_STEP_GATE;
+        gate.dispatchEvent(new Event('input'));
+
+        step.querySelector('.step-tie').classList.toggle('active', Boolean(stepSetup.tie));
+        step.querySelector('.step-slide').classList.toggle('active', Boolean(stepSetup.slide));
+
+        setStepLocks(step, stepSetup.locks);
+    });
+
+    refreshLockEditor();
+}
+
+// Change the number of sequencer steps while keeping the existing step data
+function resizeSequencer(length) {
+    length = Math.max(1, Math.min(MAX_SEQUENCER_STEPS, parseInt(length) || DEFAULT_SEQUENCER_STEPS));
+    const previousSteps = getSequencerSteps();
+
+    createSequencer(length);
+    resetSequencerCache();
+    nudgeCache.reset();
+    lockEditorStep = null;
+
+    // Restore the steps that still exist; setSequencerSteps won't resize again
+    if (previousSteps.length > 0) {
+        setSequencerSteps(previousSteps.slice(0, length).concat(getSequencerSteps().slice(previousSteps.length)));
+    }
+
+    const lengthSelect = document.getElementById('sequencerLength');
+    if (lengthSelect && parseInt(lengthSelect.value) !== length) {
+        lengthSelect.value = length;
+    }
+}
+
+// Parameters that can be locked per step - these are ids updateAudioParameter() handles.
+// Pan is driven by the masterPan input, everything else shares its id with its input.
+const LOCKABLE_PARAMS = [
+    { param: 'filterCutoff', label: 'Filter Cutoff' },
+    { param: 'filterRes', label: 'Filter Res' },
+    { param: 'oscillatorLevel', label: 'Osc Level' },
+    { param: 'pulseWidth', label: 'Pulse Width' },
+    { param: 'harmonicity', label: 'Harmonicity' },
+    { param: 'modulationIndex', label: 'Mod Index' },
+    { param: 'wavetablePosition', label: 'WT Position' },
+    { param: 'attack', label: 'Attack' },
+    { param: 'decay', label: 'Decay' },
+    { param: 'sustain', label: 'Sustain' },
+    { param: 'release', label: 'Release' },
+    { param: 'reverbMix', label: 'Reverb Mix' },
+    { param: 'delayTime', label: 'Delay Time' },
+    { param: 'delayFeedback', label: 'Delay Feedback' },
+    { param: 'chorusMix', label: 'Chorus Mix' },
+    { param: 'flangerMix', label: 'Flanger Mix' },
+    { param: 'distortionMix', label: 'Distortion Mix' },
+    { param: 'phaserMix', label: 'Phaser Mix' },
+    { param: 'eqLow', label: 'EQ Low' },
+    { param: 'eqMid', label: 'EQ Mid' },
+    { param: 'eqHigh', label: 'EQ High' },
+    { param: 'compressor', label: 'Compressor' },
+    { param: 'stereoWidth', label: 'Stereo Width' },
+    { param: 'pan', inputId: 'masterPan', label: 'Master Pan' },
+    { param: 'masterVolume', label: 'Master Volume' }
+];
+
+// Envelope and oscillator settings are read when a note is triggered,
+// so locks on these are applied straight away instead of at the step time
+const IMMEDIATE_LOCK_PARAMS = ['attack', 'decay', 'sustain', 'release', 'pulseWidth', 'harmonicity', 'modulationIndex'];
+
+// Step currently selected in the lock editor
+let lockEditorStep = null;
+
+// Params locked by the step that is currently playing, reverted on the next step
+let activeStepLocks = [];
+
+// Look up a lockable parameter definition
+function getLockableParam(param) {
+    return LOCKABLE_PARAMS.find(entry => entry.param === param);
+}
+
+// Get the knob input that holds a parameter's unlocked value
+function getLockInput(param) {
+    const entry = getLockableParam(param);
+    return entry ? document.getElementById(entry.inputId || entry.param) : null;
+}
+
+// Read the locks stored on a step element
+function getStepLocks(step) {
+    try {
+        return JSON.parse(step.dataset.locks || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+// Store locks on a step element and update its badge - unknown params are dropped
+function setStepLocks(step, locks) {
+    const cleanLocks = {};
+    if (locks && typeof locks === 'object') {
+        Object.entries(locks).forEach(([param, value]) => {
+            const number = parseFloat(value);
+            if (getLockableParam(param) && isFinite(number)) {
+                cleanLocks[param] = number;
+            }
+        });
+    }
+
+    step.dataset.locks = JSON.stringify(cleanLocks);
+
+    const lockedParams = Object.keys(cleanLocks);
+    step.classList.toggle('has-locks', lockedParams.length > 0);
+
+    const badge = step.querySelector('.step-lock-badge');
+    if (badge) {
+        badge.textContent = lockedParams.length > 0 ? lockedParams.length : '';
+        badge.title = lockedParams.map(param => {
+            const entry = getLockableParam(param);
+            return `${entry.label}: ${formatControlValue(entry.inputId || param, cleanLocks[param])}`;
+        }).join('\n');
+    }
+}
+
+// Select a step for lock editing - clicking the selected step again deselects it
+function selectLockStep(step) {
+    const wasSelected = lockEditorStep === step;
+    document.querySelectorAll('.step.lock-selected').forEach(el => el.classList.remove('lock-selected'));
+
+    lockEditorStep = wasSelected ? null : step;
+    if (lockEditorStep) {
+        lockEditorStep.classList.add('lock-selected');
+    }
+
+    refreshLockEditor();
+}
+
+// Sync the lock editor controls with the selected step and parameter
+function refreshLockEditor() {
+    const paramSelect = document.getElementById('stepLockParam');
+    const valueInput = document.getElementById('stepLockValue');
+    if (!paramSelect || !valueInput) return;
+
+    const knobInput = getLockInput(paramSelect.value);
+    if (!knobInput) return;
+
+    // The lock slider covers the same range as the knob it overrides
+    valueInput.min = knobInput.min;
+    valueInput.max = knobInput.max;
+    valueInput.step = knobInput.step || 'any';
+
+    const locks = lockEditorStep ? getStepLocks(lockEditorStep) : {};
+    const isLocked = locks[paramSelect.value] !== undefined;
+    valueInput.value = isLocked ? locks[paramSelect.value] : knobInput.value;
+    updateLockValueDisplay();
+
+    document.getElementById('stepLockTarget').textContent = lockEditorStep ?
+        `Step ${lockEditorStep.dataset.step}` : 'Click a step LED';
+    document.getElementById('stepLockApply').disabled = !lockEditorStep;
+    document.getElementById('stepLockClear').disabled = !lockEditorStep || Object.keys(locks).length === 0;
+}
+
+// Show the lock slider value using the target knob's formatting
+function updateLockValueDisplay() {
+    const paramSelect = document.getElementById('stepLockParam');
+    const entry = getLockableParam(paramSelect.value);
+    const value = parseFloat(document.getElementById('stepLockValue').value);
+    document.getElementById('stepLockValueDisplay').textContent =
+        formatControlValue(entry.inputId || entry.param, value);
+}
+
+// Apply a step's locks and revert the ones left over from the previous step
+function applyStepLocks(locks, time) {
+    const lockedParams = Object.keys(locks);
+    const revertParams = activeStepLocks.filter(param => !lockedParams.includes(param));
+    activeStepLocks = lockedParams;
+
+    if (lockedParams.length === 0 && revertParams.length === 0) return;
+
+    const apply = (immediate) => {
+        revertParams.forEach(param => {
+            if (IMMEDIATE_LOCK_PARAMS.includes(param) === immediate) {
+                updateAudioParameter(param, parseFloat(getLockInput(param).value));
+            }
+        });
+        lockedParams.forEach(param => {
+            if (IMMEDIATE_LOCK_PARAMS.includes(param) === immediate) {
+                updateAudioParameter(param, locks[param]);
+            }
+        });
+    };
+
+    apply(true);
+
+    // Everything else changes when the step actually sounds
+    Tone.context.setTimeout(() => apply(false), Math.max(0, time - Tone.now()));
+}
+
+// Put every locked parameter back to its knob value
+function revertStepLocks() {
+    activeStepLocks.forEach(param => {
+        const input = getLockInput(param);
+        if (input) {
+            updateAudioParameter(param, parseFloat(input.value));
+        }
+    });
+    activeStepLocks = [];
+}
+
+// Velocity from where a key or pad was pressed - soft near the top, hard near the bottom.
+// Clicks that don't come from the pointer (keyboard, MIDI-learned buttons) play at full velocity.
+const MIN_PRESS_VELOCITY = 0.1;
+function getPressVelocity(e, element) {
+    if (!e || e.detail === 0 || !isFinite(e.clientY)) return 1;
+    const rect = element.getBoundingClientRect();
+    if (rect.height === 0) return 1;
+    return Math.max(MIN_PRESS_VELOCITY, Math.min(1, (e.clientY - rect.top) / rect.height));
+}
+
 const keyboardMouseHandlers = {
     // Handle mouse down on any key
     handleMouseDown: function(e) {
@@ -1262,8 +1878,9 @@ const keyboardMouseHandlers = {
                     addNoteToArpeggiator(note);
                 } else {
                     // Otherwise play normally
-                    synth.triggerAttack(note);
-                    updateVUMeter(0.8);
+                    const velocity = getPressVelocity(e, key);
+                    synth.triggerAttack(note, undefined, velocity);
+                    updateVUMeter(0.8 * velocity);
                 }
             }
         }
@@ -1540,12 +2157,65 @@ const knobs = [
     ['oscillatorOctaveKnob', 'oscillatorOctave'],
     ['oscillatorSemiKnob', 'oscillatorSemi'],
     ['oscillatorLevelKnob', 'oscillatorLevel'],
+    // Second oscillator, sub and noise knobs
+    ['osc2OctaveKnob', 'osc2Octave'],
+    ['osc2SemiKnob', 'osc2Semi'],
+    ['osc2FineKnob', 'osc2Fine'],
+    ['osc2LevelKnob', 'osc2Level'],
+    ['subLevelKnob', 'subLevel'],
+    ['noiseLevelKnob', 'noiseLevel'],
     ['chorusMixKnob', 'chorusMix'],
     ['distortionMixKnob', 'distortionMix'],
     ['flangerMixKnob', 'flangerMix'],
     ['phaserMixKnob', 'phaserMix'],
+    // Effect editor knobs in the FX rack
+    ['reverbPreDelayKnob', 'reverbPreDelay'],
+    ['chorusRateKnob', 'chorusRate'],
+    ['chorusDelayKnob', 'chorusDelay'],
+    ['chorusDepthKnob', 'chorusDepth'],
+    ['chorusFeedbackKnob', 'chorusFeedback'],
+    ['chorusSpreadKnob', 'chorusSpread'],
+    ['distortionAmountKnob', 'distortionAmount'],
+    ['flangerRateKnob', 'flangerRate'],
+    ['flangerDepthKnob', 'flangerDepth'],
+    ['flangerFeedbackKnob', 'flangerFeedback'],
+    ['flangerManualKnob', 'flangerManual'],
+    ['phaserRateKnob', 'phaserRate'],
+    ['phaserOctavesKnob', 'phaserOctaves'],
+    ['phaserBaseFrequencyKnob', 'phaserBaseFrequency'],
+    ['phaserQKnob', 'phaserQ'],
+    ['delayMixKnob', 'delayMix'],
+    ['delayLowCutKnob', 'delayLowCut'],
+    ['delayHighCutKnob', 'delayHighCut'],
+    ['delayDuckKnob', 'delayDuck'],
+    // Aux buses
+    ['reverbReturnKnob', 'reverbReturn'],
+    ['reverbBusDecayKnob', 'reverbBusDecay'],
+    ['rackReverbSendKnob', 'rackReverbSend'],
+    ['drumsReverbSendKnob', 'drumsReverbSend'],
+    ['delayReturnKnob', 'delayReturn'],
+    ['delayBusFeedbackKnob', 'delayBusFeedback'],
+    ['rackDelaySendKnob', 'rackDelaySend'],
+    ['drumsDelaySendKnob', 'drumsDelaySend'],
     ['lfoRateKnob', 'lfoRate'],
+    ['lfo2RateKnob', 'lfo2Rate'],
+    ['lfo3RateKnob', 'lfo3Rate'],
     ['lfoAmountKnob', 'lfoAmount'],
+    ['filterDriveKnob', 'filterDrive'],
+    ['glideTimeKnob', 'glideTime'],
+    ['unisonVoicesKnob', 'unisonVoices'],
+    ['unisonDetuneKnob', 'unisonDetune'],
+    ['unisonSpreadKnob', 'unisonSpread'],
+    ['unisonBlendKnob', 'unisonBlend'],
+    ['filterEnvAttackKnob', 'filterEnvAttack'],
+    ['filterEnvDecayKnob', 'filterEnvDecay'],
+    ['filterEnvSustainKnob', 'filterEnvSustain'],
+    ['filterEnvReleaseKnob', 'filterEnvRelease'],
+    ['filterEnvAmountKnob', 'filterEnvAmount'],
+    ['filterEnvVelocityKnob', 'filterEnvVelocity'],
+    ['filterKeyTrackKnob', 'filterKeyTrack'],
+    ['velocityCutoffKnob', 'velocityCutoff'],
+    ['velocityAttackKnob', 'velocityAttack'],
     ['droneOctaveKnob', 'droneOctave'],
     ['droneVolumeKnob', 'droneVolume'],
     // Add the EQ knobs to the list
@@ -1558,6 +2228,7 @@ const knobs = [
     ['pulseWidthKnob', 'pulseWidth'],
     ['harmonicityKnob', 'harmonicity'],
     ['modulationIndexKnob', 'modulationIndex'],
+    ['wavetablePositionKnob', 'wavetablePosition'],
     // Add drum volume knobs
     ['kickVolumeKnob', 'kickVolume'],
     ['snareVolumeKnob', 'snareVolume'],
@@ -1608,104 +2279,98 @@ knobs.forEach(([knobId, inputId]) => {
     knobUpdaters[inputId] = setupKnob(knobId, inputId);
 });
 
-// ADSR Envelope Visualizer
+// Read an envelope's ADSR knobs, e.g. prefix 'filterEnv' reads filterEnvAttack...
+function getEnvelopeKnobs(prefix = '') {
+    const read = name => parseFloat(document.getElementById(prefix ? `${prefix}${name}` : name.toLowerCase()).value);
+    return {
+        attack: read('Attack'),
+        decay: read('Decay'),
+        sustain: read('Sustain'),
+        release: read('Release')
+    };
+}
+
+// ADSR Envelope Visualizer - the amp envelope, with the filter envelope drawn over it
+// on the same time scale. Both hold for one second before the note is released.
 function updateADSRVisualizer() {
     const svg = document.getElementById('adsrVisualizerSvg');
     const width = svg.clientWidth;
     const height = svg.clientHeight;
 
-    const attack = parseFloat(document.getElementById('attack').value);
-    const decay = parseFloat(document.getElementById('decay').value);
-    const sustain = parseFloat(document.getElementById('sustain').value);
-    const release = parseFloat(document.getElementById('release').value);
+    const ampEnvelope = getEnvelopeKnobs();
+    const filterEnv = getEnvelopeKnobs('filterEnv');
+    const filterAmount = parseFloat(document.getElementById('filterEnvAmount').value) / 100;
 
-    // Calculate widths for each segment
-    const totalTime = attack + decay + 1 + release; // Add 1 for sustain display
-    const attackWidth = (attack / totalTime) * width;
-    const decayWidth = (decay / totalTime) * width;
-    const sustainWidth = (1 / totalTime) * width;
-    const releaseWidth = (release / totalTime) * width;
+    // Calculate the shared time scale
+    const releaseStart = Math.max(ampEnvelope.attack + ampEnvelope.decay, filterEnv.attack + filterEnv.decay) + 1; // Add 1 for sustain display
+    const totalTime = releaseStart + Math.max(ampEnvelope.release, filterEnv.release);
+    const timeToX = time => (time / totalTime) * width;
 
     // Calculate y positions (inverted, as 0,0 is top-left)
     const startY = height - 10; // Start near bottom
-    const peakY = 10; // Attack peak near top
-    const sustainY = height - 10 - (sustain * (height - 20)); // Sustain level
-
-    // Create path
-    const path = [
-        `M0,${startY}`, // Start
-        `L${attackWidth},${peakY}`, // Attack
-        `L${attackWidth + decayWidth},${sustainY}`, // Decay
-        `L${attackWidth + decayWidth + sustainWidth},${sustainY}`, // Sustain
-        `L${attackWidth + decayWidth + sustainWidth + releaseWidth},${startY}` // Release
-    ].join(' ');
+    const levelToY = level => startY - (level * (height - 20));
+
+    // Create a path for an envelope scaled to a peak level. A negative level hangs
+    // from the top, as a negative filter amount closes the filter instead.
+    const envelopePath = ({ attack, decay, sustain, release }, peak) => {
+        const baseY = peak < 0 ? levelToY(1) : startY;
+        const y = level => peak < 0 ? levelToY(1 + level * peak) : levelToY(level * peak);
+        return [
+            `M0,${baseY}`, // Start
+            `L${timeToX(attack)},${y(1)}`, // Attack
+            `L${timeToX(attack + decay)},${y(sustain)}`, // Decay
+            `L${timeToX(releaseStart)},${y(sustain)}`, // Sustain
+            `L${timeToX(releaseStart + release)},${baseY}` // Release
+        ].join(' ');
+    };
 
-    document.getElementById('adsrPath').setAttribute('d', path);
+    document.getElementById('adsrPath').setAttribute('d', envelopePath(ampEnvelope, 1));
+    document.getElementById('filterEnvPath').setAttribute('d', filterAmount !== 0 ? envelopePath(filterEnv, filterAmount) : '');
 }
 
-// Filter Response Curve
+// Filter Response Curve - the real magnitude response of the selected mode
+const FILTER_RESPONSE_POINTS = 200;
+const FILTER_RESPONSE_TOP_DB = 18; // dB at the top of the display
+const FILTER_RESPONSE_RANGE_DB = 60; // dB from top to bottom
+
 function updateFilterResponse() {
     const svg = document.getElementById('filterResponseSvg');
     const width = svg.clientWidth;
     const height = svg.clientHeight;
 
-    const filterType = document.getElementById('filterTypeToggle').checked ? "highpass" : "lowpass";
     const cutoff = parseFloat(document.getElementById('filterCutoff').value);
     const resonance = parseFloat(document.getElementById('filterRes').value);
 
-    // Calculate log scale for x-axis (frequency)
-    const frequencyToX = (freq) => {
-        const minLog = Math.log10(20);
-        const maxLog = Math.log10(20000);
-        const logPos = (Math.log10(freq) - minLog) / (maxLog - minLog);
-        return logPos * width;
+    // Log-spaced frequencies from 20 Hz to 20 kHz, one per point on the x-axis
+    const frequencies = Array.from({ length: FILTER_RESPONSE_POINTS }, (_, i) =>
+        20 * Math.pow(1000, i / (FILTER_RESPONSE_POINTS - 1)));
+
+    // Generate points for the filter curve at a cutoff
+    const getCurvePoints = curveCutoff => {
+        const magnitudes = filter.getFrequencyResponse(frequencies, curveCutoff, resonance);
+        return Array.from(magnitudes, (magnitude, i) => {
+            const x = (i / (FILTER_RESPONSE_POINTS - 1)) * width;
+            const db = 20 * Math.log10(Math.max(magnitude, 1e-6));
+            const level = (FILTER_RESPONSE_TOP_DB - db) / FILTER_RESPONSE_RANGE_DB;
+
+            // Convert to y coordinate (inverted, as 0,0 is top-left)
+            const y = Math.max(0, Math.min(1, level)) * height;
+            return `${x},${y}`;
+        });
     };
 
-    // Generate points for the filter curve
-    const points = [];
-    for (let freq = 20; freq <= 20000; freq = freq * 1.1) {
-        const x = frequencyToX(freq);
-
-        // Calculate filter response at this frequency
-        let response = 0;
-        if (filterType === "lowpass") {
-            if (freq < cutoff) {
-                response = 1;
-            } else {
-                // Simple rolloff model with resonance peak
-                const ratio = cutoff / freq;
-                response = ratio;
-                if (Math.abs(freq - cutoff) < cutoff * 0.2) {
-                    response += (resonance / 10) * (1 - Math.abs((freq - cutoff) / (cutoff * 0.2)));
-                }
-            }
-        } else { // highpass
-            if (freq > cutoff) {
-                response = 1;
-            } else {
-                // Simple rolloff model with resonance peak
-                const ratio = freq / cutoff;
-                response = ratio;
-                if (Math.abs(freq - cutoff) < cutoff * 0.2) {
-                    response += (resonance / 10) * (1 - Math.abs((freq - cutoff) / (cutoff * 0.2)));
-                }
-            }
-        }
-
-        // Clamp response between 0 and 1.5 (for resonance peaks)
-        response = Math.max(0, Math.min(1.5, response));
-
-        // Convert to y coordinate (inverted, as 0,0 is top-left)
-        const y = height - (response * (height * 0.8));
-        points.push(`${x},${y}`);
-    }
+    const points = getCurvePoints(cutoff);
 
     // Create the filter curve path
-    const path = `M0,${height} L${points.join(' L')} L${width},${height}`;
     document.getElementById('filterCurve').setAttribute('d', `M${points.join(' L')}`);
 
     // Create the filled area for the filter curve
     document.getElementById('filterArea').setAttribute('d', `M0,${height} L${points.join(' L')} L${width},${height} Z`);
+
+    // Where the filter envelope takes the cutoff at its peak, for a full-velocity C4
+    const envelopeAmount = parseFloat(document.getElementById('filterEnvAmount').value) / 100;
+    const envelopeCutoff = Math.max(20, Math.min(20000, cutoff * Math.pow(2, envelopeAmount * FILTER_ENV_OCTAVES)));
+    document.getElementById('filterEnvCurve').setAttribute('d', envelopeAmount !== 0 ? `M${getCurvePoints(envelopeCutoff).join(' L')}` : '');
 }
 
 // Improved EQ Response Curve Visualization
@@ -1950,6 +2615,7 @@ function initializeDrumSounds() {
     // Connect the drum bus to the main output chain
     drumBus.connect(drumCompressor);
     drumCompressor.connect(eq);
+    drumCompressor.connect(getAuxSend('drums'));
 
     // Define drum presets as templates to avoid code duplication
     const drumPresets = {
@@ -2136,7 +2802,8 @@ function triggerDrumSound(type) {
 }
 
 // Optimized drum sound playback with performance enhancements
-function playDrumSound(type) {
+// An optional transport time lets the drum machine schedule hits ahead of time
+function playDrumSound(type, time) {
     // Double-check the drum sound exists
     if (!drumSounds[type]) {
         console.error(`Drum sound '${type}' not initialized!`, Object.keys(drumSounds).filter(k => k !== 'bus' && k !== 'compressor'));
@@ -2215,10 +2882,10 @@ function playDrumSound(type) {
         // Trigger the sound with appropriate parameters
         if (config.note) {
             // For pitched instruments (kick, tom)
-            drumSounds[type].triggerAttackRelease(config.note, config.duration);
+            drumSounds[type].triggerAttackRelease(config.note, config.duration, time);
         } else {
             // For unpitched instruments (snare, hihat, etc.)
-            drumSounds[type].triggerAttackRelease(config.duration);
+            drumSounds[type].triggerAttackRelease(config.duration, time);
         }
 
         // Update drum bus processing for dynamic compression
@@ -2263,6 +2930,16 @@ function playDrumSound(type) {
         console.error(`Error playing drum sound ${type}:`, err);
     }
 
+    // Scheduled hits get their visual feedback when the sound actually plays
+    if (time !== undefined) {
+        Tone.Draw.schedule(() => showDrumHitFeedback(type, volume), time);
+    } else {
+        showDrumHitFeedback(type, volume);
+    }
+}
+
+// Flash the drum pad and pulse the VU meter for a drum hit
+function showDrumHitFeedback(type, volume) {
     // Provide visual feedback using VU meter with scaled response
     // VU feedback is important for user interaction
     updateVUMeter(volume * 0.7);
@@ -2301,11 +2978,15 @@ document.getElementById('waveform').addEventListener('change', e => {
     const pulseWidthContainer = document.getElementById('pulseWidthContainer');
     const harmonicityContainer = document.getElementById('harmonicityContainer');
     const modulationIndexContainer = document.getElementById('modulationIndexContainer');
+    const wavetableTableContainer = document.getElementById('wavetableTableContainer');
+    const wavetablePositionContainer = document.getElementById('wavetablePositionContainer');
 
     // Hide all special controls first
     pulseWidthContainer.style.display = 'none';
     harmonicityContainer.style.display = 'none';
     modulationIndexContainer.style.display = 'none';
+    wavetableTableContainer.style.display = 'none';
+    wavetablePositionContainer.style.display = 'none';
 
     // Show relevant controls based on waveform type
     if (waveformType === 'pulse') {
@@ -2315,6 +2996,15 @@ document.getElementById('waveform').addEventListener('change', e => {
         modulationIndexContainer.style.display = 'block';
         // Make sure mobile labels are applied when FM Sine is selected
         adjustFMSineLabelsForMobile();
+    } else if (waveformType === 'wavetable') {
+        wavetableTableContainer.style.display = 'flex';
+        wavetablePositionContainer.style.display = 'block';
+    }
+
+    // Wavetable voices are built around a different oscillator, so switching
+    // in or out of wavetable mode needs a new synth
+    if ((waveformType === 'wavetable') !== synthUsesWavetable) {
+        createSynth();
     }
 
     // Configure oscillator with selected waveform
@@ -2338,7 +3028,7 @@ document.getElementById('waveform').addEventListener('change', e => {
                 modulationIndex: modulationIndex
             }
         });
-    } else {
+    } else if (waveformType !== 'wavetable') {
         // For other waveforms, just set the type
         synth.set({
             oscillator: {
@@ -2441,17 +3131,86 @@ document.getElementById('modulationIndex').addEventListener('input', e => {
     }
 });
 
-// Filter type toggle
-document.getElementById('filterTypeToggle').addEventListener('change', e => {
-    const filterType = e.target.checked ? "highpass" : "lowpass";
-    filter.type = filterType;
-    document.getElementById('filterTypeState').textContent = e.target.checked ? "HP" : "LP";
+// Wavetable. The table and position change on playing voices; importing WAV files
+// fills the 'Imported' entry of the table list.
+document.getElementById('wavetablePosition').addEventListener('input', e => {
+    updateAudioParameter('wavetablePosition', parseFloat(e.target.value));
+});
+
+document.getElementById('wavetableTable').addEventListener('input', e => {
+    // Nothing imported yet (e.g. a preset lost its table), fall back to the first table
+    if (!setWavetable(e.target.value)) {
+        e.target.value = 'basic';
+        setWavetable('basic');
+    }
+});
+
+function updateImportedWavetableOption() {
+    const option = document.querySelector('#wavetableTable option[value="custom"]');
+    const table = getImportedWavetable();
+    option.disabled = !table;
+    option.textContent = table ? `Imported: ${table.name}` : 'Imported';
+}
+
+// Use an imported or preset-embedded table, switching playing voices if it's selected
+function loadImportedWavetable(table) {
+    if (JSON.stringify(getImportedWavetable()) === JSON.stringify(table)) return;
+    setImportedWavetable(table);
+    updateImportedWavetableOption();
+    if (document.getElementById('wavetableTable').value === 'custom') {
+        setWavetable('custom');
+    }
+}
+
+const wavetableImportFile = document.getElementById('wavetableImportFile');
+
+document.getElementById('wavetableImportBtn').addEventListener('click', () => {
+    wavetableImportFile.value = ''; // Allow the same files to be picked twice
+    wavetableImportFile.click();
+});
+
+wavetableImportFile.addEventListener('change', async () => {
+    if (wavetableImportFile.files.length === 0) return;
+
+    try {
+        loadImportedWavetable(await importWavetableFiles(wavetableImportFile.files));
+    } catch (error) {
+        alert(`Failed to import wavetable: ${error.message}`);
+        return;
+    }
+
+    const tableSelect = document.getElementById('wavetableTable');
+    tableSelect.value = 'custom';
+    tableSelect.dispatchEvent(new Event('input'));
+});
+
+// Filter mode, slope and vowel. Presets dispatch 'input' and the randomizer 'change'.
+function updateFilterMode() {
+    const mode = document.getElementById('filterMode').value;
+    filter.type = mode;
+    filter.rolloff = parseInt(document.getElementById('filterRolloff').value);
+    filter.vowel = document.getElementById('filterVowel').value;
+
+    // The slope only applies to the biquad modes, the vowel only to formant
+    document.getElementById('filterRolloffContainer').hidden = mode === 'comb' || mode === 'formant';
+    document.getElementById('filterVowelContainer').hidden = mode !== 'formant';
     updateFilterResponse();
+}
+
+['filterMode', 'filterRolloff', 'filterVowel'].forEach(id => {
+    const select = document.getElementById(id);
+    select.addEventListener('input', updateFilterMode);
+    select.addEventListener('change', updateFilterMode);
+});
+
+document.getElementById('filterDrive').addEventListener('input', e => {
+    updateAudioParameter('filterDrive', parseFloat(e.target.value));
 });
 
 document.getElementById('filterCutoff').addEventListener('input', e => {
     filter.frequency.value = e.target.value;
     document.getElementById('filterCutoffValue').textContent = `${Math.round(e.target.value)} Hz`;
+    updateFilterModCurve();
     updateFilterResponse();
 });
 
@@ -2461,6 +3220,25 @@ document.getElementById('filterRes').addEventListener('input', e => {
     updateFilterResponse();
 });
 
+// Filter envelope, velocity and key tracking
+['filterEnvAttack', 'filterEnvDecay', 'filterEnvSustain', 'filterEnvRelease', 'filterEnvAmount', 'filterEnvVelocity', 'filterKeyTrack'].forEach(id => {
+    document.getElementById(id).addEventListener('input', e => {
+        updateAudioParameter(id, parseFloat(e.target.value));
+    });
+});
+
+// Velocity response - the curve shapes every note's velocity before it sets the level,
+// the other two use the shaped velocity
+document.getElementById('velocityCurve').addEventListener('input', e => {
+    setVelocityResponse({ curve: e.target.value });
+});
+
+['velocityCutoff', 'velocityAttack'].forEach(id => {
+    document.getElementById(id).addEventListener('input', e => {
+        updateAudioParameter(id, parseFloat(e.target.value));
+    });
+});
+
 document.getElementById('reverbMix').addEventListener('input', e => {
     reverb.wet.value = e.target.value;
     document.getElementById('reverbMixValue').textContent = parseFloat(e.target.value).toFixed(2);
@@ -2473,6 +3251,16 @@ document.getElementById('reverbDecay').addEventListener('input', e => {
     // Update the display immediately for better UX
     document.getElementById('reverbDecayValue').textContent = `${value.toFixed(1)}s`;
 
+    scheduleReverbUpdate();
+});
+
+document.getElementById('reverbPreDelay').addEventListener('input', e => {
+    updateParameterDisplay('reverbPreDelay', parseFloat(e.target.value));
+    scheduleReverbUpdate();
+});
+
+// Decay and pre-delay are baked into the reverb's impulse response, so it's rebuilt
+function scheduleReverbUpdate() {
     // We'll use a debounce approach to avoid recreating the reverb on every tiny change
     // Clear any pending reverb update
     if (window.reverbUpdateTimeout) {
@@ -2480,12 +3268,104 @@ document.getElementById('reverbDecay').addEventListener('input', e => {
     }
 
     // Set a new timeout to update the reverb after a short delay
-    window.reverbUpdateTimeout = setTimeout(() => updateReverb(value), 300); // 300ms debounce
-});
+    window.reverbUpdateTimeout = setTimeout(() => updateReverb(
+        parseFloat(document.getElementById('reverbDecay').value),
+        parseFloat(document.getElementById('reverbPreDelay').value)
+    ), 300); // 300ms debounce
+}
 
 document.getElementById('delayTime').addEventListener('input', e => {
-    delay.delayTime.value = e.target.value;
-    document.getElementById('delayTimeValue').textContent = parseFloat(e.target.value).toFixed(2);
+    updateAudioParameter('delayTime', parseFloat(e.target.value));
+});
+
+document.getElementById('delaySync').addEventListener('input', () => updateDelayTime());
+
+document.getElementById('delayMode').addEventListener('input', e => {
+    delay.pingPong = e.target.value === 'pingpong';
+});
+
+// Delay time in seconds - the given time, or the sync division at the current tempo
+const DELAY_TIME_GLIDE = 0.05; // s - a change bends the repeats instead of clicking
+function updateDelayTime(time = parseFloat(document.getElementById('delayTime').value), glide = DELAY_TIME_GLIDE) {
+    const division = document.getElementById('delaySync');
+    const synced = division.value !== 'off';
+
+    delay.delayTime.rampTo(synced ? Tone.Time(division.value).toSeconds() : time, glide);
+    updateTempoFollowClock();
+
+    document.getElementById('delayTimeKnob').closest('.knob-container').classList.toggle('lfo-synced', synced);
+    document.getElementById('delayTimeValue').textContent = synced ?
+        division.options[division.selectedIndex].text :
+        time.toFixed(2);
+}
+
+// The delay time is in seconds, so a synced delay follows the tempo
+addTempoFollower({
+    isSynced: () => document.getElementById('delaySync').value !== 'off',
+    follow: glide => updateDelayTime(undefined, glide)
+});
+
+// Aux buses - every source's sends, and each bus's return level and mute
+AUX_BUSES.forEach(bus => {
+    AUX_SOURCES.forEach(source => {
+        const id = getAuxSendId(source.id, bus.id);
+        document.getElementById(id).addEventListener('input', e => {
+            const value = parseFloat(e.target.value);
+            setAuxSendLevel(source.id, bus.id, value);
+            document.getElementById(`${id}Value`).textContent = value.toFixed(2);
+            if (bus.id === 'delay') {
+                updateDelayBusTime();
+                updateTempoFollowClock();
+            }
+        });
+    });
+
+    document.getElementById(`${bus.id}Return`).addEventListener('input', e => {
+        const value = parseFloat(e.target.value);
+        setAuxReturnLevel(bus.id, value);
+        document.getElementById(`${bus.id}ReturnValue`).textContent = value.toFixed(2);
+    });
+
+    document.getElementById(`${bus.id}ReturnMuteToggle`).addEventListener('change', e => {
+        setAuxReturnMute(bus.id, e.target.checked);
+        document.getElementById(`${bus.id}ReturnMuteState`).textContent = e.target.checked ? 'Muted' : 'On';
+    });
+});
+
+// Setting the decay rebuilds the bus reverb's impulse response, so it waits for the knob to settle
+let reverbBusTimeout = null;
+document.getElementById('reverbBusDecay').addEventListener('input', e => {
+    const value = parseFloat(e.target.value);
+    document.getElementById('reverbBusDecayValue').textContent = `${value.toFixed(1)}s`;
+    clearTimeout(reverbBusTimeout);
+    reverbBusTimeout = setTimeout(() => {
+        reverbBus.decay = value;
+    }, 300);
+});
+
+document.getElementById('delayBusTime').addEventListener('input', () => updateDelayBusTime());
+
+document.getElementById('delayBusFeedback').addEventListener('input', e => {
+    const value = parseFloat(e.target.value);
+    delayBus.feedback.value = value;
+    document.getElementById('delayBusFeedbackValue').textContent = value.toFixed(2);
+});
+
+// The bus delay is always synced to the tempo
+function updateDelayBusTime(glide = DELAY_TIME_GLIDE) {
+    const division = document.getElementById('delayBusTime').value;
+    delayBus.delayTime.rampTo(Tone.Time(division).toSeconds(), glide);
+}
+
+// It only needs to follow tempo changes while something is sent to it, and catches
+// up when a send comes up
+function isDelayBusFed() {
+    return AUX_SOURCES.some(source => parseFloat(document.getElementById(getAuxSendId(source.id, 'delay')).value) > 0);
+}
+
+addTempoFollower({
+    isSynced: isDelayBusFed,
+    follow: updateDelayBusTime
 });
 
 document.getElementById('delayFeedback').addEventListener('input', e => {
@@ -2514,6 +3394,47 @@ document.getElementById('phaserMix').addEventListener('input', e => {
     document.getElementById('phaserMixValue').textContent = parseFloat(e.target.value).toFixed(2);
 });
 
+// Effect editors in the FX rack
+const FX_EDITOR_PARAMS = [
+    'chorusRate', 'chorusDelay', 'chorusDepth', 'chorusFeedback', 'chorusSpread',
+    'distortionAmount', 'flangerRate', 'flangerDepth', 'flangerFeedback', 'flangerManual',
+    'phaserRate', 'phaserOctaves', 'phaserBaseFrequency', 'phaserQ',
+    'delayMix', 'delayLowCut', 'delayHighCut', 'delayDuck'
+];
+
+FX_EDITOR_PARAMS.forEach(id => {
+    document.getElementById(id).addEventListener('input', e => {
+        updateAudioParameter(id, parseFloat(e.target.value));
+    });
+});
+
+document.getElementById('distortionOversample').addEventListener('input', e => {
+    distortion.oversample = e.target.value;
+});
+
+document.getElementById('flangerSync').addEventListener('input', updateFlangerRate);
+
+// Flanger sweep rate - the rate knob, or a division tied to Tone.Transport.bpm
+// the same way as a synced LFO
+function updateFlangerRate() {
+    const division = document.getElementById('flangerSync');
+    const synced = division.value !== 'off';
+    const frequency = synced ?
+        Tone.Time(division.value).toFrequency() :
+        parseFloat(document.getElementById('flangerRate').value);
+
+    Tone.Transport.unsyncSignal(flanger.frequency);
+    flanger.frequency.value = frequency;
+    if (synced) {
+        Tone.Transport.syncSignal(flanger.frequency);
+    }
+
+    document.getElementById('flangerRateKnob').closest('.knob-container').classList.toggle('lfo-synced', synced);
+    document.getElementById('flangerRateValue').textContent = synced ?
+        division.options[division.selectedIndex].text :
+        frequency.toFixed(2) + ' Hz';
+}
+
 // New oscillator control event listeners
 document.getElementById('oscillatorOctave').addEventListener('input', e => {
     const value = parseInt(e.target.value);
@@ -2531,9 +3452,58 @@ document.getElementById('oscillatorLevel').addEventListener('input', e => {
     const value = parseFloat(e.target.value);
     document.getElementById('oscillatorLevelValue').textContent = value.toFixed(2);
 
-    // Update oscillator level
+    // Oscillator 1's level in the source mixer
     synth.set({
-        volume: Tone.gainToDb(value)
+        osc1Level: value
+    });
+});
+
+// Settings for the second oscillator, sub-oscillator, noise, unison and the source mixer,
+// in the form LayeredSynth and PolySynth.set() expect
+function getVoiceSourceSettings() {
+    const value = id => parseFloat(document.getElementById(id).value);
+
+    return {
+        osc1Level: value('oscillatorLevel'),
+        oscillator2: {
+            type: document.getElementById('osc2Waveform').value
+        },
+        osc2Detune: value('osc2Octave') * 1200 + value('osc2Semi') * 100 + value('osc2Fine'),
+        osc2Level: value('osc2Level'),
+        subOscillator: {
+            type: document.getElementById('subWaveform').value
+        },
+        subDetune: value('subOctave') * 1200,
+        subLevel: value('subLevel'),
+        noise: {
+            type: document.getElementById('noiseType').value
+        },
+        noiseLevel: value('noiseLevel'),
+        unison: value('unisonVoices'),
+        unisonDetune: value('unisonDetune'),
+        unisonSpread: value('unisonSpread'),
+        unisonBlend: value('unisonBlend')
+    };
+}
+
+// Source controls - each one updates its display and pushes the source settings to every voice
+const voiceSourceDisplays = {
+    osc2Octave: value => value,
+    osc2Semi: value => value,
+    osc2Fine: value => `${value} ¢`,
+    osc2Level: value => value.toFixed(2),
+    subLevel: value => value.toFixed(2),
+    noiseLevel: value => value.toFixed(2)
+};
+
+['osc2Waveform', 'osc2Octave', 'osc2Semi', 'osc2Fine', 'osc2Level',
+    'subWaveform', 'subOctave', 'subLevel', 'noiseType', 'noiseLevel'
+].forEach(id => {
+    document.getElementById(id).addEventListener('input', e => {
+        if (voiceSourceDisplays[id]) {
+            document.getElementById(`${id}Value`).textContent = voiceSourceDisplays[id](parseFloat(e.target.value));
+        }
+        synth.set(getVoiceSourceSettings());
     });
 });
 
@@ -2561,49 +3531,38 @@ document.getElementById('voices').addEventListener('input', e => {
     // Update knob rotation visually
     knobUpdaters.voices(value);
 
-    // Create a new PolySynth with the specified number of voices
-    // Store current oscillator settings
-    const waveformType = document.getElementById('waveform').value;
-    const level = parseFloat(document.getElementById('oscillatorLevel').value);
-    const detune = parseInt(document.getElementById('detune').value);
+    // Rebuild the synth with the new voice count. Mono modes only ever use one voice.
+    if (document.getElementById('voiceMode').value === 'poly') {
+        createSynth();
+    }
+});
 
-    // Create a new PolySynth with the specified number of voices
-    const oldSynth = synth;
-    synth = new Tone.PolySynth({
-        maxPolyphony: value,
-        voice: Tone.Synth,
-        options: {
-            ...synthSettings,
-            oscillator: {
-                type: waveformType,
-                detune: detune
-            },
-            volume: Tone.gainToDb(level)
-        }
-    });
+// Voice mode, note priority and glide. Switching between poly and mono needs a new synth,
+// the rest is changed on the running mono synth.
+document.getElementById('voiceMode').addEventListener('input', () => {
+    createSynth();
+});
 
-    // Connect to the effects chain
-    synth.connect(filter);
+document.getElementById('notePriority').addEventListener('input', e => {
+    if (synth instanceof MonoLayeredSynth) {
+        synth.set({ priority: e.target.value });
+    }
+});
 
-    // Apply octave/semitone detune
-    updateDetune();
+document.getElementById('glideTime').addEventListener('input', e => {
+    updateAudioParameter('glideTime', parseFloat(e.target.value));
+});
 
-    // Properly dispose of the old synth to prevent memory leaks
-    // First release all notes, then disconnect, then dispose
-    if (oldSynth) {
-        oldSynth.releaseAll();
-        // Use a try-catch block to prevent errors if disposal fails
-        try {
-            setTimeout(() => {
-                if (oldSynth) {
-                    oldSynth.disconnect();
-                    oldSynth.dispose();
-                }
-            }, 100);
-        } catch (err) {
-            console.warn('Error disposing synth:', err);
-        }
-    }
+// Unison - the copy count is built into each voice, so changing it rebuilds the synth
+document.getElementById('unisonVoices').addEventListener('input', e => {
+    updateParameterDisplay('unisonVoices', parseFloat(e.target.value));
+    createSynth();
+});
+
+['unisonDetune', 'unisonSpread', 'unisonBlend'].forEach(id => {
+    document.getElementById(id).addEventListener('input', e => {
+        updateAudioParameter(id, parseFloat(e.target.value));
+    });
 });
 
 // ADSR controls
@@ -2668,6 +3627,9 @@ document.getElementById('startSequencer').addEventListener('click', async functi
             // Reset step counter to start from beginning
             currentStep = 15; // So it becomes 0 on first beat
 
+            // Song mode always starts from its first entry
+            resetPatternPlayback();
+
             // IMPORTANT: Ensure the audio analyzers are connected
             ensureVisualizersConnected();
 
@@ -2681,6 +3643,7 @@ document.getElementById('startSequencer').addEventListener('click', async functi
             Tone.Transport.cancel(); // Cancel all scheduled events
             Tone.Transport.stop();
             setupSequencer(); // Recreate the sequencer events
+            setupDrumMachine(); // Recreate the drum pattern events
             Tone.Transport.start();
 
             isPlaying = true;
@@ -2710,6 +3673,9 @@ document.getElementById('startSequencer').addEventListener('click', async functi
 
         // Clear any active key highlights when stopping
         clearSequencerKeyHighlights();
+        releaseTiedSequencerNote();
+        revertStepLocks();
+        stopDrumMachine();
     }
 });
 
@@ -2795,10 +3761,31 @@ document.getElementById('masterPan').addEventListener('input', async (e) => {
 // The init patch with basic settings
 const initPatch = {
     voiceMode: "poly",
+    notePriority: "last",
+    glideTime: "0",
+    unisonVoices: "1",
+    unisonDetune: "20",
+    unisonSpread: "0.5",
+    unisonBlend: "0.75",
     waveform: "sine",
+    wavetableTable: "basic",
+    wavetablePosition: "0",
     filterCutoff: "8000",
     filterRes: "1",
-    filterType: false,
+    filterMode: "lowpass",
+    filterRolloff: "-12",
+    filterVowel: "a",
+    filterDrive: "0",
+    filterEnvAttack: "0.01",
+    filterEnvDecay: "0.3",
+    filterEnvSustain: "0",
+    filterEnvRelease: "0.5",
+    filterEnvAmount: "0",
+    filterEnvVelocity: "0",
+    filterKeyTrack: "0",
+    velocityCurve: "linear",
+    velocityCutoff: "0",
+    velocityAttack: "0",
     reverbMix: "0.1",
     reverbDecay: "1.5",
     delayTime: "0.1",
@@ -2811,15 +3798,74 @@ const initPatch = {
     oscillatorOctave: "0",
     oscillatorSemi: "0",
     oscillatorLevel: "0.8",
+    osc2Waveform: "sawtooth",
+    osc2Octave: "0",
+    osc2Semi: "0",
+    osc2Fine: "0",
+    osc2Level: "0",
+    subWaveform: "sine",
+    subOctave: "-1",
+    subLevel: "0",
+    noiseType: "white",
+    noiseLevel: "0",
     detune: "0",
     chorusMix: "0",
     distortionMix: "0",
     flangerMix: "0",
     phaserMix: "0",
+    reverbPreDelay: "0.01",
+    chorusRate: "1.5",
+    chorusDelay: "3.5",
+    chorusDepth: "0.7",
+    chorusFeedback: "0",
+    chorusSpread: "180",
+    distortionAmount: "0.8",
+    distortionOversample: "none",
+    flangerRate: "0.5",
+    flangerDepth: "0.5",
+    flangerFeedback: "0.5",
+    flangerManual: "3",
+    flangerSync: "off",
+    phaserRate: "0.5",
+    phaserOctaves: "3",
+    phaserBaseFrequency: "350",
+    phaserQ: "10",
+    delayMix: "1",
+    delayLowCut: "20",
+    delayHighCut: "20000",
+    delayDuck: "0",
+    delaySync: "off",
+    delayMode: "stereo",
+    reverbReturn: "1",
+    reverbReturnMute: false,
+    reverbBusDecay: "3",
+    rackReverbSend: "0",
+    drumsReverbSend: "0",
+    delayReturn: "1",
+    delayReturnMute: false,
+    delayBusTime: "8n.",
+    delayBusFeedback: "0.35",
+    rackDelaySend: "0",
+    drumsDelaySend: "0",
     lfoRate: "1",
     lfoAmount: "50",
     lfoDestination: "off",
     lfoWaveform: "sine",
+    lfoSync: false,
+    lfoDivision: "4n",
+    lfoRetrigger: "off",
+    lfo2Rate: "1",
+    lfo2Waveform: "sine",
+    lfo2Sync: false,
+    lfo2Division: "4n",
+    lfo2Retrigger: "off",
+    lfo3Rate: "1",
+    lfo3Waveform: "sine",
+    lfo3Sync: false,
+    lfo3Division: "4n",
+    lfo3Retrigger: "off",
+    modMatrix: [],
+    fxRack: DEFAULT_FX_RACK,
     droneOctave: "-1",
     eqLow: "0",
     eqMid: "0",
@@ -2920,9 +3966,35 @@ let activePresetName = null;
 import {
     getPresetByName,
     getPresetsByCategory,
-    clearPresetCache
+    clearPresetCache,
+    PRESET_SCHEMA_VERSION,
+    MAX_SEQUENCER_STEPS,
+    MIN_STEP_LEVEL,
+    migratePresetSettings,
+    validatePresetSettings
 } from './presets.js';
 
+import {
+    exportPresets,
+    presetFileName,
+    readPresetFile,
+    parsePresetFile,
+    mergeImportedPresets,
+    encodePresetForUrl,
+    decodePresetFromUrl,
+    SHARE_LINK_KEY
+} from './presetIO.js';
+
+import {
+    getPresetKey,
+    loadPresetLibrary,
+    savePresetLibrary,
+    parseTags,
+    forgetPreset,
+    matchesPresetSearch,
+    sortPresets
+} from './presetLibrary.js';
+
 // Optimized preset initialization with lazy loading
 function initializePresets() {
     // Use an initialization timestamp instead of console.time to avoid timer warnings
@@ -2954,6 +4026,12 @@ function initializePresets() {
     }, 1000);
 }
 
+// Favourites, tags, recently used times and the chosen sort order
+const presetLibrary = loadPresetLibrary();
+
+// Built-in categories in the order the list shows them; anything else follows alphabetically
+const PRESET_CATEGORY_ORDER = ['pad', 'lead', 'keys', 'pluck', 'bass', 'fx', 'drum', 'seq', 'ambient', 'arp'];
+
 // Optimized preset list rendering with virtualization and on-demand loading
 function renderPresetList() {
     const presetList = document.getElementById('presetList');
@@ -2962,11 +4040,12 @@ function renderPresetList() {
     // Clear the list to avoid memory leaks from removed event listeners
     presetList.innerHTML = '';
 
-    // Track presets by category for better organization
-    const presetsByCategory = {};
+    // Position in the source list, used to keep the built-in order when grouping by category
+    let presetIndex = 0;
 
     // Create preset item generator function for reuse
     const createPresetItem = (preset, isCustom = false) => {
+        const presetKey = getPresetKey(preset.name, isCustom);
         const presetItem = document.createElement('div');
         presetItem.className = 'preset-item' + (activePresetName === preset.name ? ' active' : '');
 
@@ -2974,13 +4053,35 @@ function renderPresetList() {
         presetItem.dataset.name = preset.name;
         presetItem.dataset.category = preset.category;
         presetItem.dataset.custom = isCustom.toString();
+        presetItem.dataset.key = presetKey;
+        presetItem.dataset.index = presetIndex++;
+        updatePresetItemLibraryData(presetItem);
 
-        // Use efficient innerHTML for template (better than creating multiple elements)
+        // Use efficient innerHTML for template (better than creating multiple elements).
+        // Names and categories can come from imported files, so they are set as
+        // text rather than written into the markup.
         presetItem.innerHTML = `
-            <i class="fas fa-music"></i>
-            <span class="preset-name">${preset.name}</span>
-            <span class="preset-tag ${preset.category}">${preset.category}</span>
+            <button class="preset-favorite" title="Favourite"><i class="fa-star"></i></button>
+            <span class="preset-name"></span>
+            <span class="preset-user-tags"></span>
+            <span class="preset-tag"></span>
+            <button class="preset-tag-edit" title="Edit tags"><i class="fas fa-tag"></i></button>
         `;
+        presetItem.querySelector('.preset-name').textContent = preset.name;
+        const categoryTag = presetItem.querySelector('.preset-tag');
+        categoryTag.className = `preset-tag ${preset.category}`;
+        categoryTag.textContent = preset.category;
+        renderPresetItemLibraryData(presetItem);
+
+        presetItem.querySelector('.preset-favorite').addEventListener('click', e => {
+            e.stopPropagation();
+            togglePresetFavorite(presetItem);
+        });
+
+        presetItem.querySelector('.preset-tag-edit').addEventListener('click', e => {
+            e.stopPropagation();
+            editPresetTags(presetItem);
+        });
 
         // Use event delegation pattern for better performance
         // The click handler is added to the container element instead of each preset item
@@ -2992,6 +4093,11 @@ function renderPresetList() {
             presetItem.classList.add('active');
             activePresetName = preset.name;
 
+            // Remember when it was used for the "Recent" sort
+            presetLibrary.lastUsed[presetKey] = Date.now();
+            savePresetLibrary(presetLibrary);
+            updatePresetItemLibraryData(presetItem);
+
             // Show loading indicator
             const loadingIndicator = document.createElement('div');
             loadingIndicator.className = 'preset-loading-indicator';
@@ -3018,77 +4124,183 @@ function renderPresetList() {
         return presetItem;
     };
 
-    // Group built-in presets by category for better organization
     builtInPresets.forEach(preset => {
-        if (!presetsByCategory[preset.category]) {
-            presetsByCategory[preset.category] = [];
-        }
-        presetsByCategory[preset.category].push(preset);
-    });
-
-    // Create category headers and add presets in custom order
-    // Define the desired category order: pads, leads, keys, plucks, bass, fx, custom
-    const categoryOrder = ['pad', 'lead', 'keys', 'pluck', 'bass', 'fx', 'drum', 'seq', 'ambient', 'arp'];
-    // Get all categories and sort them according to the custom order (any categories not in the order array go at the end)
-    const categories = Object.keys(presetsByCategory).sort((a, b) => {
-        const indexA = categoryOrder.indexOf(a);
-        const indexB = categoryOrder.indexOf(b);
-        // If both categories are in the list, sort by their position
-        if (indexA !== -1 && indexB !== -1) {
-            return indexA - indexB;
-        }
-        // If only a is in the list, it comes first
-        if (indexA !== -1) {
-            return -1;
-        }
-        // If only b is in the list, it comes first
-        if (indexB !== -1) {
-            return 1;
-        }
-        // If neither is in the list, use alphabetical order
-        return a.localeCompare(b);
-    });
-
-    categories.forEach(category => {
-        // Create category header
-        const categoryHeader = document.createElement('div');
-        categoryHeader.className = 'preset-category-header';
-        categoryHeader.textContent = category.charAt(0).toUpperCase() + category.slice(1);
-        presetList.appendChild(categoryHeader);
-
-        // Add presets for this category
-        presetsByCategory[category].forEach(preset => {
-            presetList.appendChild(createPresetItem(preset));
-        });
+        presetList.appendChild(createPresetItem(preset));
     });
 
     // Add custom presets with optimized localStorage access
     try {
         const customPresetsRaw = localStorage.getItem('customPresets');
         if (customPresetsRaw) {
-            const customPresets = JSON.parse(customPresetsRaw);
-
-            // Only render if there are custom presets
-            if (customPresets && customPresets.length > 0) {
-                // Add custom presets header
-                const customHeader = document.createElement('div');
-                customHeader.className = 'preset-category-header custom-header';
-                customHeader.textContent = 'Custom Presets';
-                presetList.appendChild(customHeader);
-
-                // Add each custom preset
-                customPresets.forEach(preset => {
-                    presetList.appendChild(createPresetItem(preset, true));
-                });
+            let customPresets = JSON.parse(customPresetsRaw);
+
+            // Upgrade presets saved by older versions and store them back in the new format
+            if (Array.isArray(customPresets) && customPresets.some(p => p.settings && p.settings.schemaVersion !== PRESET_SCHEMA_VERSION)) {
+                customPresets = customPresets.map(p => ({
+                    ...p,
+                    settings: migratePresetSettings(p.settings || {})
+                }));
+                localStorage.setItem('customPresets', JSON.stringify(customPresets));
+                console.log('Migrated custom presets to schema version', PRESET_SCHEMA_VERSION);
             }
+
+            // Add each custom preset
+            customPresets.forEach(preset => {
+                presetList.appendChild(createPresetItem(preset, true));
+            });
         }
     } catch (e) {
         console.error('Error loading custom presets:', e);
         // Recover gracefully from corrupt localStorage data
         localStorage.removeItem('customPresets');
     }
+
+    // Order, group and filter the items
+    updatePresetListView();
+
+    // Keep the morph pickers in step with the list
+    populateMorphSelects();
 }
 
+// Copy a preset's favourite, tags and last use onto its list item's data attributes
+function updatePresetItemLibraryData(presetItem) {
+    const key = presetItem.dataset.key;
+    presetItem.dataset.favorite = presetLibrary.favorites.includes(key).toString();
+    presetItem.dataset.tags = (presetLibrary.tags[key] || []).join(',');
+    presetItem.dataset.lastUsed = presetLibrary.lastUsed[key] || 0;
+}
+
+// Show the star and tag chips for a list item
+function renderPresetItemLibraryData(presetItem) {
+    const favorite = presetItem.dataset.favorite === 'true';
+    presetItem.classList.toggle('favorite', favorite);
+    presetItem.querySelector('.preset-favorite i').className = `${favorite ? 'fas' : 'far'} fa-star`;
+
+    const tagContainer = presetItem.querySelector('.preset-user-tags');
+    tagContainer.innerHTML = '';
+    presetItem.dataset.tags.split(',').filter(Boolean).forEach(tag => {
+        const chip = document.createElement('span');
+        chip.className = 'preset-user-tag';
+        chip.textContent = `#${tag}`;
+        tagContainer.appendChild(chip);
+    });
+}
+
+// Star or unstar a preset
+function togglePresetFavorite(presetItem) {
+    const key = presetItem.dataset.key;
+    if (presetLibrary.favorites.includes(key)) {
+        presetLibrary.favorites = presetLibrary.favorites.filter(favorite => favorite !== key);
+    } else {
+        presetLibrary.favorites.push(key);
+    }
+    savePresetLibrary(presetLibrary);
+
+    updatePresetItemLibraryData(presetItem);
+    renderPresetItemLibraryData(presetItem);
+    updatePresetListView();
+}
+
+// Ask for a new set of tags for a preset
+function editPresetTags(presetItem) {
+    const key = presetItem.dataset.key;
+    const current = (presetLibrary.tags[key] || []).join(', ');
+    const input = prompt(`Tags for "${presetItem.dataset.name}" (separated by commas):`, current);
+    if (input === null) return;
+
+    const tags = parseTags(input);
+    if (tags.length > 0) {
+        presetLibrary.tags[key] = tags;
+    } else {
+        delete presetLibrary.tags[key];
+    }
+    savePresetLibrary(presetLibrary);
+
+    updatePresetItemLibraryData(presetItem);
+    renderPresetItemLibraryData(presetItem);
+    updatePresetListView();
+}
+
+// Apply the search, favourites filter and sort order to the rendered list
+function updatePresetListView() {
+    const presetList = document.getElementById('presetList');
+    if (!presetList) return;
+
+    const query = document.getElementById('presetSearch').value;
+    const favoritesOnly = document.getElementById('presetFavoritesOnly').classList.contains('active');
+    const sortMode = presetLibrary.sort;
+
+    // Headers depend on the sort order, so they're rebuilt every time
+    presetList.querySelectorAll('.preset-category-header, .preset-list-empty').forEach(element => element.remove());
+
+    const entries = Array.from(presetList.querySelectorAll('.preset-item')).map(item => ({
+        item,
+        name: item.dataset.name,
+        category: item.dataset.category,
+        custom: item.dataset.custom === 'true',
+        favorite: item.dataset.favorite === 'true',
+        tags: item.dataset.tags.split(',').filter(Boolean),
+        lastUsed: parseInt(item.dataset.lastUsed),
+        index: parseInt(item.dataset.index)
+    }));
+
+    const visible = [];
+    const hidden = [];
+    entries.forEach(entry => {
+        const show = (!favoritesOnly || entry.favorite) && matchesPresetSearch(entry, query);
+        entry.item.hidden = !show;
+        (show ? visible : hidden).push(entry);
+    });
+
+    let currentGroup = null;
+    sortPresets(visible, sortMode, PRESET_CATEGORY_ORDER).forEach(entry => {
+        // Category headers only make sense when the list is grouped by category
+        if (sortMode === 'category') {
+            const group = entry.custom ? 'custom' : entry.category;
+            if (group !== currentGroup) {
+                currentGroup = group;
+                const header = document.createElement('div');
+                if (entry.custom) {
+                    header.className = 'preset-category-header custom-header';
+                    header.textContent = 'Custom Presets';
+                } else {
+                    header.className = 'preset-category-header';
+                    header.textContent = group.charAt(0).toUpperCase() + group.slice(1);
+                }
+                presetList.appendChild(header);
+            }
+        }
+        presetList.appendChild(entry.item);
+    });
+
+    // Hidden items are moved to the end, so the message goes before them
+    hidden.forEach(entry => presetList.appendChild(entry.item));
+
+    if (visible.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'preset-list-empty';
+        empty.textContent = favoritesOnly && !query.trim() ? 'No favourites yet' : 'No presets match your search';
+        presetList.prepend(empty);
+    }
+}
+
+document.getElementById('presetSearch').addEventListener('input', updatePresetListView);
+
+const presetSortSelect = document.getElementById('presetSort');
+presetSortSelect.value = presetLibrary.sort;
+presetSortSelect.addEventListener('change', () => {
+    presetLibrary.sort = presetSortSelect.value;
+    savePresetLibrary(presetLibrary);
+    updatePresetListView();
+});
+
+document.getElementById('presetFavoritesOnly').addEventListener('click', e => {
+    const button = e.currentTarget;
+    button.classList.toggle('active');
+    button.querySelector('i').className = `${button.classList.contains('active') ? 'fas' : 'far'} fa-star`;
+    updatePresetListView();
+});
+
 // Function to perform a clean reset of the synth state
 function performCleanReset() {
     console.log("Performing clean reset...");
@@ -3100,6 +4312,8 @@ function performCleanReset() {
 
         // Clear any active key highlights
         clearSequencerKeyHighlights();
+        stopDrumMachine();
+        revertStepLocks();
 
         // Also update UI to show sequencer as stopped
         const playButton = document.getElementById('startSequencer');
@@ -3116,6 +4330,7 @@ function performCleanReset() {
     if (synth) {
         synth.releaseAll();
     }
+    tiedSequencerNote = null;
 
     // Reset LFO state
     if (window.lfoAnimationFrame) {
@@ -3172,16 +4387,27 @@ function performCleanReset() {
 
 // Apply a preset to the synth
 function applyPreset(settings) {
+    // Upgrade older presets and keep out-of-range values away from the inputs
+    const validation = validatePresetSettings(migratePresetSettings(settings));
+    validation.warnings.forEach(warning => console.warn(`Preset validation: ${warning}`));
+    settings = validation.settings;
+
     // Perform a clean reset before applying the new preset
     performCleanReset();
 
+    // An embedded wavetable has to be loaded before the table select can pick it
+    if (settings.wavetableData) {
+        loadImportedWavetable(settings.wavetableData);
+    }
+
     // Update all parameters and trigger input events to update visuals
     Object.entries(settings).forEach(([key, value]) => {
-        if (key !== 'sequencer' && key !== 'drumMachine') {
-            if (key === 'filterType') {
-                // Handle toggle separately
-                document.getElementById('filterTypeToggle').checked = value;
-                document.getElementById('filterTypeToggle').dispatchEvent(new Event('change'));
+        if (!['sequencer', 'drumMachine', 'patternBank', 'modMatrix', 'wavetableData', 'fxRack', 'schemaVersion'].includes(key)) {
+            if (PRESET_TOGGLE_KEYS.includes(key)) {
+                // Handle toggles separately
+                const toggle = document.getElementById(`${key}Toggle`);
+                toggle.checked = value;
+                toggle.dispatchEvent(new Event('change'));
             } else if (key === 'waveform') {
                 // For waveform, we need to trigger a change event to show/hide oscillator specific controls
                 const input = document.getElementById(key);
@@ -3203,39 +4429,31 @@ function applyPreset(settings) {
                 if (input) {
                     input.value = value;
                     input.dispatchEvent(new Event('input'));
-
-                    // Voice mode handling can be removed - always use poly mode
-                    // We always use poly mode in this application
                 }
             }
         }
     });
 
-    // Update sequencer if available
-    if (settings.sequencer) {
-        const steps = document.querySelectorAll('.step');
-        settings.sequencer.forEach((stepSetup, i) => {
-            if (i < steps.length) {
-                const step = steps[i];
-                const select = step.querySelector('select');
-                if (select && stepSetup.note) {
-                    select.value = stepSetup.note;
-                }
-
-                const toggle = step.querySelector('.step-toggle');
-                if (toggle) {
-                    toggle.classList.toggle('active', stepSetup.active);
-                    toggle.textContent = stepSetup.active ? 'On' : 'Off';
-                }
-            }
-        });
+    // Update sequencer and pattern bank if available - this also sets the pattern length
+    if (settings.patternBank || Array.isArray(settings.sequencer)) {
+        setPatternBank(settings.patternBank, settings.sequencer);
     }
 
+    // Presets without a drum pattern (built-ins, and ones saved before the drum
+    // machine) clear it, so the previous preset's pattern doesn't carry over
+    setDrumPattern(settings.drumMachine);
+
     // Add LFO settings loading near the end of the function
     if (settings.lfoDestination) {
         loadLfoPresetSettings(settings);
     }
 
+    // Matrix routes are built on the values set above
+    setModMatrix(settings.modMatrix || []);
+
+    // Effect order and bypass states
+    setFxRack(settings.fxRack || DEFAULT_FX_RACK);
+
     // Ensure synth settings is updated for recreating synths
     synthSettings.envelope.attack = parseFloat(document.getElementById('attack').value);
     synthSettings.envelope.decay = parseFloat(document.getElementById('decay').value);
@@ -3289,28 +4507,53 @@ function loadLfoPresetSettings(settings) {
     if (isDestinationAvailable) {
         lfoDestinationSelect.value = lfoDestination;
     } else {
+        if (lfoDestination !== 'off') {
+            console.warn(`Preset LFO destination "${lfoDestination}" is not available for the ${currentWaveform} waveform, LFO turned off`);
+        }
         lfoDestinationSelect.value = 'off';
     }
 
     lfoRateInput.value = lfoRate;
     lfoAmountInput.value = lfoAmount;
     lfoWaveformSelect.value = lfoWaveform;
+    document.getElementById('lfoSyncToggle').checked = lfoSync;
 
     // Trigger change events to ensure proper initialization
     lfoDestinationSelect.dispatchEvent(new Event('change'));
     lfoRateInput.dispatchEvent(new Event('input'));
     lfoAmountInput.dispatchEvent(new Event('input'));
     lfoWaveformSelect.dispatchEvent(new Event('change'));
+    document.getElementById('lfoSyncToggle').dispatchEvent(new Event('change'));
 }
 
 // Get the current setup
 function getCurrentSetup() {
     const setup = {
-        voiceMode: "poly", // Always using poly mode
+        schemaVersion: PRESET_SCHEMA_VERSION,
+        voiceMode: document.getElementById('voiceMode').value,
+        notePriority: document.getElementById('notePriority').value,
+        glideTime: document.getElementById('glideTime').value,
+        unisonVoices: document.getElementById('unisonVoices').value,
+        unisonDetune: document.getElementById('unisonDetune').value,
+        unisonSpread: document.getElementById('unisonSpread').value,
+        unisonBlend: document.getElementById('unisonBlend').value,
         waveform: document.getElementById('waveform').value,
         filterCutoff: document.getElementById('filterCutoff').value,
         filterRes: document.getElementById('filterRes').value,
-        filterType: document.getElementById('filterTypeToggle').checked,
+        filterMode: document.getElementById('filterMode').value,
+        filterRolloff: document.getElementById('filterRolloff').value,
+        filterVowel: document.getElementById('filterVowel').value,
+        filterDrive: document.getElementById('filterDrive').value,
+        filterEnvAttack: document.getElementById('filterEnvAttack').value,
+        filterEnvDecay: document.getElementById('filterEnvDecay').value,
+        filterEnvSustain: document.getElementById('filterEnvSustain').value,
+        filterEnvRelease: document.getElementById('filterEnvRelease').value,
+        filterEnvAmount: document.getElementById('filterEnvAmount').value,
+        filterEnvVelocity: document.getElementById('filterEnvVelocity').value,
+        filterKeyTrack: document.getElementById('filterKeyTrack').value,
+        velocityCurve: document.getElementById('velocityCurve').value,
+        velocityCutoff: document.getElementById('velocityCutoff').value,
+        velocityAttack: document.getElementById('velocityAttack').value,
         reverbMix: document.getElementById('reverbMix').value,
         reverbDecay: document.getElementById('reverbDecay').value,
         delayTime: document.getElementById('delayTime').value,
@@ -3323,14 +4566,73 @@ function getCurrentSetup() {
         oscillatorOctave: document.getElementById('oscillatorOctave').value,
         oscillatorSemi: document.getElementById('oscillatorSemi').value,
         oscillatorLevel: document.getElementById('oscillatorLevel').value,
+        osc2Waveform: document.getElementById('osc2Waveform').value,
+        osc2Octave: document.getElementById('osc2Octave').value,
+        osc2Semi: document.getElementById('osc2Semi').value,
+        osc2Fine: document.getElementById('osc2Fine').value,
+        osc2Level: document.getElementById('osc2Level').value,
+        subWaveform: document.getElementById('subWaveform').value,
+        subOctave: document.getElementById('subOctave').value,
+        subLevel: document.getElementById('subLevel').value,
+        noiseType: document.getElementById('noiseType').value,
+        noiseLevel: document.getElementById('noiseLevel').value,
         chorusMix: document.getElementById('chorusMix').value,
         distortionMix: document.getElementById('distortionMix').value,
         flangerMix: document.getElementById('flangerMix').value,
         phaserMix: document.getElementById('phaserMix').value,
+        reverbPreDelay: document.getElementById('reverbPreDelay').value,
+        chorusRate: document.getElementById('chorusRate').value,
+        chorusDelay: document.getElementById('chorusDelay').value,
+        chorusDepth: document.getElementById('chorusDepth').value,
+        chorusFeedback: document.getElementById('chorusFeedback').value,
+        chorusSpread: document.getElementById('chorusSpread').value,
+        distortionAmount: document.getElementById('distortionAmount').value,
+        distortionOversample: document.getElementById('distortionOversample').value,
+        flangerRate: document.getElementById('flangerRate').value,
+        flangerDepth: document.getElementById('flangerDepth').value,
+        flangerFeedback: document.getElementById('flangerFeedback').value,
+        flangerManual: document.getElementById('flangerManual').value,
+        flangerSync: document.getElementById('flangerSync').value,
+        phaserRate: document.getElementById('phaserRate').value,
+        phaserOctaves: document.getElementById('phaserOctaves').value,
+        phaserBaseFrequency: document.getElementById('phaserBaseFrequency').value,
+        phaserQ: document.getElementById('phaserQ').value,
+        delayMix: document.getElementById('delayMix').value,
+        delayLowCut: document.getElementById('delayLowCut').value,
+        delayHighCut: document.getElementById('delayHighCut').value,
+        delayDuck: document.getElementById('delayDuck').value,
+        delaySync: document.getElementById('delaySync').value,
+        delayMode: document.getElementById('delayMode').value,
+        reverbReturn: document.getElementById('reverbReturn').value,
+        reverbReturnMute: document.getElementById('reverbReturnMuteToggle').checked,
+        reverbBusDecay: document.getElementById('reverbBusDecay').value,
+        rackReverbSend: document.getElementById('rackReverbSend').value,
+        drumsReverbSend: document.getElementById('drumsReverbSend').value,
+        delayReturn: document.getElementById('delayReturn').value,
+        delayReturnMute: document.getElementById('delayReturnMuteToggle').checked,
+        delayBusTime: document.getElementById('delayBusTime').value,
+        delayBusFeedback: document.getElementById('delayBusFeedback').value,
+        rackDelaySend: document.getElementById('rackDelaySend').value,
+        drumsDelaySend: document.getElementById('drumsDelaySend').value,
         lfoDestination: document.getElementById('lfoDestination').value,
         lfoRate: document.getElementById('lfoRate').value,
         lfoAmount: document.getElementById('lfoAmount').value,
         lfoWaveform: document.getElementById('lfoWaveform').value,
+        lfoSync: document.getElementById('lfoSyncToggle').checked,
+        lfoDivision: document.getElementById('lfoDivision').value,
+        lfoRetrigger: document.getElementById('lfoRetrigger').value,
+        lfo2Rate: document.getElementById('lfo2Rate').value,
+        lfo2Waveform: document.getElementById('lfo2Waveform').value,
+        lfo2Sync: document.getElementById('lfo2SyncToggle').checked,
+        lfo2Division: document.getElementById('lfo2Division').value,
+        lfo2Retrigger: document.getElementById('lfo2Retrigger').value,
+        lfo3Rate: document.getElementById('lfo3Rate').value,
+        lfo3Waveform: document.getElementById('lfo3Waveform').value,
+        lfo3Sync: document.getElementById('lfo3SyncToggle').checked,
+        lfo3Division: document.getElementById('lfo3Division').value,
+        lfo3Retrigger: document.getElementById('lfo3Retrigger').value,
+        modMatrix: getModMatrix(),
+        fxRack: getFxRack(),
         droneOctave: document.getElementById('droneOctave').value,
         eqLow: document.getElementById('eqLow').value,
         eqMid: document.getElementById('eqMid').value,
@@ -3341,10 +4643,10 @@ function getCurrentSetup() {
         stereoWidth: document.getElementById('stereoWidth').value,
         masterVolume: document.getElementById('masterVolume').value,
         masterPan: document.getElementById('masterPan').value,
-        sequencer: Array.from(document.querySelectorAll('.step')).map(step => ({
-            note: step.querySelector('select').value,
-            active: step.querySelector('.step-toggle').classList.contains('active')
-        })),
+        sequencerResolution: document.getElementById('sequencerResolution').value,
+        sequencer: getSequencerSteps(),
+        patternBank: getPatternBank(),
+        drumMachine: getDrumPattern(),
     };
 
     // Add waveform-specific parameters
@@ -3353,6 +4655,13 @@ function getCurrentSetup() {
     } else if (setup.waveform === 'fmsine') {
         setup.harmonicity = document.getElementById('harmonicity').value;
         setup.modulationIndex = document.getElementById('modulationIndex').value;
+    } else if (setup.waveform === 'wavetable') {
+        // Built-in tables are stored by name, an imported one is embedded
+        setup.wavetableTable = document.getElementById('wavetableTable').value;
+        setup.wavetablePosition = document.getElementById('wavetablePosition').value;
+        if (setup.wavetableTable === 'custom') {
+            setup.wavetableData = getImportedWavetable();
+        }
     }
 
     // Validate LFO destination based on current waveform
@@ -3362,6 +4671,8 @@ function getCurrentSetup() {
     } else if ((setup.lfoDestination === 'harmonicity' || setup.lfoDestination === 'modulationIndex') &&
         setup.waveform !== 'fmsine') {
         setup.lfoDestination = 'off';
+    } else if (setup.lfoDestination === 'wavetablePosition' && setup.waveform !== 'wavetable') {
+        setup.lfoDestination = 'off';
     }
 
     return setup;
@@ -3447,6 +4758,10 @@ document.getElementById('deletePresetBtn').addEventListener('click', () => {
         // Remove the preset
         const filteredPresets = customPresets.filter(p => p.name !== activePresetName);
 
+        // Drop its favourite, tags and last use too
+        forgetPreset(presetLibrary, getPresetKey(activePresetName, true));
+        savePresetLibrary(presetLibrary);
+
         // Save back to localStorage
         localStorage.setItem('customPresets', JSON.stringify(filteredPresets));
 
@@ -3468,74 +4783,423 @@ document.getElementById('deletePresetBtn').addEventListener('click', () => {
     }
 });
 
-document.getElementById('chaosButton').addEventListener('click', () => {
-    // Randomize waveform
-    const waveforms = ['sine', 'square', 'sawtooth', 'triangle', 'pulse', 'fmsine']; // removed , 'amsine', 'fatsawtooth', 'fatsquare'
-    const randomWaveform = waveforms[Math.floor(Math.random() * waveforms.length)];
-    const waveformInput = document.getElementById('waveform');
-    waveformInput.value = randomWaveform;
-    waveformInput.dispatchEvent(new Event('change'));
-
-    // Randomize filter type
-    document.getElementById('filterTypeToggle').checked = Math.random() > 0.5;
-    document.getElementById('filterTypeToggle').dispatchEvent(new Event('change'));
-
-    // Randomize drone type
-    const droneTypes = ['oscillator', 'white', 'pink'];
-    const randomDroneType = droneTypes[Math.floor(Math.random() * droneTypes.length)];
-    const droneTypeInput = document.getElementById('droneType');
-    droneTypeInput.value = randomDroneType;
-    droneTypeInput.dispatchEvent(new Event('change'));
-
-    // Randomize LFO waveform
-    const lfoWaveforms = ['sine', 'triangle', 'square', 'sawtooth', 'random'];
-    const randomLfoWaveform = lfoWaveforms[Math.floor(Math.random() * lfoWaveforms.length)];
-    const lfoWaveformInput = document.getElementById('lfoWaveform');
-    lfoWaveformInput.value = randomLfoWaveform;
-    lfoWaveformInput.dispatchEvent(new Event('change'));
-
-    // Randomize LFO destination (including a chance to turn it off)
-    const lfoDestinations = [
-        'off', 'oscillatorLevel', 'detune', 'filterCutoff', 'filterRes',
-        'attack', 'decay', 'sustain', 'release',
-        'reverbMix', 'reverbDecay', 'delayTime', 'delayFeedback',
-        'chorusMix', 'flangerMix', 'phaserMix', 'distortionMix',
-        'masterVolume', 'pan', 'stereoWidth'
-    ];
-    // Give more weight to actual destinations vs 'off'
-    const randomLfoDestination = Math.random() > 0.2 ?
-        lfoDestinations[Math.floor(Math.random() * lfoDestinations.length)] :
-        'off';
-    const lfoDestinationInput = document.getElementById('lfoDestination');
-    lfoDestinationInput.value = randomLfoDestination;
-    lfoDestinationInput.dispatchEvent(new Event('change'));
-
-    // Randomize all knob values
-    knobs.forEach(([knobId, inputId]) => {
-        if (inputId === 'voices') return; // Skip randomizing voices
-
-        const input = document.getElementById(inputId);
-        const min = parseFloat(input.min);
-        const max = parseFloat(input.max);
-        const randomValue = Math.random() * (max - min) + min;
-        input.value = randomValue;
-        input.dispatchEvent(new Event('input'));
+// Preset keys applyPreset() handles itself rather than through a matching input id
+const PRESET_SPECIAL_KEYS = ['schemaVersion', 'lfoSync', 'lfo2Sync', 'lfo3Sync', 'reverbReturnMute', 'delayReturnMute', 'modMatrix', 'sequencer', 'patternBank', 'drumMachine', 'wavetableData', 'fxRack'];
+
+// Boolean preset keys stored on a checkbox with the id `${key}Toggle`
+const PRESET_TOGGLE_KEYS = ['lfoSync', 'lfo2Sync', 'lfo3Sync', 'reverbReturnMute', 'delayReturnMute'];
+
+// Whether applyPreset() knows what to do with a settings key
+function isKnownPresetSetting(key) {
+    if (PRESET_SPECIAL_KEYS.includes(key)) return true;
+    const element = document.getElementById(key);
+    return Boolean(element) && (element.type === 'range' || element.tagName === 'SELECT');
+}
+
+// Export modal
+const exportPresetModal = document.getElementById('exportPresetModal');
+const exportScopeSelect = document.getElementById('exportScope');
+const exportCategorySelect = document.getElementById('exportCategory');
+
+// Only offer the category picker when exporting a category
+function updateExportScopeUI() {
+    document.getElementById('exportCategoryContainer').style.display =
+        exportScopeSelect.value === 'category' ? 'block' : 'none';
+}
+
+document.getElementById('exportPresetBtn').addEventListener('click', () => {
+    const customPresets = JSON.parse(localStorage.getItem('customPresets') || '[]');
+
+    // Categories that have custom presets in them
+    const categories = [...new Set(customPresets.map(p => p.category))].sort();
+    exportCategorySelect.innerHTML = '';
+    categories.forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = category.charAt(0).toUpperCase() + category.slice(1);
+        exportCategorySelect.appendChild(option);
     });
 
-    // Randomize sequencer notes
-    const notes = generateNotes();
-    document.querySelectorAll('.step select').forEach(select => {
-        const randomNote = notes[Math.floor(Math.random() * notes.length)];
-        select.value = randomNote;
+    exportScopeSelect.querySelector('option[value="category"]').disabled = categories.length === 0;
+    exportScopeSelect.querySelector('option[value="library"]').disabled = customPresets.length === 0;
+    exportScopeSelect.value = 'preset';
+    updateExportScopeUI();
+
+    exportPresetModal.classList.add('active');
+});
+
+exportScopeSelect.addEventListener('change', updateExportScopeUI);
+
+document.getElementById('cancelExportBtn').addEventListener('click', () => {
+    exportPresetModal.classList.remove('active');
+});
+
+document.getElementById('confirmExportBtn').addEventListener('click', () => {
+    const customPresets = JSON.parse(localStorage.getItem('customPresets') || '[]');
+    const scope = exportScopeSelect.value;
+
+    if (scope === 'preset') {
+        const preset = customPresets.find(p => p.name === activePresetName) || getPresetByName(activePresetName);
+        if (!preset) {
+            alert('Please select a preset to export');
+            return;
+        }
+        exportPresets([preset], presetFileName(preset.name));
+    } else if (scope === 'category') {
+        const category = exportCategorySelect.value;
+        exportPresets(customPresets.filter(p => p.category === category), presetFileName(`${category}-presets`));
+    } else {
+        exportPresets(customPresets, presetFileName('custom-presets'));
+    }
+
+    exportPresetModal.classList.remove('active');
+});
+
+// Import goes through a hidden file input
+const presetImportFile = document.getElementById('presetImportFile');
+
+document.getElementById('importPresetBtn').addEventListener('click', () => {
+    presetImportFile.value = ''; // Allow the same file to be picked twice
+    presetImportFile.click();
+});
+
+presetImportFile.addEventListener('change', async () => {
+    const file = presetImportFile.files[0];
+    if (!file) return;
+
+    let result;
+    try {
+        result = parsePresetFile(await readPresetFile(file), isKnownPresetSetting);
+    } catch (error) {
+        alert(`Failed to import presets: ${error.message}`);
+        return;
+    }
+
+    const report = [];
+
+    if (result.presets.length > 0) {
+        const customPresets = JSON.parse(localStorage.getItem('customPresets') || '[]');
+        const builtInNames = builtInPresets.map(p => p.name);
+
+        // Ask before overwriting custom presets that share a name with an imported one
+        const clashes = result.presets.filter(p => customPresets.some(c => c.name === p.name) && !builtInNames.includes(p.name));
+        const replaceExisting = clashes.length > 0 && confirm(
+            `${clashes.length} imported preset(s) have the same name as presets in your library.\n\n` +
+            'Press OK to replace them, or Cancel to keep both copies.'
+        );
+
+        const merge = mergeImportedPresets(customPresets, result.presets, builtInNames, replaceExisting);
+        localStorage.setItem('customPresets', JSON.stringify(merge.presets));
+        renderPresetList();
+
+        report.push(`Imported ${merge.added} preset(s)` + (merge.replaced > 0 ? `, replaced ${merge.replaced}` : '') + '.');
+        if (merge.renamed.length > 0) {
+            report.push('', 'Renamed to avoid duplicates:', ...merge.renamed.map(line => `  ${line}`));
+        }
+    } else {
+        report.push('No presets were imported.');
+    }
+
+    if (result.errors.length > 0) {
+        report.push('', 'Skipped:', ...result.errors.map(line => `  ${line}`));
+    }
+    if (result.warnings.length > 0) {
+        report.push('', 'Warnings:', ...result.warnings.map(line => `  ${line}`));
+    }
+
+    alert(report.join('\n'));
+});
+
+// Copy a link that recreates the current sound
+document.getElementById('sharePresetBtn').addEventListener('click', async () => {
+    const shareButton = document.getElementById('sharePresetBtn');
+
+    try {
+        const encoded = await encodePresetForUrl(getCurrentSetup());
+        const url = `${location.origin}${location.pathname}#${SHARE_LINK_KEY}=${encoded}`;
+
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch (e) {
+            // Clipboard access can be blocked (e.g. insecure origins) - let the user copy it by hand
+            prompt('Copy this link to share the preset:', url);
+        }
+
+        // Visual feedback
+        shareButton.classList.add('success');
+        setTimeout(() => {
+            shareButton.classList.remove('success');
+        }, 1000);
+    } catch (error) {
+        console.error('Failed to create preset link:', error);
+        alert('Could not create a link for this preset');
+    }
+});
+
+// Apply a preset shared through the URL fragment, if there is one
+async function loadPresetFromUrl() {
+    const match = location.hash.match(new RegExp(`^#${SHARE_LINK_KEY}=(.+)$`));
+    if (!match) return;
+
+    try {
+        const sharedSettings = await decodePresetFromUrl(match[1]);
+
+        // Only pass on the settings applyPreset() understands
+        const settings = {};
+        Object.entries(sharedSettings).forEach(([key, value]) => {
+            if (isKnownPresetSetting(key)) {
+                settings[key] = value;
+            } else {
+                console.warn(`Ignoring unknown setting "${key}" in shared preset`);
+            }
+        });
+
+        applyPreset(settings);
+
+        // A shared sound isn't one of the listed presets
+        activePresetName = null;
+        document.querySelectorAll('.preset-item.active').forEach(item => item.classList.remove('active'));
+
+        console.log('Loaded shared preset from URL');
+    } catch (error) {
+        console.error('Failed to load shared preset:', error);
+        alert(`Could not load the shared preset: ${error.message}`);
+    }
+}
+
+// Pasting a new share link into the address bar doesn't reload the page
+window.addEventListener('hashchange', loadPresetFromUrl);
+
+// Preset morphing - blends two presets as the morph slider moves from A to B
+const morphPresetASelect = document.getElementById('morphPresetA');
+const morphPresetBSelect = document.getElementById('morphPresetB');
+const presetMorphInput = document.getElementById('presetMorph');
+
+// The two presets' settings, read when they're picked rather than on every slider move
+const morphSources = { a: null, b: null };
+// Which preset the discrete settings were last switched to, 'a' or 'b'
+let morphSide = null;
+
+// Fill both morph pickers with the built-in and custom presets
+function populateMorphSelects() {
+    const customPresets = JSON.parse(localStorage.getItem('customPresets') || '[]');
+
+    [morphPresetASelect, morphPresetBSelect].forEach(select => {
+        const previous = select.value;
+        select.innerHTML = '<option value="">Choose preset...</option>';
+
+        [['Built-in', builtInPresets, 'builtin'], ['Custom', customPresets, 'custom']].forEach(([label, presets, source]) => {
+            if (presets.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            presets.forEach(preset => {
+                const option = document.createElement('option');
+                // Prefix with the source so built-in and custom presets can share a name
+                option.value = `${source}:${preset.name}`;
+                option.textContent = preset.name;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        });
+
+        // Keep the current choice if it still exists
+        if (Array.from(select.options).some(option => option.value === previous)) {
+            select.value = previous;
+        }
     });
 
-    // Randomize step toggles
-    document.querySelectorAll('.step-toggle').forEach(toggle => {
-        const shouldBeActive = Math.random() > 0.5;
-        toggle.classList.toggle('active', shouldBeActive);
-        toggle.textContent = shouldBeActive ? 'On' : 'Off';
+    // A custom preset may have been saved over
+    loadMorphSources();
+}
+
+// Look up the settings for a morph picker value, migrated and validated like applyPreset()
+function getMorphSettings(value) {
+    if (!value) return null;
+
+    const separator = value.indexOf(':');
+    const source = value.slice(0, separator);
+    const name = value.slice(separator + 1);
+    const preset = source === 'custom' ?
+        JSON.parse(localStorage.getItem('customPresets') || '[]').find(p => p.name === name) :
+        getPresetByName(name);
+
+    return preset ? validatePresetSettings(migratePresetSettings(preset.settings)).settings : null;
+}
+
+// Read both pickers' settings into morphSources. The discrete settings are applied
+// again on the next morph update.
+function loadMorphSources() {
+    morphSources.a = getMorphSettings(morphPresetASelect.value);
+    morphSources.b = getMorphSettings(morphPresetBSelect.value);
+    morphSide = null;
+}
+
+// Range settings that rebuild the synth, so they switch at the midpoint like the discrete ones
+const MORPH_STEPPED_KEYS = ['unisonVoices'];
+
+// Whether a setting is interpolated: a number both presets have, on a range input
+function isMorphedContinuously(key, settingsA, settingsB) {
+    const control = document.getElementById(key);
+    return Boolean(control) && control.type === 'range' && !MORPH_STEPPED_KEYS.includes(key) &&
+        isFinite(parseFloat(settingsA[key])) && isFinite(parseFloat(settingsB[key]));
+}
+
+// The settings that don't blend (waveform, filterMode, sequencer...), taken from one
+// preset. A field only one preset has is held at that preset's value.
+function getMorphDiscreteSettings(settingsA, settingsB, side) {
+    const discrete = {};
+    const keys = new Set([...Object.keys(settingsA), ...Object.keys(settingsB)]);
+
+    keys.forEach(key => {
+        const hasA = settingsA[key] !== undefined;
+        const hasB = settingsB[key] !== undefined;
+        if (!hasA || !hasB) {
+            discrete[key] = hasA ? settingsA[key] : settingsB[key];
+        } else if (!isMorphedContinuously(key, settingsA, settingsB)) {
+            discrete[key] = side === 'a' ? settingsA[key] : settingsB[key];
+        }
     });
 
+    return discrete;
+}
+
+// The range settings both presets have, interpolated
+function getMorphContinuousSettings(settingsA, settingsB, amount) {
+    const morphed = {};
+    Object.keys(settingsA).forEach(key => {
+        if (settingsB[key] !== undefined && isMorphedContinuously(key, settingsA, settingsB)) {
+            morphed[key] = String(lerp(parseFloat(settingsA[key]), parseFloat(settingsB[key]), amount));
+        }
+    });
+    return morphed;
+}
+
+// Write settings to the controls without resetting the synth, so the morph slider and
+// the randomizer can be used while playing; only changed controls are touched.
+function applyLiveSettings(settings) {
+    // Ahead of the loop, so an embedded wavetable is there when the table select changes
+    if (settings.wavetableData) {
+        loadImportedWavetable(settings.wavetableData);
+    }
+
+    Object.entries(settings).forEach(([key, value]) => {
+        if (PRESET_TOGGLE_KEYS.includes(key)) {
+            const toggle = document.getElementById(`${key}Toggle`);
+            if (toggle.checked !== value) {
+                toggle.checked = value;
+                toggle.dispatchEvent(new Event('change'));
+            }
+        } else if (key === 'sequencer' || key === 'patternBank') {
+            // Handled together below so the bank wins over the single pattern
+        } else if (key === 'drumMachine') {
+            if (JSON.stringify(getDrumPattern()) !== JSON.stringify(value)) {
+                setDrumPattern(value);
+            }
+        } else if (key === 'modMatrix') {
+            if (JSON.stringify(getModMatrix()) !== JSON.stringify(value)) {
+                setModMatrix(value);
+            }
+        } else if (key === 'wavetableData') {
+            // Loaded above
+        } else if (key === 'fxRack') {
+            if (JSON.stringify(getFxRack()) !== JSON.stringify(value)) {
+                setFxRack(value);
+            }
+        } else if (isKnownPresetSetting(key)) {
+            const input = document.getElementById(key);
+            if (input && input.value !== String(value)) {
+                input.value = value;
+                input.dispatchEvent(new Event('input'));
+                if (input.tagName === 'SELECT') {
+                    input.dispatchEvent(new Event('change'));
+                }
+            }
+        }
+    });
+
+    // Only swap the pattern data when it actually differs, i.e. when crossing the midpoint
+    if (settings.patternBank && JSON.stringify(settings.patternBank) !== JSON.stringify(getPatternBank())) {
+        setPatternBank(settings.patternBank, settings.sequencer);
+    } else if (!settings.patternBank && Array.isArray(settings.sequencer) &&
+        JSON.stringify(settings.sequencer) !== JSON.stringify(getSequencerSteps())) {
+        // Only the current slot changes, the rest of the bank is kept
+        setSequencerSteps(settings.sequencer);
+    }
+}
+
+// Apply the morph at the slider's current position. Discrete settings switch over at
+// the midpoint, and are only written when the slider crosses it - some of them rebuild
+// the synth. Range settings follow every slider move.
+function updatePresetMorph() {
+    const amount = parseFloat(presetMorphInput.value);
+    document.getElementById('presetMorphValue').textContent = `${Math.round(amount * 100)}%`;
+
+    const { a: settingsA, b: settingsB } = morphSources;
+    if (!settingsA || !settingsB) return;
+
+    const side = amount < 0.5 ? 'a' : 'b';
+    if (side !== morphSide) {
+        morphSide = side;
+        applyLiveSettings(getMorphDiscreteSettings(settingsA, settingsB, side));
+    }
+    applyLiveSettings(getMorphContinuousSettings(settingsA, settingsB, amount));
+
+    // The sound no longer matches a single listed preset
+    activePresetName = null;
+    document.querySelectorAll('.preset-item.active').forEach(item => item.classList.remove('active'));
+}
+
+presetMorphInput.addEventListener('input', updatePresetMorph);
+[morphPresetASelect, morphPresetBSelect].forEach(select => {
+    select.addEventListener('change', () => {
+        loadMorphSources();
+        updatePresetMorph();
+    });
+});
+
+// Start a Chaos or Nudge roll from the current sound and record it in the history
+function recordRoll(kind, target) {
+    return addToHistory({
+        kind,
+        target,
+        seed: createSeed(),
+        amount: getNudgeAmount(),
+        locks: getLocks(),
+        settings: getCurrentSetup(),
+        droneActive: isDroneActive
+    });
+}
+
+// Turn the drone on or off to match a recorded state
+function setDroneActive(active) {
+    if (isDroneActive !== active) {
+        toggleDrone();
+    }
+}
+
+// The drone choice gets its own random stream, so it doesn't follow the first parameter
+const DRONE_ROLL_SEED_MIX = 0x9e3779b9;
+
+// Roll every unlocked parameter, drawing from the presets in the target category
+function rollChaos(roll) {
+    applyLiveSettings(randomizeSettings(roll.settings, roll.target, roll.seed, roll.locks));
+
+    // Handle drone state with randomization, unless the drone section is locked
+    if (!isSectionLocked('drone', roll.locks)) {
+        const random = createSeededRandom(roll.seed ^ DRONE_ROLL_SEED_MIX);
+        if (isDroneActive) {
+            // If drone is active, turn it off
+            toggleDrone();
+        } else if (random() < 0.3) {
+            // 30% chance to activate the drone when pressing Chaos
+            toggleDrone();
+        }
+    }
+}
+
+document.getElementById('chaosButton').addEventListener('click', () => {
+    rollChaos(recordRoll('chaos', document.getElementById('randomTarget').value));
+
     // Visual feedback
     const chaosButton = document.getElementById('chaosButton');
     gsap.to(chaosButton, {
@@ -3544,17 +5208,6 @@ document.getElementById('chaosButton').addEventListener('click', () => {
         yoyo: true,
         repeat: 1
     });
-
-    // Handle drone state with randomization
-    if (isDroneActive) {
-        // If drone is active, turn it off
-        toggleDrone();
-    } else {
-        // 30% chance to activate the drone when pressing Chaos
-        if (Math.random() < 0.3) {
-            toggleDrone(); // Randomly activate drone
-        }
-    }
 });
 
 // Performance-optimized parameter caching for Nudge button
@@ -3606,9 +5259,12 @@ const nudgeCache = {
                 knobs: {}
             },
             {
-                type: 'filter type',
-                elements: ['filterTypeToggle'],
-                inputs: {}
+                type: 'filter',
+                elements: ['filterDrive'],
+                dropdowns: ['filterMode', 'filterRolloff'],
+                inputs: {},
+                selects: {},
+                knobs: {}
             },
             // LFO parameters
             {
@@ -3683,8 +5339,9 @@ const nudgeCache = {
     }
 };
 
-// Nudge button functionality - Memory optimized implementation
-document.getElementById('nudgeButton').addEventListener('click', () => {
+// Nudge functionality - Memory optimized implementation. Changes the controls from
+// where they are, so recalling a nudge sets the roll's starting settings first.
+function rollNudge(roll) {
     // Initialize parameter cache if needed
     if (!nudgeCache.initialized) {
         nudgeCache.init();
@@ -3693,11 +5350,21 @@ document.getElementById('nudgeButton').addEventListener('click', () => {
     // Get all available notes just once
     const notes = generateNotes();
 
-    // Randomly select 1-3 parameter groups to modify (slightly increased from original 1-2)
-    const numChanges = Math.floor(Math.random() * 3) + 1;
-    const selectedParams = nudgeCache.parameters
-        .sort(() => Math.random() - 0.5)
-        .slice(0, numChanges);
+    // Seeded so the same roll can be made again from the randomizer history
+    const random = createSeededRandom(roll.seed);
+    const nudgeAmount = roll.amount;
+
+    // Randomly select 1-3 parameter groups to modify (slightly increased from original 1-2),
+    // leaving out anything locked in the randomizer
+    const numChanges = Math.floor(random() * 3) + 1;
+    const unlockedParams = nudgeCache.parameters
+        .map(param => ({
+            ...param,
+            elements: (param.elements || []).filter(id => !isParamLocked(id, roll.locks)),
+            dropdowns: (param.dropdowns || []).filter(id => !isParamLocked(id, roll.locks))
+        }))
+        .filter(param => param.elements.length > 0 || param.dropdowns.length > 0);
+    const selectedParams = shuffle(unlockedParams, random).slice(0, numChanges);
 
     selectedParams.forEach(param => {
         if (param.type === 'notes') {
@@ -3706,16 +5373,14 @@ document.getElementById('nudgeButton').addEventListener('click', () => {
             if (!stepSelects || stepSelects.length === 0) return;
 
             // Modify 1-2 random step notes
-            const numNoteChanges = Math.floor(Math.random() * 2) + 1;
-            // Create a copy of the array to avoid modifying the cached one
-            const randomSelects = [...stepSelects]
-                .sort(() => Math.random() - 0.5)
-                .slice(0, numNoteChanges);
+            const numNoteChanges = Math.floor(random() * 2) + 1;
+            // shuffle() works on a copy, so the cached array is left as it is
+            const randomSelects = shuffle(stepSelects, random).slice(0, numNoteChanges);
 
             randomSelects.forEach(select => {
                 const currentNote = select.value;
                 const currentIndex = notes.indexOf(currentNote);
-                const variation = Math.floor(Math.random() * 5) - 2; // -2 to +2 steps
+                const variation = Math.floor(random() * 5) - 2; // -2 to +2 steps
                 const newIndex = Math.max(0, Math.min(notes.length - 1, currentIndex + variation));
                 select.value = notes[newIndex];
 
@@ -3727,39 +5392,20 @@ document.getElementById('nudgeButton').addEventListener('click', () => {
                     repeat: 1
                 });
             });
-        } else if (param.type === 'filter type') {
-            // Handle toggle type controls
-            const element = param.elements[Math.floor(Math.random() * param.elements.length)];
-            const input = param.inputs[element]; // Use cached element
-            if (!input) return;
-
-            input.checked = Math.random() > 0.5;
-            input.dispatchEvent(new Event('change'));
-
-            // Visual feedback for toggle
-            const toggleContainer = input.closest('.toggle-container');
-            if (toggleContainer) {
-                gsap.to(toggleContainer, {
-                    opacity: 0.5,
-                    duration: 0.2,
-                    yoyo: true,
-                    repeat: 1
-                });
-            }
         } else if (param.dropdowns && param.dropdowns.length > 0) {
             // Handle parameters with both sliders and dropdowns (LFO and drone)
 
             // 50% chance to adjust a slider vs 50% chance to change a dropdown
-            if (Math.random() > 0.5 && param.elements && param.elements.length > 0) {
+            if (random() > 0.5 && param.elements && param.elements.length > 0) {
                 // Adjust a slider (similar to standard parameter handling)
-                const element = param.elements[Math.floor(Math.random() * param.elements.length)];
+                const element = param.elements[Math.floor(random() * param.elements.length)];
                 const input = param.inputs[element]; // Use cached element
                 if (!input) return;
 
                 // Get current value and constraints
                 const currentValue = parseFloat(input.value);
                 const range = parseFloat(input.max) - parseFloat(input.min);
-                const variation = (Math.random() * 0.2 - 0.1) * range; // ±10% variation
+                const variation = (random() * 2 - 1) * nudgeAmount * range;
                 const newValue = Math.max(
                     parseFloat(input.min),
                     Math.min(parseFloat(input.max), currentValue + variation)
@@ -3781,18 +5427,18 @@ document.getElementById('nudgeButton').addEventListener('click', () => {
                 }
             } else if (param.dropdowns && param.dropdowns.length > 0) {
                 // Change a dropdown - but only sometimes and only move to adjacent values
-                const dropdown = param.dropdowns[Math.floor(Math.random() * param.dropdowns.length)];
+                const dropdown = param.dropdowns[Math.floor(random() * param.dropdowns.length)];
                 const select = param.selects[dropdown]; // Use cached element
                 if (!select || !select.options || select.options.length === 0) return;
 
                 const currentIndex = select.selectedIndex;
 
                 // For most dropdowns, we'll shift by -1, 0, or 1 position
-                let shift = Math.floor(Math.random() * 3) - 1;
+                let shift = Math.floor(random() * 3) - 1;
 
                 // Special case for LFO destination - don't shift too often,
                 // as changing the destination is a more dramatic change
-                if (dropdown === 'lfoDestination' && Math.random() < 0.7) {
+                if (dropdown === 'lfoDestination' && random() < 0.7) {
                     shift = 0; // 70% chance to leave destination unchanged
                 }
 
@@ -3813,13 +5459,13 @@ document.getElementById('nudgeButton').addEventListener('click', () => {
             }
         } else {
             // Standard parameter handling (knobs/sliders)
-            const element = param.elements[Math.floor(Math.random() * param.elements.length)];
+            const element = param.elements[Math.floor(random() * param.elements.length)];
             const input = param.inputs[element]; // Use cached element
             if (!input) return;
 
             const currentValue = parseFloat(input.value);
             const range = parseFloat(input.max) - parseFloat(input.min);
-            const variation = (Math.random() * 0.2 - 0.1) * range; // ±10% variation
+            const variation = (random() * 2 - 1) * nudgeAmount * range;
             const newValue = Math.max(
                 parseFloat(input.min),
                 Math.min(parseFloat(input.max), currentValue + variation)
@@ -3842,9 +5488,13 @@ document.getElementById('nudgeButton').addEventListener('click', () => {
 
     // Handle drone toggle with a small probability (less aggressive than CHAOS)
     // Only 10% chance to toggle drone state
-    if (Math.random() < 0.1) {
+    if (!isSectionLocked('drone', roll.locks) && random() < 0.1) {
         toggleDrone();
     }
+}
+
+document.getElementById('nudgeButton').addEventListener('click', () => {
+    rollNudge(recordRoll('nudge', null));
 
     // Visual feedback for the button itself
     const nudgeButton = document.getElementById('nudgeButton');
@@ -3856,11 +5506,42 @@ document.getElementById('nudgeButton').addEventListener('click', () => {
     });
 });
 
+// Recall an earlier Chaos or Nudge roll from the randomizer history
+document.getElementById('randomRecall').addEventListener('click', () => {
+    const entry = getHistoryEntry(parseInt(document.getElementById('randomHistory').value));
+    if (!entry) return;
+
+    // Back to where the roll started, then the same roll again
+    setDroneActive(entry.droneActive);
+    if (entry.kind === 'nudge') {
+        applyLiveSettings(entry.settings);
+        rollNudge(entry);
+    } else {
+        rollChaos(entry);
+    }
+    activePresetName = null;
+    document.querySelectorAll('.preset-item.active').forEach(item => item.classList.remove('active'));
+});
+
 
 // Declare globals at the top level to avoid initialization errors
 // Global sequencer event ID to allow for proper cleanup
 var sequencerEventId = null;
 
+// Note currently held over from a tied or slid step, released by the next non-tied step
+let tiedSequencerNote = null;
+// Whether the held note slides into the next one instead of being retriggered
+let tiedSequencerSlide = false;
+
+// Release a note held by a tie so it doesn't hang when playback stops
+function releaseTiedSequencerNote(time) {
+    if (tiedSequencerNote && synth && !synth.disposed) {
+        synth.triggerRelease(tiedSequencerNote, time);
+    }
+    tiedSequencerNote = null;
+    tiedSequencerSlide = false;
+}
+
 // More robust implementation of the sequencer
 function setupSequencer() {
     // Clear any existing sequencer events to avoid duplicates
@@ -3876,16 +5557,33 @@ function setupSequencer() {
     const tempo = parseInt(document.getElementById('tempo').value || 120);
     Tone.Transport.bpm.value = tempo;
 
+    // Step resolution from the UI (4n, 8n, 16n or triplets)
+    const resolutionSelect = document.getElementById('sequencerResolution');
+    const resolution = resolutionSelect ? resolutionSelect.value : '8n';
+
     // Create a counter variable within this closure to avoid any global state issues
     let localStepCounter = -1; // Start at -1 so first increment makes it 0
 
     // Reset the global currentStep to ensure consistent starting point
     currentStep = 0;
+    releaseTiedSequencerNote();
 
-    // Use 8n like in the original version, not 16n
     sequencerEventId = Tone.Transport.scheduleRepeat(time => {
+        // Get the UI elements - the step count follows the selected pattern length
+        let steps = document.querySelectorAll('.step');
+        if (steps.length === 0) return;
+
+        // Queued pattern changes and song chaining land here, on bar boundaries
+        if (isPlaying) {
+            const patternEnded = localStepCounter >= 0 && localStepCounter + 1 >= steps.length;
+            if (processPatternBoundary(time, patternEnded)) {
+                localStepCounter = -1;
+                steps = document.querySelectorAll('.step');
+            }
+        }
+
         // Use the local counter to keep track of steps
-        localStepCounter = (localStepCounter + 1) % 16;
+        localStepCounter = (localStepCounter + 1) % steps.length;
 
         // Update the global currentStep for visual feedback
         currentStep = localStepCounter;
@@ -3894,62 +5592,149 @@ function setupSequencer() {
         ensureVisualizersConnected();
 
         if (isPlaying) {
-            // Get the UI elements for this step
-            const steps = document.querySelectorAll('.step');
-            if (steps.length > currentStep) {
-                const step = steps[currentStep];
-                const select = step.querySelector('select');
-                const toggle = step.querySelector('.step-toggle');
-
-                // Only play if this step is toggled on
-                if (toggle && toggle.classList.contains('active')) {
-                    const note = select.value;
-
-                    // Check if synth exists and recreate if needed
-                    if (!synth || synth.disposed) {
-                        console.log("Recreating synth during sequencer playback");
-                        synth = createSynth();
+            const step = steps[currentStep];
+            const select = step.querySelector('select');
+            const toggle = step.querySelector('.step-toggle');
+
+            // Bars follow the transport, a pattern that isn't a whole number of bars
+            // long restarts part way through one
+            if (isBarBoundary(time)) {
+                retriggerLfos('bar', time);
+            }
+
+            // Parameter locks hold for this step only, then fall back to the knobs
+            applyStepLocks(getStepLocks(step), time);
+
+            // Only play if this step is toggled on
+            if (toggle && toggle.classList.contains('active')) {
+                const note = select.value;
+                const velocity = parseFloat(step.querySelector('.step-velocity').value);
+                const gate = parseFloat(step.querySelector('.step-gate').value);
+                const tie = step.querySelector('.step-tie').classList.contains('active');
+                const slide = step.querySelector('.step-slide').classList.contains('active');
+                const gateSeconds = Tone.Time(resolution).toSeconds() * gate;
+
+                // Check if synth exists and recreate if needed
+                if (!synth || synth.disposed) {
+                    console.log("Recreating synth during sequencer playback");
+                    synth = createSynth();
+                    tiedSequencerNote = null;
+                }
+
+                try {
+                    // A tie or slide into the same note just keeps holding it. A tie into a
+                    // different note retriggers; a slide plays the new note before releasing
+                    // the held one, so mono and legato modes glide into it.
+                    if (tiedSequencerNote && tiedSequencerNote !== note) {
+                        if (tiedSequencerSlide) {
+                            synth.triggerAttack(note, time, velocity);
+                            releaseTiedSequencerNote(time);
+                        } else {
+                            releaseTiedSequencerNote(time);
+                            synth.triggerAttack(note, time, velocity);
+                        }
+                    } else if (!tiedSequencerNote) {
+                        synth.triggerAttack(note, time, velocity);
                     }
 
-                    // Play the note with the synth - use 8n like original
-                    try {
-                        // Schedule the audio at the specified time
-                        synth.triggerAttackRelease(note, '8n', time);
-
-                        // Schedule visual updates to sync with audio using Tone.Draw
-                        Tone.Draw.schedule(() => {
-                            // Update VU meter at the exact time the note plays
-                            updateVUMeter(0.8);
-
-                            // Highlight the corresponding key
-                            highlightKeyFromSequencer(note, 0.25);
-
-                            // Visual feedback - also synchronized with audio
-                            gsap.to(step, {
-                                scale: 1.03,
-                                duration: 0.1,
-                                yoyo: true,
-                                repeat: 1
-                            });
-                        }, time); // Use the same time as audio for perfect sync
-                    } catch (e) {
-                        console.warn("Error playing note from sequencer:", e);
-                        // If error occurs, ensure visualizers are reconnected
-                        ensureVisualizersConnected();
+                    if (tie || slide) {
+                        tiedSequencerNote = note;
+                        tiedSequencerSlide = slide;
+                    } else {
+                        synth.triggerRelease(note, time + gateSeconds);
+                        tiedSequencerNote = null;
                     }
+
+                    // Schedule visual updates to sync with audio using Tone.Draw
+                    Tone.Draw.schedule(() => {
+                        // Update VU meter at the exact time the note plays
+                        updateVUMeter(0.8 * velocity);
+
+                        // Highlight the corresponding key
+                        highlightKeyFromSequencer(note, Math.max(0.1, gateSeconds));
+
+                        // Visual feedback - also synchronized with audio
+                        gsap.to(step, {
+                            scale: 1.03,
+                            duration: 0.1,
+                            yoyo: true,
+                            repeat: 1
+                        });
+                    }, time); // Use the same time as audio for perfect sync
+                } catch (e) {
+                    console.warn("Error playing note from sequencer:", e);
+                    // If error occurs, ensure visualizers are reconnected
+                    ensureVisualizersConnected();
                 }
+            } else {
+                // A rest ends any tied note
+                releaseTiedSequencerNote(time);
+            }
 
-                // Always update the visual display
-                updateSequencer(currentStep);
+            // Always update the visual display
+            updateSequencer(currentStep);
 
-                // Force oscilloscope update on each beat to keep visualizations running
-                if (animations && animations.oscilloscope && animations.oscilloscope.element) {
-                    updateOscilloscope(performance.now());
-                }
+            // Force oscilloscope update on each beat to keep visualizations running
+            if (animations && animations.oscilloscope && animations.oscilloscope.element) {
+                updateOscilloscope(performance.now());
             }
         }
-    }, "8n"); // Use 8n to match the original version
+    }, resolution);
+}
+
+// Populate the pattern length options
+const sequencerLengthSelect = document.getElementById('sequencerLength');
+for (let i = 1; i <= MAX_SEQUENCER_STEPS; i++) {
+    const option = document.createElement('option');
+    option.value = i;
+    option.textContent = i;
+    sequencerLengthSelect.appendChild(option);
 }
+sequencerLengthSelect.value = DEFAULT_SEQUENCER_STEPS;
+
+sequencerLengthSelect.addEventListener('input', e => {
+    resizeSequencer(e.target.value);
+});
+
+// Changing the resolution needs the repeat event rescheduled
+document.getElementById('sequencerResolution').addEventListener('input', () => {
+    setupSequencer();
+});
+
+// Step parameter lock editor
+const stepLockParamSelect = document.getElementById('stepLockParam');
+LOCKABLE_PARAMS.forEach(entry => {
+    const option = document.createElement('option');
+    option.value = entry.param;
+    option.textContent = entry.label;
+    stepLockParamSelect.appendChild(option);
+});
+
+stepLockParamSelect.addEventListener('change', refreshLockEditor);
+document.getElementById('stepLockValue').addEventListener('input', updateLockValueDisplay);
+
+document.getElementById('stepLockApply').addEventListener('click', () => {
+    if (!lockEditorStep) return;
+    const locks = getStepLocks(lockEditorStep);
+    locks[stepLockParamSelect.value] = parseFloat(document.getElementById('stepLockValue').value);
+    setStepLocks(lockEditorStep, locks);
+    refreshLockEditor();
+});
+
+// Clear removes the selected parameter's lock, or every lock if that one isn't set
+document.getElementById('stepLockClear').addEventListener('click', () => {
+    if (!lockEditorStep) return;
+    const locks = getStepLocks(lockEditorStep);
+    if (locks[stepLockParamSelect.value] !== undefined) {
+        delete locks[stepLockParamSelect.value];
+        setStepLocks(lockEditorStep, locks);
+    } else {
+        setStepLocks(lockEditorStep, {});
+    }
+    refreshLockEditor();
+});
+
+refreshLockEditor();
 
 // Call the setup function to initialize the sequencer
 setupSequencer();
@@ -4052,6 +5837,9 @@ function updateOctaveIndicator(octave) {
 
 // Optimized keyboard event handler
 document.addEventListener('keydown', e => {
+    // Leave keys alone while typing, e.g. in the preset search box
+    if (e.target.matches('input[type="text"], input[type="search"], textarea')) return;
+
     // Toggle play/pause with spacebar
     if (e.code === 'Space') {
         e.preventDefault(); // Prevent page scrolling with spacebar
@@ -4188,56 +5976,47 @@ document.addEventListener('keyup', e => {
     }
 });
 
-// Connect LFO controls
-// Update these handlers to restart LFO when changed
-document.getElementById('lfoRate').addEventListener('input', function(e) {
-    const value = parseFloat(e.target.value);
-    document.getElementById('lfoRateValue').textContent = value.toFixed(2) + ' Hz';
+// Connect LFO controls. Rate, amount and waveform are applied to the running LFO
+// signals, so changing them doesn't interrupt the modulation.
+Object.values(lfos).forEach(source => {
+    const { prefix } = source;
 
-    // Enhanced LFO visualizer has been removed
+    document.getElementById(`${prefix}Rate`).addEventListener('input', () => updateLfoRate(source));
+    document.getElementById(`${prefix}SyncToggle`).addEventListener('change', () => updateLfoRate(source));
+    document.getElementById(`${prefix}Division`).addEventListener('input', () => updateLfoRate(source));
 
-    // If LFO is running, restart it to apply new rate
-    if (lfoActive) {
-        restartLfo();
-    }
+    document.getElementById(`${prefix}Retrigger`).addEventListener('input', e => {
+        source.retrigger = e.target.value;
+    });
+
+    // Presets dispatch 'input' on selects and the LFO module dispatches 'change'
+    ['input', 'change'].forEach(type => {
+        document.getElementById(`${prefix}Waveform`).addEventListener(type, e => {
+            updateLfoWaveform(source, e.target.value);
+        });
+    });
 });
 
 document.getElementById('lfoAmount').addEventListener('input', function(e) {
     const amount = parseInt(e.target.value);
     document.getElementById('lfoAmountValue').textContent = `${amount}%`;
 
-    // Enhanced LFO visualizer has been removed
-
-    // Only restart if LFO is active
-    if (lfoDestination !== 'off') {
-        restartLfo();
-    }
+    updateLfoRoute();
 });
 
-document.getElementById('lfoWaveform').addEventListener('change', function(e) {
-    const waveform = e.target.value;
-
-    // Enhanced LFO visualizer has been removed
-
-    // Only restart if LFO is active
-    if (lfoDestination !== 'off') {
-        restartLfo();
-    }
-});
+// The LFO module's destination and amount are an LFO 1 route in the mod matrix
+function updateLfoRoute() {
+    setDirectRoute('lfoModule', lfoActive ? {
+        source: 'lfo1',
+        destination: lfoDestination,
+        amount: parseFloat(document.getElementById('lfoAmount').value) / 100
+    } : null);
+}
 
 // Function to stop LFO
 function stopLfo() {
     lfoActive = false;
-
-    // Cancel any pending animation frame
-    if (window.lfoAnimationFrame) {
-        cancelAnimationFrame(window.lfoAnimationFrame);
-        window.lfoAnimationFrame = null;
-    }
-
-    // Enhanced LFO visualizer has been removed
-
-    console.log('LFO stopped');
+    updateLfoRoute();
 }
 
 // Function to restart LFO (for when parameters change)
@@ -4252,29 +6031,161 @@ function startLfo() {
     if (lfoDestination === 'off') return;
 
     lfoActive = true;
+    updateLfoRoute();
+}
 
-    // Get parameter info
-    const input = document.getElementById(lfoDestination);
-    if (!input) return;
+// Value readouts for parameters set through updateAudioParameter() or modulated by the LFO.
+// Each entry is [value element id, formatter].
+const formatPan = value => {
+    if (value < -0.05) return `L${Math.abs(Math.round(value * 100))}`;
+    if (value > 0.05) return `R${Math.round(value * 100)}`;
+    return "C";
+};
+const formatSeconds = value => `${value.toFixed(2)}s`;
+const formatDecimals = places => value => value.toFixed(places);
+const parameterDisplays = {
+    filterCutoff: ['filterCutoffValue', value => `${Math.round(value)} Hz`],
+    filterRes: ['filterResValue', formatDecimals(1)],
+    filterDrive: ['filterDriveValue', formatDecimals(2)],
+    unisonVoices: ['unisonVoicesValue', value => String(Math.round(value))],
+    unisonDetune: ['unisonDetuneValue', value => `${Math.round(value)} ¢`],
+    unisonSpread: ['unisonSpreadValue', formatDecimals(2)],
+    unisonBlend: ['unisonBlendValue', formatDecimals(2)],
+    glideTime: ['glideTimeValue', formatSeconds],
+    filterEnvAttack: ['filterEnvAttackValue', formatSeconds],
+    filterEnvDecay: ['filterEnvDecayValue', formatSeconds],
+    filterEnvSustain: ['filterEnvSustainValue', formatDecimals(2)],
+    filterEnvRelease: ['filterEnvReleaseValue', formatSeconds],
+    filterEnvAmount: ['filterEnvAmountValue', value => `${value > 0 ? '+' : ''}${Math.round(value)}%`],
+    filterEnvVelocity: ['filterEnvVelocityValue', value => `${Math.round(value)}%`],
+    filterKeyTrack: ['filterKeyTrackValue', value => `${Math.round(value)}%`],
+    velocityCutoff: ['velocityCutoffValue', value => `${value > 0 ? '+' : ''}${Math.round(value)}%`],
+    velocityAttack: ['velocityAttackValue', value => `${value > 0 ? '+' : ''}${Math.round(value)}%`],
+    oscillatorLevel: ['oscillatorLevelValue', formatDecimals(2)],
+    detune: ['detuneValue', value => `${Math.round(value)} ¢`],
+    pulseWidth: ['pulseWidthValue', formatDecimals(2)],
+    harmonicity: ['harmonicityValue', formatDecimals(1)],
+    modulationIndex: ['modulationIndexValue', formatDecimals(1)],
+    wavetablePosition: ['wavetablePositionValue', formatDecimals(2)],
+    reverbMix: ['reverbMixValue', formatDecimals(2)],
+    reverbDecay: ['reverbDecayValue', value => `${value.toFixed(1)}s`],
+    delayTime: ['delayTimeValue', formatDecimals(2)],
+    delayFeedback: ['delayFeedbackValue', formatDecimals(2)],
+    chorusMix: ['chorusMixValue', formatDecimals(2)],
+    flangerMix: ['flangerMixValue', formatDecimals(2)],
+    distortionMix: ['distortionMixValue', formatDecimals(2)],
+    phaserMix: ['phaserMixValue', formatDecimals(2)],
+    reverbPreDelay: ['reverbPreDelayValue', value => `${value.toFixed(3)}s`],
+    chorusRate: ['chorusRateValue', value => `${value.toFixed(1)} Hz`],
+    chorusDelay: ['chorusDelayValue', value => `${value.toFixed(1)} ms`],
+    chorusDepth: ['chorusDepthValue', formatDecimals(2)],
+    chorusFeedback: ['chorusFeedbackValue', formatDecimals(2)],
+    chorusSpread: ['chorusSpreadValue', value => `${Math.round(value)}°`],
+    distortionAmount: ['distortionAmountValue', formatDecimals(2)],
+    flangerRate: ['flangerRateValue', value => `${value.toFixed(2)} Hz`],
+    flangerDepth: ['flangerDepthValue', formatDecimals(2)],
+    flangerFeedback: ['flangerFeedbackValue', formatDecimals(2)],
+    flangerManual: ['flangerManualValue', value => `${value.toFixed(1)} ms`],
+    phaserRate: ['phaserRateValue', value => `${value.toFixed(1)} Hz`],
+    phaserOctaves: ['phaserOctavesValue', formatDecimals(1)],
+    phaserBaseFrequency: ['phaserBaseFrequencyValue', value => `${Math.round(value)} Hz`],
+    phaserQ: ['phaserQValue', formatDecimals(1)],
+    delayMix: ['delayMixValue', formatDecimals(2)],
+    delayLowCut: ['delayLowCutValue', value => `${Math.round(value)} Hz`],
+    delayHighCut: ['delayHighCutValue', value => `${Math.round(value)} Hz`],
+    delayDuck: ['delayDuckValue', formatDecimals(2)],
+    attack: ['attackValue', formatSeconds],
+    decay: ['decayValue', formatSeconds],
+    sustain: ['sustainValue', formatDecimals(2)],
+    release: ['releaseValue', formatSeconds],
+    eqLow: ['eqLowValue', value => `${value.toFixed(1)} dB`],
+    eqMid: ['eqMidValue', value => `${value.toFixed(1)} dB`],
+    eqHigh: ['eqHighValue', value => `${value.toFixed(1)} dB`],
+    eqMidFreq: ['eqMidFreqValue', value => `${Math.round(value)} Hz`],
+    eqQ: ['eqQValue', formatDecimals(1)],
+    pan: ['masterPanValue', formatPan],
+    masterPan: ['masterPanValue', formatPan],
+    compressor: ['compressorValue', formatDecimals(2)],
+    arpRate: ['arpRateValue', value => `${Math.round(value)} BPM`],
+    arpGate: ['arpGateValue', value => `${Math.round(value)}%`],
+    arpSwing: ['arpSwingValue', value => `${Math.round(value)}%`],
+    stereoWidth: ['stereoWidthValue', formatDecimals(2)],
+    masterVolume: ['masterVolumeValue', formatDecimals(2)]
+};
 
+// Update a parameter's value readout without touching the audio
+function updateParameterDisplay(paramId, value) {
+    const display = parameterDisplays[paramId];
+    const element = display && document.getElementById(display[0]);
+    if (element) {
+        element.textContent = display[1](value);
+    }
 }
 
 // Function to update audio parameter directly
 function updateAudioParameter(paramId, value) {
+    updateParameterDisplay(paramId, value);
+
     switch (paramId) {
         case 'filterCutoff':
             filter.frequency.value = value;
-            document.getElementById('filterCutoffValue').textContent = `${Math.round(value)} Hz`;
+            updateFilterModCurve(value);
             break;
         case 'filterRes':
             filter.Q.value = value;
-            document.getElementById('filterResValue').textContent = parseFloat(value).toFixed(1);
+            break;
+        case 'filterDrive':
+            filter.drive = value;
+            break;
+        case 'unisonDetune':
+            synth.set({ unisonDetune: value });
+            break;
+        case 'unisonSpread':
+            synth.set({ unisonSpread: value });
+            break;
+        case 'unisonBlend':
+            synth.set({ unisonBlend: value });
+            break;
+        case 'glideTime':
+            if (synth instanceof MonoLayeredSynth) {
+                synth.set({ glide: value });
+            }
+            break;
+        case 'filterEnvAttack':
+            filterEnvelope.attack = value;
+            break;
+        case 'filterEnvDecay':
+            filterEnvelope.decay = value;
+            break;
+        case 'filterEnvSustain':
+            filterEnvelope.sustain = value;
+            break;
+        case 'filterEnvRelease':
+            filterEnvelope.release = value;
+            break;
+        case 'filterEnvAmount':
+            filterEnvSettings.amount = value / 100;
+            updateFilterModulation();
+            break;
+        case 'filterEnvVelocity':
+            filterEnvSettings.velocity = value / 100;
+            updateFilterModulation();
+            break;
+        case 'filterKeyTrack':
+            filterEnvSettings.keyTrack = value / 100;
+            updateFilterModulation();
+            break;
+        case 'velocityCutoff':
+            filterEnvSettings.velocityCutoff = value / 100;
+            updateFilterModulation();
+            break;
+        case 'velocityAttack':
+            setVelocityResponse({ attack: value / 100 });
             break;
         case 'oscillatorLevel':
             synth.set({
-                volume: Tone.gainToDb(value)
+                osc1Level: value
             });
-            document.getElementById('oscillatorLevelValue').textContent = value.toFixed(2);
             break;
         case 'pulseWidth':
             // Only apply if current waveform is pulse
@@ -4285,7 +6196,6 @@ function updateAudioParameter(paramId, value) {
                     }
                 });
             }
-            document.getElementById('pulseWidthValue').textContent = value.toFixed(2);
             break;
         case 'harmonicity':
             // Only apply if current waveform is fmsine
@@ -4296,7 +6206,6 @@ function updateAudioParameter(paramId, value) {
                     }
                 });
             }
-            document.getElementById('harmonicityValue').textContent = value.toFixed(1);
             break;
         case 'modulationIndex':
             // Only apply if current waveform is fmsine
@@ -4307,39 +6216,90 @@ function updateAudioParameter(paramId, value) {
                     }
                 });
             }
-            document.getElementById('modulationIndexValue').textContent = value.toFixed(1);
+            break;
+        case 'wavetablePosition':
+            // One position signal is shared by every wavetable voice
+            wavetablePosition.value = value;
             break;
         case 'reverbMix':
             reverb.wet.value = value;
-            document.getElementById('reverbMixValue').textContent = parseFloat(value).toFixed(2);
+            break;
+        case 'chorusRate':
+            chorus.frequency.value = value;
+            break;
+        case 'chorusDelay':
+            chorus.delayTime = value;
+            break;
+        case 'chorusDepth':
+            chorus.depth = value;
+            break;
+        case 'chorusFeedback':
+            chorus.feedback.value = value;
+            break;
+        case 'chorusSpread':
+            chorus.spread = value;
+            break;
+        case 'distortionAmount':
+            distortion.distortion = value;
+            break;
+        case 'flangerRate':
+            // A synced flanger keeps its division, the knob only applies when free
+            updateFlangerRate();
+            break;
+        case 'flangerDepth':
+            flanger.depth = value;
+            break;
+        case 'flangerFeedback':
+            flanger.feedback.value = value;
+            break;
+        case 'flangerManual':
+            flanger.manual = value / 1000;
+            break;
+        case 'phaserRate':
+            phaser.frequency.value = value;
+            break;
+        case 'phaserOctaves':
+            phaser.octaves = value;
+            break;
+        case 'phaserBaseFrequency':
+            phaser.baseFrequency = value;
+            break;
+        case 'phaserQ':
+            phaser.Q.value = value;
+            break;
+        case 'delayMix':
+            delay.wet.value = value;
+            break;
+        case 'delayLowCut':
+            delay.lowCut.value = value;
+            break;
+        case 'delayHighCut':
+            delay.highCut.value = value;
+            break;
+        case 'delayDuck':
+            delay.duck = value;
             break;
         case 'reverbDecay':
-            document.getElementById('reverbDecayValue').textContent = `${value.toFixed(1)}s`;
             // We don't change the actual reverb time continuously as it would create artifacts
             break;
         case 'delayTime':
-            delay.delayTime.value = value;
-            document.getElementById('delayTimeValue').textContent = parseFloat(value).toFixed(2);
+            // A synced delay keeps its division
+            updateDelayTime(value);
             break;
         case 'delayFeedback':
             delay.feedback.value = value;
-            document.getElementById('delayFeedbackValue').textContent = parseFloat(value).toFixed(2);
             break;
         case 'chorusMix':
             chorus.wet.value = value;
-            document.getElementById('chorusMixValue').textContent = parseFloat(value).toFixed(2);
             break;
         case 'flangerMix':
             flanger.wet.value = value;
-            document.getElementById('flangerMixValue').textContent = parseFloat(value).toFixed(2);
             break;
         case 'distortionMix':
             distortion.wet.value = value;
-            document.getElementById('distortionMixValue').textContent = parseFloat(value).toFixed(2);
             break;
         case 'phaserMix':
             phaser.wet.value = value;
-            document.getElementById('phaserMixValue').textContent = parseFloat(value).toFixed(2);
             break;
         case 'attack':
             synth.set({
@@ -4348,7 +6308,6 @@ function updateAudioParameter(paramId, value) {
                 }
             });
             synthSettings.envelope.attack = value;
-            document.getElementById('attackValue').textContent = `${value.toFixed(2)}s`;
             break;
         case 'decay':
             synth.set({
@@ -4357,7 +6316,6 @@ function updateAudioParameter(paramId, value) {
                 }
             });
             synthSettings.envelope.decay = value;
-            document.getElementById('decayValue').textContent = `${value.toFixed(2)}s`;
             break;
         case 'sustain':
             synth.set({
@@ -4366,7 +6324,6 @@ function updateAudioParameter(paramId, value) {
                 }
             });
             synthSettings.envelope.sustain = value;
-            document.getElementById('sustainValue').textContent = value.toFixed(2);
             break;
         case 'release':
             synth.set({
@@ -4375,61 +6332,44 @@ function updateAudioParameter(paramId, value) {
                 }
             });
             synthSettings.envelope.release = value;
-            document.getElementById('releaseValue').textContent = `${value.toFixed(2)}s`;
             break;
         case 'eqLow':
             eq.low.value = value;
-            document.getElementById('eqLowValue').textContent = `${value.toFixed(1)} dB`;
             updateEqResponse();
             break;
         case 'eqMid':
             eq.mid.value = value;
-            document.getElementById('eqMidValue').textContent = `${value.toFixed(1)} dB`;
             updateEqResponse();
             break;
         case 'eqHigh':
             eq.high.value = value;
-            document.getElementById('eqHighValue').textContent = `${value.toFixed(1)} dB`;
             updateEqResponse();
             break;
         case 'eqMidFreq':
-            document.getElementById('eqMidFreqValue').textContent = `${Math.round(value)} Hz`;
             updateEqResponse();
             break;
         case 'eqQ':
-            document.getElementById('eqQValue').textContent = value.toFixed(1);
             updateEqResponse();
             break;
         case 'pan':
             masterPanner.pan.value = value;
-            let displayText = "C"; // Center by default
-            if (value < -0.05) {
-                displayText = `L${Math.abs(Math.round(value * 100))}`;
-            } else if (value > 0.05) {
-                displayText = `R${Math.round(value * 100)}`;
-            }
-            document.getElementById('masterPanValue').textContent = displayText;
             break;
         case 'compressor':
             const compValue = value;
             masterCompressor.threshold.value = compValue * -30;
             masterCompressor.ratio.value = 1 + (compValue * 19);
-            document.getElementById('compressorValue').textContent = compValue.toFixed(2);
             break;
         case 'arpRate':
             arpeggiatorSettings.rate = value;
-            document.getElementById('arpRateValue').textContent = `${Math.round(value)} BPM`;
             if (isArpeggiatorEnabled) {
                 updateArpeggiatorTiming();
             }
             break;
         case 'arpGate':
             arpeggiatorSettings.gate = value;
-            document.getElementById('arpGateValue').textContent = `${Math.round(value)}%`;
             break;
         case 'arpSwing':
             arpeggiatorSettings.swing = value;
-            document.getElementById('arpSwingValue').textContent = `${Math.round(value)}%`;
             break;
         case 'stereoWidth':
             const widthValue = value;
@@ -4451,19 +6391,18 @@ function updateAudioParameter(paramId, value) {
                 widthCompensation.gain.value = 1;
             }
 
-            document.getElementById('stereoWidthValue').textContent = widthValue.toFixed(2);
             break;
         case 'masterVolume':
             const volumeValue = value;
             masterVolume.gain.value = volumeValue;
-            document.getElementById('masterVolumeValue').textContent = volumeValue.toFixed(2);
             break;
     }
 
     // Update visualizations if needed
-    if (['filterCutoff', 'filterRes'].includes(paramId)) {
+    if (['filterCutoff', 'filterRes', 'filterEnvAmount'].includes(paramId)) {
         updateFilterResponse();
-    } else if (['attack', 'decay', 'sustain', 'release'].includes(paramId)) {
+    }
+    if (['attack', 'decay', 'sustain', 'release', 'filterEnvAttack', 'filterEnvDecay', 'filterEnvSustain', 'filterEnvRelease', 'filterEnvAmount'].includes(paramId)) {
         updateADSRVisualizer();
     } else if (['eqLow', 'eqMid', 'eqHigh', 'eqMidFreq', 'eqQ'].includes(paramId)) {
         updateEqResponse();
@@ -4471,37 +6410,10 @@ function updateAudioParameter(paramId, value) {
 }
 
 
-// Replace your LFO destination handler with this implementation
+// LFO destination handler
 document.getElementById('lfoDestination').addEventListener('change', function(e) {
-    // Stop any existing LFO animation
     stopLfo();
-
-    // Get new destination
-    const newDestination = e.target.value;
-
-    // If turning off, we're done
-    if (newDestination === 'off') {
-        lfoDestination = 'off';
-
-        // Update enhanced visualizer if available
-        if (window.lfoOscilloscope) {
-            window.lfoOscilloscope.updateParameters(undefined, undefined, undefined, 'off');
-        }
-        return;
-    }
-
-    // Store the destination
-    lfoDestination = newDestination;
-
-    // Store the base value
-    const input = document.getElementById(newDestination);
-    if (input) {
-        lfoBaseValues[newDestination] = parseFloat(input.value);
-    }
-
-    // Enhanced LFO visualizer has been removed
-
-    // Start the LFO
+    lfoDestination = e.target.value;
     startLfo();
 });
 
@@ -4525,9 +6437,33 @@ function initLfoScope() {
     console.log('LFO scope initialized in unified animation system');
 }
 
-// Trigger initial LFO destination setup
+// Set up the mod matrix and the LFOs, then the initial LFO destination
 document.addEventListener('DOMContentLoaded', () => {
+    initModMatrix({
+        sources: {
+            lfo1: lfos.lfo1.output,
+            lfo2: lfos.lfo2.output,
+            lfo3: lfos.lfo3.output,
+            env: modEnvelope,
+            velocity: modVelocity,
+            modWheel: modWheel,
+            aftertouch: modAftertouch,
+            polyAftertouch: modPolyAftertouch
+        },
+        destinations: getModDestinations(),
+        getAudioTargets: getModAudioTargets,
+        updateAudioParameter,
+        showValue: showModulatedValue
+    });
+
+    Object.values(lfos).forEach(source => {
+        updateLfoRate(source);
+        updateLfoWaveform(source, document.getElementById(`${source.prefix}Waveform`).value);
+    });
     document.getElementById('lfoDestination').dispatchEvent(new Event('change'));
+
+    // Filter envelope sweep around the initial cutoff
+    updateFilterModCurve();
 });
 
 // Drone button event listener
@@ -4582,6 +6518,17 @@ function toggleDrone() {
     isDroneActive = !isDroneActive;
 }
 
+// Oscillator settings for the drone and bass synths. They play a single Tone oscillator,
+// so in wavetable mode they take the table's wave at the knob's position.
+function getSingleOscillatorSettings() {
+    const waveform = document.getElementById('waveform').value;
+    if (waveform === 'wavetable') {
+        const position = parseFloat(document.getElementById('wavetablePosition').value);
+        return { type: 'custom', partials: getWavetablePartials(position) };
+    }
+    return { type: waveform };
+}
+
 function startDrone() {
     // Get current synth settings
     const droneType = document.getElementById('droneType').value;
@@ -4590,12 +6537,8 @@ function startDrone() {
     // Create appropriate drone based on type
     if (droneType === 'oscillator') {
         // Create a monophonic synth with current waveform
-        const waveform = document.getElementById('waveform').value;
-
         droneSynth = new Tone.MonoSynth({
-            oscillator: {
-                type: waveform
-            },
+            oscillator: getSingleOscillatorSettings(),
             envelope: {
                 attack: 0.5,
                 decay: 0.2,
@@ -4603,7 +6546,7 @@ function startDrone() {
                 release: 1.0
             },
             volume: Tone.gainToDb(droneVolume) // Set volume explicitly
-        }).connect(filter); // Connect to the same effects chain
+        }).connect(fxInput); // Connect to the same effects chain
 
         // Start the drone with current note
         updateDronePitch();
@@ -4614,7 +6557,7 @@ function startDrone() {
         droneSynth = new Tone.Noise({
             type: droneType,
             volume: Tone.gainToDb(droneVolume) // Set volume explicitly
-        }).connect(filter); // Connect to the same effects chain
+        }).connect(fxInput); // Connect to the same effects chain
 
         droneSynth.start();
     }
@@ -4712,6 +6655,7 @@ document.addEventListener('DOMContentLoaded', () => {
         // Update filter and value display
         if (filter) {
             filter.frequency.value = value;
+            updateFilterModCurve(value);
         }
         filterCutoffValue.textContent = Math.round(value) + ' Hz';
 
@@ -4862,32 +6806,32 @@ function setupChordPads() {
 
     // Add click event to chord buttons
     chordButtons.forEach(button => {
-        button.addEventListener('click', function() {
+        button.addEventListener('click', function(e) {
             chordButtons.forEach(btn => btn.classList.remove('active'));
             this.classList.add('active');
             selectedChordType = this.getAttribute('data-chord-type');
 
             if (selectedChordType && selectedNote) {
-                playChord(selectedNote, selectedChordType);
+                playChord(selectedNote, selectedChordType, getPressVelocity(e, this));
             }
         });
     });
 
     // Add click event to note buttons
     noteButtons.forEach(button => {
-        button.addEventListener('click', function() {
+        button.addEventListener('click', function(e) {
             noteButtons.forEach(btn => btn.classList.remove('active'));
             this.classList.add('active');
             selectedNote = this.getAttribute('data-note');
 
             if (selectedChordType && selectedNote) {
-                playChord(selectedNote, selectedChordType);
+                playChord(selectedNote, selectedChordType, getPressVelocity(e, this));
             }
         });
     });
 
     // Function to play bass note
-    function playBassNote(rootNote, duration = null) {
+    function playBassNote(rootNote, duration = null, velocity = 1) {
         if (!bassNoteActive) return; // Only play if bass note is toggled on
 
         if (!synth || synth.disposed) {
@@ -4900,12 +6844,9 @@ function setupChordPads() {
             bassSynth.dispose();
         }
 
-        const waveform = document.getElementById('waveform').value;
         const level = parseFloat(document.getElementById('oscillatorLevel').value || 0.8);
         bassSynth = new Tone.MonoSynth({
-            oscillator: {
-                type: waveform
-            },
+            oscillator: getSingleOscillatorSettings(),
             envelope: {
                 attack: 0.1,
                 decay: 0.2,
@@ -4917,16 +6858,18 @@ function setupChordPads() {
                 Q: 1
             },
             volume: Tone.gainToDb(level)
-        }).connect(filter);
+        }).connect(fxInput);
 
         const octave = parseInt(document.getElementById('currentOctave').textContent.replace(/\D/g, ''));
         const bassOctave = Math.max(1, octave - 2);
         const bassNote = `${rootNote}${bassOctave}`;
 
+        // The bass synth isn't a LayeredSynth, so the velocity curve is applied here
+        const bassVelocity = applyVelocityCurve(velocity);
         if (duration) {
-            bassSynth.triggerAttackRelease(bassNote, duration);
+            bassSynth.triggerAttackRelease(bassNote, duration, undefined, bassVelocity);
         } else {
-            bassSynth.triggerAttack(bassNote);
+            bassSynth.triggerAttack(bassNote, undefined, bassVelocity);
         }
 
         highlightBassKey(bassNote);
@@ -4991,7 +6934,7 @@ function setupChordPads() {
     }
 
     // Modified playChord to sync bass note with chord playback
-    function playChord(note, chordType) {
+    function playChord(note, chordType, velocity = 1) {
         if (!chordTypes[chordType]) return;
 
         if (!synth || synth.disposed) {
@@ -5033,7 +6976,7 @@ function setupChordPads() {
                 notes.forEach(note => addNoteToArpeggiator(note));
                 // Bass note doesn't make sense with arpeggiator, so skip it
             } else if (holdModeActive) {
-                synth.triggerAttack(notes);
+                synth.triggerAttack(notes, undefined, velocity);
                 document.querySelectorAll('.chord-highlighted').forEach(key => {
                     key.classList.add('hold-active');
                 });
@@ -5042,17 +6985,17 @@ function setupChordPads() {
                     activeChordTimeout = null;
                 }
                 if (bassNoteActive) {
-                    playBassNote(note); // Play bass note without duration for hold
+                    playBassNote(note, null, velocity); // Play bass note without duration for hold
                 }
             } else {
-                synth.triggerAttackRelease(notes, "8n");
+                synth.triggerAttackRelease(notes, "8n", undefined, velocity);
                 if (bassNoteActive) {
-                    playBassNote(note, "8n"); // Play bass note with same duration as chord
+                    playBassNote(note, "8n", velocity); // Play bass note with same duration as chord
                 }
             }
 
             notes.forEach(note => activeNotes.add(note));
-            updateVUMeter(0.8);
+            updateVUMeter(0.8 * velocity);
         } catch (err) {
             console.warn("Error playing chord:", err);
             try {
@@ -5318,9 +7261,13 @@ document.addEventListener('DOMContentLoaded', () => {
     // Step 3: Initialize audio systems
     initializeDrumSounds();
     setupDrumPads();
+    initDrumMachine(playDrumSound);
+    initPatternBank(getSequencerSteps, setSequencerSteps);
 
     // Step 4: Initialize presets
     initializePresets();
+    loadPresetFromUrl();
+    initRandomizer(builtInPresets);
 
     // Step 5: Initialize visualizations 
     updateADSRVisualizer();
@@ -5334,6 +7281,7 @@ document.addEventListener('DOMContentLoaded', () => {
     if (typeof setupSequencer === 'function') {
         setupSequencer();
     }
+    setupDrumMachine();
 
     // Step 7: Initialize UI modules
     setupCollapsibleModules();
@@ -5604,11 +7552,13 @@ function updateLfoDestinationOptions(currentWaveform) {
     const pulseWidthOption = Array.from(lfoDestination.options).find(opt => opt.value === 'pulseWidth');
     const harmonicityOption = Array.from(lfoDestination.options).find(opt => opt.value === 'harmonicity');
     const modulationIndexOption = Array.from(lfoDestination.options).find(opt => opt.value === 'modulationIndex');
+    const wavetablePositionOption = Array.from(lfoDestination.options).find(opt => opt.value === 'wavetablePosition');
 
     // First, disable all waveform-specific options
     if (pulseWidthOption) pulseWidthOption.disabled = true;
     if (harmonicityOption) harmonicityOption.disabled = true;
     if (modulationIndexOption) modulationIndexOption.disabled = true;
+    if (wavetablePositionOption) wavetablePositionOption.disabled = true;
 
     // Then enable options based on current waveform
     if (currentWaveform === 'pulse' && pulseWidthOption) {
@@ -5616,6 +7566,8 @@ function updateLfoDestinationOptions(currentWaveform) {
     } else if (currentWaveform === 'fmsine') {
         if (harmonicityOption) harmonicityOption.disabled = false;
         if (modulationIndexOption) modulationIndexOption.disabled = false;
+    } else if (currentWaveform === 'wavetable' && wavetablePositionOption) {
+        wavetablePositionOption.disabled = false;
     }
 
     // If the currently selected option is now disabled, reset to 'off'
@@ -14,6 +14,9 @@ const MIDISystem = {
     inputs: new Map(),
     outputs: new Map(),
     
+    // Pressure of each held note from polyphonic aftertouch
+    notePressure: new Map(),
+    
     // Learn mode state
     learnMode: false,
     currentTargetElement: null,
@@ -225,7 +228,15 @@ function handleMIDIMessage(message) {
             handleNoteOff(data[1]);
             break;
             
-        // Add more message types as needed (Pitch Bend, Aftertouch, etc.)
+        case 0xD0: // Channel Aftertouch - a mod matrix source
+            setModulationInput('aftertouch', data[1]);
+            break;
+            
+        case 0xA0: // Polyphonic Aftertouch - per-note pressure, also a mod matrix source
+            handlePolyAftertouch(data[1], data[2]);
+            break;
+            
+        // Add more message types as needed (Pitch Bend, etc.)
         
         default:
             // Uncomment for debugging all MIDI messages
@@ -262,6 +273,11 @@ function handleControlChange(cc, value) {
         return;
     }
     
+    // The mod wheel feeds the mod matrix as well as any learned mapping
+    if (cc === 1) {
+        setModulationInput('modWheel', value);
+    }
+    
     // Normal CC handling (when not in learn mode)
     if (MIDISystem.mappings.has(cc)) {
         const elementId = MIDISystem.mappings.get(cc);
@@ -277,6 +293,33 @@ function handleControlChange(cc, value) {
     }
 }
 
+/**
+ * Track the pressure of each held note. The mod matrix source follows the
+ * hardest-pressed note, so releasing it falls back to the others.
+ * @param {number} note - The note number (0-127)
+ * @param {number} pressure - The pressure (0-127); 0 forgets the note
+ */
+function handlePolyAftertouch(note, pressure) {
+    if (pressure > 0) {
+        MIDISystem.notePressure.set(note, pressure);
+    } else {
+        MIDISystem.notePressure.delete(note);
+    }
+    
+    setModulationInput('polyAftertouch', Math.max(0, ...MIDISystem.notePressure.values()));
+}
+
+/**
+ * Pass a controller value on to a mod matrix source
+ * @param {string} input - The source id ('modWheel', 'aftertouch' or 'polyAftertouch')
+ * @param {number} value - The value (0-127)
+ */
+function setModulationInput(input, value) {
+    if (typeof window.setModulationInput === 'function') {
+        window.setModulationInput(input, value / 127);
+    }
+}
+
 /**
  * Add a visual indicator when a parameter is being controlled via MIDI
  * @param {HTMLElement} element - The element being controlled
@@ -351,7 +394,7 @@ function handleNoteOn(note, velocity) {
     }
     
     // Handle keyboard input (always active regardless of mappings)
-    handleKeyboardNoteInput(note);
+    handleKeyboardNoteInput(note, velocity);
 }
 
 /**
@@ -361,6 +404,11 @@ function handleNoteOn(note, velocity) {
 function handleNoteOff(note) {
     console.log(`Note Off: ${note}`);
     
+    // A released note no longer holds any pressure
+    if (MIDISystem.notePressure.has(note)) {
+        handlePolyAftertouch(note, 0);
+    }
+    
     // Handle keyboard note release
     handleKeyboardNoteRelease(note);
 }
@@ -415,8 +463,9 @@ function updateElementFromMIDI(element, midiValue) {
 /**
  * Handle keyboard note input for synth keyboard
  * @param {number} note - MIDI note number
+ * @param {number} velocity - The velocity (1-127); the synth applies the velocity curve
  */
-function handleKeyboardNoteInput(note) {
+function handleKeyboardNoteInput(note, velocity = 127) {
     // Get the synth keyboard if it exists
     const keyboard = document.getElementById('keyboard');
     if (!keyboard) return;
@@ -438,11 +487,11 @@ function handleKeyboardNoteInput(note) {
             }
             
             // Actually trigger the note on the synth
-            window.synth.triggerAttack(noteName);
+            window.synth.triggerAttack(noteName, undefined, velocity / 127);
             
             // Visual feedback using VU meter
             if (typeof window.updateVUMeter === 'function') {
-                window.updateVUMeter(0.8);
+                window.updateVUMeter(0.8 * velocity / 127);
             }
             
             console.log("Playing MIDI note:", noteName);
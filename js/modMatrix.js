@@ -0,0 +1,357 @@
+// Modulation Matrix Module
+// Routes modulation sources (LFOs, envelope, velocity, mod wheel, aftertouch) to synth
+// parameters. Each destination sums its sources on the audio clock and a shaper curve
+// turns the sum into an offset in the parameter's own units, clamped to the knob's range.
+// Destinations without an audio param are updated at control rate instead.
+
+const CONSTANTS = {
+  SLOT_COUNT: 8, // Matrix rows in the panel
+  CONTROL_RATE: 30, // Hz - update rate for destinations without an audio param
+  FADE_TIME: 0.02, // s - fade when a route is connected or removed, avoids clicks
+  CURVE_SIZE: 1024 // Points in each shaper curve
+};
+
+// Modulation sources. Bipolar sources swing -1..1 and sweep the whole knob range at 100%;
+// unipolar sources go 0..1 and move from the knob's value up to a full range away.
+const MOD_SOURCES = [
+  { id: 'lfo1', label: 'LFO 1', bipolar: true },
+  { id: 'lfo2', label: 'LFO 2', bipolar: true },
+  { id: 'lfo3', label: 'LFO 3', bipolar: true },
+  { id: 'env', label: 'Envelope', bipolar: false },
+  { id: 'velocity', label: 'Velocity', bipolar: false },
+  { id: 'modWheel', label: 'Mod Wheel', bipolar: false },
+  { id: 'aftertouch', label: 'Aftertouch', bipolar: false },
+  { id: 'polyAftertouch', label: 'Poly Aftertouch', bipolar: false }
+];
+
+// Module state
+let sources = {}; // source id -> { output, meter, bipolar }
+let destinations = [];
+let callbacks = null;
+let matrixSlots = [];
+const directRoutes = new Map(); // Routes set outside the matrix, e.g. the LFO module's destination
+const routes = new Map(); // destination id -> connected route
+let controlClock = null;
+
+// Initialize the matrix panel and the routing engine.
+// options.sources: { [id]: Tone node with the source signal }
+// options.destinations: [{ id, label }] - ids are the knob input ids
+// options.getAudioTargets(destination): [{ param, map }] audio params driven by a destination
+// options.updateAudioParameter(destination, value): sets a destination without an audio param
+// options.showValue(destination, value): shows a value on the destination's knob
+function initModMatrix(options) {
+  try {
+    callbacks = options;
+    destinations = options.destinations;
+
+    MOD_SOURCES.forEach(source => {
+      const output = options.sources[source.id];
+      if (!output) return;
+      const meter = new Tone.DCMeter();
+      output.connect(meter);
+      sources[source.id] = { output, meter, bipolar: source.bipolar };
+    });
+
+    matrixSlots = Array.from({ length: CONSTANTS.SLOT_COUNT }, () => createEmptySlot());
+    renderSlots();
+    updateModRouting();
+
+    // Tone's clock keeps ticking in a background tab, unlike requestAnimationFrame
+    controlClock = new Tone.Clock(updateControlRateRoutes, CONSTANTS.CONTROL_RATE).start();
+
+    console.log("Mod matrix initialized");
+  } catch (error) {
+    console.error("Error initializing mod matrix:", error);
+  }
+}
+
+function createEmptySlot() {
+  return { source: 'off', destination: 'off', amount: 0 };
+}
+
+// Build the slot rows
+function renderSlots() {
+  const container = document.getElementById('modMatrixSlots');
+  if (!container) return;
+  container.innerHTML = '';
+
+  const sourceOptions = [{ id: 'off', label: 'Off' }, ...MOD_SOURCES];
+  const destinationOptions = [{ id: 'off', label: 'Off' }, ...destinations];
+
+  matrixSlots.forEach((slot, index) => {
+    const row = document.createElement('div');
+    row.className = 'mod-slot';
+    row.dataset.index = index;
+
+    const sourceSelect = createSelect(`modSlot${index + 1}Source`, sourceOptions, slot.source);
+    const destinationSelect = createSelect(`modSlot${index + 1}Destination`, destinationOptions, slot.destination);
+
+    const amount = document.createElement('input');
+    amount.type = 'range';
+    amount.id = `modSlot${index + 1}Amount`;
+    amount.min = -100;
+    amount.max = 100;
+    amount.step = 1;
+    amount.value = Math.round(slot.amount * 100);
+
+    const amountValue = document.createElement('span');
+    amountValue.className = 'mod-slot-amount';
+    amountValue.id = `modSlot${index + 1}AmountValue`;
+    amountValue.textContent = formatAmount(slot.amount);
+
+    sourceSelect.addEventListener('input', () => {
+      slot.source = sourceSelect.value;
+      updateSlotState(row, slot);
+      updateModRouting();
+    });
+    destinationSelect.addEventListener('input', () => {
+      slot.destination = destinationSelect.value;
+      updateSlotState(row, slot);
+      updateModRouting();
+    });
+    amount.addEventListener('input', () => {
+      slot.amount = parseFloat(amount.value) / 100;
+      amountValue.textContent = formatAmount(slot.amount);
+      updateModRouting();
+    });
+
+    row.append(sourceSelect, destinationSelect, amount, amountValue);
+    updateSlotState(row, slot);
+    container.appendChild(row);
+  });
+}
+
+function createSelect(id, options, value) {
+  const select = document.createElement('select');
+  select.id = id;
+  options.forEach(option => {
+    const element = document.createElement('option');
+    element.value = option.id;
+    element.textContent = option.label;
+    select.appendChild(element);
+  });
+  select.value = value;
+  return select;
+}
+
+function formatAmount(amount) {
+  const percent = Math.round(amount * 100);
+  return `${percent > 0 ? '+' : ''}${percent}%`;
+}
+
+function updateSlotState(row, slot) {
+  row.classList.toggle('active', isSlotActive(slot));
+}
+
+function isSlotActive(slot) {
+  return Boolean(sources[slot.source]) && destinations.some(d => d.id === slot.destination);
+}
+
+// Current matrix for presets - only the rows that are in use
+function getModMatrix() {
+  return matrixSlots
+    .filter(isSlotActive)
+    .map(slot => ({ ...slot }));
+}
+
+// Load a matrix from a preset. Unknown sources or destinations are dropped.
+function setModMatrix(slots = []) {
+  const usable = slots.filter(isSlotActive).slice(0, CONSTANTS.SLOT_COUNT);
+  matrixSlots = Array.from({ length: CONSTANTS.SLOT_COUNT }, (_, index) => (
+    usable[index] ? { ...usable[index] } : createEmptySlot()
+  ));
+  renderSlots();
+  updateModRouting();
+}
+
+// Add or remove (route = null) a route that lives outside the matrix
+function setDirectRoute(id, route) {
+  if (route) {
+    directRoutes.set(id, route);
+  } else {
+    directRoutes.delete(id);
+  }
+  updateModRouting();
+}
+
+// Bring the connected routes in line with the matrix and the direct routes.
+// Destinations whose set of sources is unchanged are updated in place, so moving
+// an amount doesn't reconnect anything.
+function updateModRouting() {
+  if (!callbacks) return;
+
+  const wanted = new Map();
+  [...matrixSlots, ...directRoutes.values()].forEach(slot => {
+    if (!isSlotActive(slot)) return;
+    if (!wanted.has(slot.destination)) {
+      wanted.set(slot.destination, []);
+    }
+    wanted.get(slot.destination).push({ source: slot.source, amount: slot.amount });
+  });
+
+  routes.forEach((route, destination) => {
+    const slots = wanted.get(destination);
+    if (!slots || getSignature(slots) !== route.signature) {
+      removeRoute(route);
+    }
+  });
+
+  wanted.forEach((slots, destination) => {
+    const route = routes.get(destination);
+    if (route) {
+      route.slots = slots;
+      updateRouteLevels(route);
+    } else {
+      createRoute(destination, slots);
+    }
+  });
+}
+
+function getSignature(slots) {
+  return slots.map(slot => slot.source).join(',');
+}
+
+// Each slot's depth in knob ranges: bipolar sources sweep half the range each way
+function getDepth(slot) {
+  return slot.amount * (sources[slot.source].bipolar ? 0.5 : 1);
+}
+
+function createRoute(destination, slots) {
+  const input = document.getElementById(destination);
+  if (!input) return;
+
+  const route = {
+    destination,
+    input,
+    slots,
+    signature: getSignature(slots),
+    slotGains: [],
+    sum: null,
+    targets: [],
+    onInput: null
+  };
+
+  // Sources -> per-slot gain -> sum -> shaper per audio param -> send -> param.
+  // The send is a plain gain, so the offset adds to the param instead of replacing it.
+  const audioTargets = callbacks.getAudioTargets(destination);
+  if (audioTargets.length > 0) {
+    route.sum = new Tone.Gain(1);
+    route.slotGains = slots.map(slot => {
+      const gain = new Tone.Gain(0);
+      sources[slot.source].output.connect(gain);
+      gain.connect(route.sum);
+      return gain;
+    });
+    route.targets = audioTargets.map(target => {
+      const shaper = new Tone.WaveShaper();
+      const send = new Tone.Gain(0);
+      route.sum.chain(shaper, send);
+      send.connect(target.param);
+      return { ...target, shaper, send };
+    });
+  }
+
+  // Moving the knob moves the centre of the modulation
+  route.onInput = () => updateRouteCurves(route);
+  input.addEventListener('input', route.onInput);
+
+  routes.set(destination, route);
+  updateRouteLevels(route);
+  route.targets.forEach(({ send }) => send.gain.rampTo(1, CONSTANTS.FADE_TIME));
+}
+
+function removeRoute(route) {
+  routes.delete(route.destination);
+  route.input.removeEventListener('input', route.onInput);
+
+  // Fade out before disconnecting
+  route.targets.forEach(({ send }) => send.gain.rampTo(0, CONSTANTS.FADE_TIME));
+  setTimeout(() => {
+    route.targets.forEach(({ shaper, send }) => {
+      shaper.dispose();
+      send.dispose();
+    });
+    route.slotGains.forEach(gain => gain.dispose());
+    if (route.sum) route.sum.dispose();
+  }, CONSTANTS.FADE_TIME * 1000 + 100);
+
+  // Put the knob, readout and any control-rate parameter back on the knob's own value
+  const baseValue = parseFloat(route.input.value);
+  if (route.targets.length === 0) {
+    callbacks.updateAudioParameter(route.destination, baseValue);
+  }
+  callbacks.showValue(route.destination, baseValue);
+}
+
+// The sum is normalised by the total depth so it stays within the shaper's -1..1 input
+function getTotalDepth(route) {
+  return Math.max(route.slots.reduce((total, slot) => total + Math.abs(getDepth(slot)), 0), 0.0001);
+}
+
+function updateRouteLevels(route) {
+  const totalDepth = getTotalDepth(route);
+  route.slotGains.forEach((gain, index) => {
+    gain.gain.rampTo(getDepth(route.slots[index]) / totalDepth, CONSTANTS.FADE_TIME);
+  });
+  updateRouteCurves(route);
+}
+
+// Rebuild the shaper curves after an amount or the destination knob changed
+function updateRouteCurves(route) {
+  if (route.targets.length === 0) return;
+
+  const { base, range, min, max } = getInputRange(route.input);
+  const totalDepth = getTotalDepth(route);
+
+  route.targets.forEach(({ shaper, map = value => value }) => {
+    const curve = new Float32Array(CONSTANTS.CURVE_SIZE);
+    for (let i = 0; i < CONSTANTS.CURVE_SIZE; i++) {
+      const sum = (i / (CONSTANTS.CURVE_SIZE - 1)) * 2 - 1;
+      const value = Math.max(min, Math.min(max, base + sum * totalDepth * range));
+      curve[i] = map(value) - map(base);
+    }
+    shaper.curve = curve;
+  });
+}
+
+function getInputRange(input) {
+  const min = parseFloat(input.min);
+  const max = parseFloat(input.max);
+  return { base: parseFloat(input.value), range: max - min, min, max };
+}
+
+// Current value of a modulated destination, read from the source meters
+function getModulatedValue(route) {
+  const { base, range, min, max } = getInputRange(route.input);
+  const offset = route.slots.reduce((total, slot) => {
+    const source = sources[slot.source];
+    const value = Math.max(source.bipolar ? -1 : 0, Math.min(1, source.meter.getValue()));
+    return total + getDepth(slot) * value;
+  }, 0);
+  return Math.max(min, Math.min(max, base + offset * range));
+}
+
+function updateControlRateRoutes() {
+  routes.forEach(route => {
+    if (route.targets.length === 0) {
+      callbacks.updateAudioParameter(route.destination, getModulatedValue(route));
+    }
+  });
+}
+
+// Animation frame hook - knobs follow the modulation, the audio doesn't depend on it
+function updateModDisplay() {
+  routes.forEach(route => {
+    callbacks.showValue(route.destination, getModulatedValue(route));
+  });
+}
+
+// Export the necessary functions and variables
+export {
+  MOD_SOURCES,
+  initModMatrix,
+  getModMatrix,
+  setModMatrix,
+  setDirectRoute,
+  updateModDisplay
+};
@@ -0,0 +1,306 @@
+// Multi-mode Filter Module - the synth's main filter
+// A drive stage followed by three filter networks: a Tone.Filter for the biquad modes
+// (lowpass, highpass, bandpass, notch, peaking), a feedback comb and a three-band
+// formant filter. Every network follows the same frequency and Q signals, so envelopes
+// and the mod matrix reach whichever mode is selected, and switching modes only fades
+// between the network outputs.
+
+const BIQUAD_MODES = ['lowpass', 'highpass', 'bandpass', 'notch', 'peaking'];
+const FILTER_MODES = [...BIQUAD_MODES, 'comb', 'formant'];
+const ROLLOFFS = [-12, -24, -48];
+
+const MODE_FADE_TIME = 0.02; // s - crossfade when the mode or vowel changes
+const PEAKING_GAIN = 12; // dB - boost at the cutoff in peaking mode
+const DRIVE_GAIN = 9; // Extra input gain into the saturator at full drive
+const MAX_FREQUENCY = 20000;
+const MIN_FREQUENCY = 20;
+const MAX_Q = 20; // Top of the resonance knob
+const COMB_MAX_FEEDBACK = 0.9;
+const FORMANT_REFERENCE = 1000; // Hz - the cutoff at which the vowels sit at their natural formants
+const FORMANT_GAIN = 2; // Make-up gain, the narrow bands remove most of the signal
+
+// Formants of sung vowels: frequency (Hz), bandwidth (Hz) and level (dB) of the first three
+const VOWELS = {
+    a: [[600, 60, 0], [1040, 70, -7], [2250, 110, -9]],
+    e: [[400, 40, 0], [1620, 80, -12], [2400, 100, -9]],
+    i: [[250, 60, 0], [1750, 90, -30], [2600, 100, -16]],
+    o: [[400, 40, 0], [750, 80, -11], [2400, 100, -21]],
+    u: [[350, 40, 0], [600, 80, -20], [2400, 100, -32]]
+};
+
+// Comb feedback for a resonance value, and the gain that keeps its level steady
+function getCombFeedback(q) {
+    return COMB_MAX_FEEDBACK * Math.min(1, Math.max(0, q / MAX_Q));
+}
+
+function getCombMakeup(q) {
+    const feedback = getCombFeedback(q);
+    return Math.sqrt(1 - feedback * feedback);
+}
+
+// Formant bandwidths narrow as the resonance rises; 10 gives the natural width
+function getFormantQ(formantFrequency, bandwidth, q) {
+    return (formantFrequency / bandwidth) * (0.5 + q / MAX_Q);
+}
+
+// Tone's comb filter runs in an AudioWorklet and its params are placeholders until the
+// worklet has loaded. Signals connected before then would be lost, so they are
+// connected from the worklet's onReady hook instead.
+class CombFilter extends Tone.FeedbackCombFilter {
+    onReady(node) {
+        super.onReady(node);
+        if (this.onParamsReady) {
+            this.onParamsReady();
+        }
+    }
+}
+
+class MultiModeFilter extends Tone.ToneAudioNode {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'MultiModeFilter';
+
+        const settings = { ...MultiModeFilter.getDefaults(), ...options };
+        const context = this.context;
+
+        this.input = new Tone.Gain({ context });
+        this.output = new Tone.Gain({ context });
+
+        // Shared controls. Plain connections to these add to the knob value, which
+        // is how the filter envelope and mod matrix sweep the filter.
+        this.frequency = new Tone.Signal({ context, value: settings.frequency, units: 'frequency' });
+        this.Q = new Tone.Signal({ context, value: settings.Q, units: 'positive' });
+
+        // Drive - a blend between the dry input and a tanh saturator
+        this._driveDry = new Tone.Gain({ context });
+        this._driveWet = new Tone.Gain({ context, gain: 0 });
+        this._driveShaper = new Tone.WaveShaper({ context, length: 1024 });
+        this._driveOut = new Tone.Gain({ context });
+        this.input.fan(this._driveDry, this._driveShaper);
+        this._driveShaper.connect(this._driveWet);
+        this._driveDry.connect(this._driveOut);
+        this._driveWet.connect(this._driveOut);
+
+        // Biquad modes
+        this._biquad = new Tone.Filter({ context, type: 'lowpass', rolloff: settings.rolloff });
+        this._biquadLevel = new Tone.Gain({ context, gain: 0 });
+        this.frequency.connect(this._biquad.frequency);
+        this.Q.connect(this._biquad.Q);
+        this._driveOut.chain(this._biquad, this._biquadLevel, this.output);
+
+        // Comb - the cutoff sets the delay (1 / frequency) and the resonance the feedback.
+        // Shapers need a -1..1 input, so both signals are rescaled first.
+        this._comb = new CombFilter({ context });
+        this._combMakeup = new Tone.Gain({ context });
+        this._combLevel = new Tone.Gain({ context, gain: 0 });
+        this._combFrequencyScale = new Tone.Multiply({ context, value: 2 / MAX_FREQUENCY });
+        this._combFrequencyOffset = new Tone.Add({ context, value: -1 });
+        this._combDelay = new Tone.WaveShaper({
+            context,
+            length: 16384,
+            mapping: x => 1 / Math.max(MIN_FREQUENCY, (x + 1) / 2 * MAX_FREQUENCY)
+        });
+        this._combQScale = new Tone.Multiply({ context, value: 2 / MAX_Q });
+        this._combQOffset = new Tone.Add({ context, value: -1 });
+        this._combFeedback = new Tone.WaveShaper({ context, mapping: x => getCombFeedback((x + 1) / 2 * MAX_Q) });
+        this._combGain = new Tone.WaveShaper({ context, mapping: x => getCombMakeup((x + 1) / 2 * MAX_Q) });
+        this.frequency.chain(this._combFrequencyScale, this._combFrequencyOffset, this._combDelay);
+        this.Q.chain(this._combQScale, this._combQOffset);
+        this._combQOffset.fan(this._combFeedback, this._combGain);
+        this._combGain.connect(this._combMakeup.gain);
+        this._comb.onParamsReady = () => {
+            this._combDelay.connect(this._comb.delayTime);
+            this._combFeedback.connect(this._comb.resonance);
+        };
+        this._driveOut.chain(this._comb, this._combMakeup, this._combLevel, this.output);
+
+        // Formant - three bandpasses whose centres move with the cutoff
+        this._formantLevel = new Tone.Gain({ context, gain: 0 });
+        this._formantBands = VOWELS.a.map(() => {
+            const band = {
+                filter: new Tone.Filter({ context, type: 'bandpass' }),
+                frequency: new Tone.Multiply({ context }),
+                qScale: new Tone.Multiply({ context }),
+                qOffset: new Tone.Add({ context }),
+                level: new Tone.Gain({ context, gain: 0 })
+            };
+            this.frequency.chain(band.frequency, band.filter.frequency);
+            this.Q.chain(band.qScale, band.qOffset, band.filter.Q);
+            this._driveOut.chain(band.filter, band.level, this._formantLevel);
+            return band;
+        });
+        this._formantLevel.connect(this.output);
+
+        this._type = null;
+        this._vowel = null;
+        this._drive = null;
+        this.vowel = settings.vowel;
+        this.drive = settings.drive;
+        this.type = settings.type;
+    }
+
+    static getDefaults() {
+        return Object.assign(Tone.ToneAudioNode.getDefaults(), {
+            frequency: 2000,
+            Q: 1,
+            type: 'lowpass',
+            rolloff: -12,
+            drive: 0,
+            vowel: 'a'
+        });
+    }
+
+    // One of FILTER_MODES
+    get type() {
+        return this._type;
+    }
+
+    set type(type) {
+        if (!FILTER_MODES.includes(type) || type === this._type) return;
+        this._type = type;
+
+        if (BIQUAD_MODES.includes(type)) {
+            this._biquad.type = type;
+            this._biquad.gain.value = type === 'peaking' ? PEAKING_GAIN : 0;
+        }
+
+        const now = this.now();
+        this._biquadLevel.gain.rampTo(BIQUAD_MODES.includes(type) ? 1 : 0, MODE_FADE_TIME, now);
+        this._combLevel.gain.rampTo(type === 'comb' ? 1 : 0, MODE_FADE_TIME, now);
+        this._formantLevel.gain.rampTo(type === 'formant' ? FORMANT_GAIN : 0, MODE_FADE_TIME, now);
+    }
+
+    // Slope of the biquad modes in dB/octave: -12, -24 or -48
+    get rolloff() {
+        return this._biquad.rolloff;
+    }
+
+    set rolloff(rolloff) {
+        if (ROLLOFFS.includes(rolloff)) {
+            this._biquad.rolloff = rolloff;
+        }
+    }
+
+    // Formant vowel: 'a', 'e', 'i', 'o' or 'u'
+    get vowel() {
+        return this._vowel;
+    }
+
+    set vowel(vowel) {
+        if (!VOWELS[vowel] || vowel === this._vowel) return;
+        this._vowel = vowel;
+
+        const now = this.now();
+        VOWELS[vowel].forEach(([formantFrequency, bandwidth, level], index) => {
+            const band = this._formantBands[index];
+            band.frequency.factor.rampTo(formantFrequency / FORMANT_REFERENCE, MODE_FADE_TIME, now);
+            band.qScale.factor.value = getFormantQ(formantFrequency, bandwidth, 1) - getFormantQ(formantFrequency, bandwidth, 0);
+            band.qOffset.addend.value = getFormantQ(formantFrequency, bandwidth, 0);
+            band.level.gain.rampTo(Tone.dbToGain(level), MODE_FADE_TIME, now);
+        });
+    }
+
+    // Saturation before the filter, 0..1
+    get drive() {
+        return this._drive;
+    }
+
+    set drive(drive) {
+        this._drive = Math.min(1, Math.max(0, drive));
+
+        const gain = 1 + this._drive * DRIVE_GAIN;
+        const curve = new Float32Array(1024);
+        for (let i = 0; i < curve.length; i++) {
+            const x = (i / (curve.length - 1)) * 2 - 1;
+            curve[i] = Math.tanh(x * gain) / Math.tanh(gain);
+        }
+        this._driveShaper.curve = curve;
+
+        this._driveDry.gain.rampTo(1 - this._drive, MODE_FADE_TIME);
+        this._driveWet.gain.rampTo(this._drive, MODE_FADE_TIME);
+    }
+
+    // Magnitude response (linear gain) of the current mode at a cutoff and resonance,
+    // for drawing. The biquad modes are measured on a native filter with the same settings.
+    getFrequencyResponse(frequencies, frequency = this.frequency.value, q = this.Q.value) {
+        const values = Float32Array.from(frequencies);
+        const magnitudes = new Float32Array(values.length);
+
+        if (this._type === 'comb') {
+            const feedback = getCombFeedback(q);
+            const delay = 1 / Math.max(MIN_FREQUENCY, Math.min(MAX_FREQUENCY, frequency));
+            values.forEach((value, i) => {
+                const phase = 2 * Math.PI * value * delay;
+                magnitudes[i] = getCombMakeup(q) / Math.sqrt(1 - 2 * feedback * Math.cos(phase) + feedback * feedback);
+            });
+            return magnitudes;
+        }
+
+        if (this._type === 'formant') {
+            // Sum the bands as complex responses so their phases are taken into account
+            const real = new Float32Array(values.length);
+            const imaginary = new Float32Array(values.length);
+            VOWELS[this._vowel].forEach(([formantFrequency, bandwidth, level]) => {
+                const response = this._getBiquadResponse(values, 'bandpass', {
+                    frequency: formantFrequency * frequency / FORMANT_REFERENCE,
+                    Q: getFormantQ(formantFrequency, bandwidth, q)
+                });
+                const gain = Tone.dbToGain(level) * FORMANT_GAIN;
+                values.forEach((value, i) => {
+                    real[i] += response.magnitudes[i] * Math.cos(response.phases[i]) * gain;
+                    imaginary[i] += response.magnitudes[i] * Math.sin(response.phases[i]) * gain;
+                });
+            });
+            values.forEach((value, i) => {
+                magnitudes[i] = Math.hypot(real[i], imaginary[i]);
+            });
+            return magnitudes;
+        }
+
+        const stages = ROLLOFFS.indexOf(this.rolloff) >= 0 ? Math.pow(2, ROLLOFFS.indexOf(this.rolloff)) : 1;
+        const response = this._getBiquadResponse(values, this._type, {
+            frequency,
+            Q: q,
+            gain: this._type === 'peaking' ? PEAKING_GAIN : 0
+        });
+        response.magnitudes.forEach((magnitude, i) => {
+            magnitudes[i] = Math.pow(magnitude, stages);
+        });
+        return magnitudes;
+    }
+
+    _getBiquadResponse(frequencies, type, { frequency, Q, gain = 0 }) {
+        const biquad = this.context.createBiquadFilter();
+        biquad.type = type;
+        biquad.frequency.value = frequency;
+        biquad.Q.value = Q;
+        biquad.gain.value = gain;
+
+        const magnitudes = new Float32Array(frequencies.length);
+        const phases = new Float32Array(frequencies.length);
+        biquad.getFrequencyResponse(frequencies, magnitudes, phases);
+        return { magnitudes, phases };
+    }
+
+    dispose() {
+        super.dispose();
+        this._formantBands.forEach(band => {
+            Object.values(band).forEach(node => node.dispose());
+        });
+        [
+            this.input, this.output, this.frequency, this.Q,
+            this._driveDry, this._driveWet, this._driveShaper, this._driveOut,
+            this._biquad, this._biquadLevel,
+            this._comb, this._combMakeup, this._combLevel,
+            this._combFrequencyScale, this._combFrequencyOffset, this._combDelay,
+            this._combQScale, this._combQOffset, this._combFeedback, this._combGain,
+            this._formantLevel
+        ].forEach(node => node.dispose());
+        return this;
+    }
+}
+
+export {
+    MultiModeFilter,
+    FILTER_MODES
+};
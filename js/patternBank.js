@@ -0,0 +1,328 @@
+// Pattern Bank Module - A-H sequencer pattern slots and song chaining
+
+// Constants to replace magic numbers
+const CONSTANTS = {
+  SLOTS: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'],
+  MAX_REPEATS: 16, // Highest repeat count offered per song entry
+};
+
+// Module state
+let patterns = createEmptyBank();
+let currentPattern = 'A';
+let queuedPattern = null;
+let songMode = false;
+let song = [{ pattern: 'A', repeats: 1 }];
+let songIndex = 0;
+let songRepeatCount = 0;
+
+// Callbacks supplied by main.js to read/write the sequencer steps in the DOM
+let readSteps = null;
+let writeSteps = null;
+
+// Build a bank where every slot is empty
+function createEmptyBank() {
+  const bank = {};
+  CONSTANTS.SLOTS.forEach(slot => {
+    bank[slot] = null;
+  });
+  return bank;
+}
+
+// Initialize the pattern bank UI
+function initPatternBank(getSteps, setSteps) {
+  try {
+    readSteps = getSteps;
+    writeSteps = setSteps;
+
+    const slotContainer = document.getElementById('patternSlots');
+    if (!slotContainer) {
+      console.error("Pattern slot container not found! Should have ID 'patternSlots'");
+      return;
+    }
+
+    CONSTANTS.SLOTS.forEach(slot => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'pattern-slot';
+      button.dataset.pattern = slot;
+      button.textContent = slot;
+      slotContainer.appendChild(button);
+    });
+
+    slotContainer.addEventListener('click', e => {
+      const button = e.target.closest('.pattern-slot');
+      if (button) {
+        selectPattern(button.dataset.pattern);
+      }
+    });
+
+    const songToggle = document.getElementById('songModeToggle');
+    if (songToggle) {
+      songToggle.addEventListener('change', e => {
+        songMode = e.target.checked;
+        const stateElement = document.getElementById('songModeState');
+        if (stateElement) {
+          stateElement.textContent = songMode ? 'ON' : 'OFF';
+        }
+        resetSongPosition();
+        updatePatternBankUI();
+      });
+    }
+
+    const addButton = document.getElementById('songAddEntry');
+    if (addButton) {
+      addButton.addEventListener('click', () => {
+        song.push({ pattern: currentPattern, repeats: 1 });
+        renderSongList();
+      });
+    }
+
+    patterns[currentPattern] = readSteps();
+    renderSongList();
+    updatePatternBankUI();
+
+    console.log("Pattern bank initialized");
+  } catch (error) {
+    console.error("Error initializing pattern bank:", error);
+  }
+}
+
+// Select a slot - switches right away when stopped, otherwise waits for the next bar
+function selectPattern(slot) {
+  if (!CONSTANTS.SLOTS.includes(slot)) return;
+
+  if (Tone.Transport.state === 'started') {
+    queuedPattern = slot === currentPattern ? null : slot;
+    updatePatternBankUI();
+  } else {
+    switchPattern(slot);
+  }
+}
+
+// Store the DOM steps in the current slot and load the requested one
+// Empty slots start as a copy of the pattern being left, which makes variations quick to build
+function switchPattern(slot) {
+  patterns[currentPattern] = readSteps();
+
+  if (!patterns[slot]) {
+    patterns[slot] = patterns[currentPattern].map(step => ({ ...step }));
+  }
+
+  currentPattern = slot;
+  queuedPattern = null;
+  writeSteps(patterns[slot]);
+  updatePatternBankUI();
+}
+
+// Called from the sequencer's scheduleRepeat callback before each step is played.
+// patternEnded is true when the previous step was the last one in the pattern.
+// Returns true when a new pattern was loaded, so the caller can restart at step 0.
+function processPatternBoundary(time, patternEnded) {
+  // Song mode queues the next entry once the current one has played enough times
+  if (songMode && patternEnded && song.length > 0) {
+    songRepeatCount++;
+    if (songRepeatCount >= song[songIndex].repeats) {
+      songRepeatCount = 0;
+      songIndex = (songIndex + 1) % song.length;
+      if (song[songIndex].pattern !== currentPattern) {
+        queuedPattern = song[songIndex].pattern;
+      }
+      Tone.Draw.schedule(() => renderSongPosition(), time);
+    }
+  }
+
+  if (!queuedPattern || !isBarBoundary(time)) {
+    return false;
+  }
+
+  // Load the new steps straight away so this step already plays from them
+  switchPattern(queuedPattern);
+  return true;
+}
+
+// Check whether a transport time falls on the start of a bar
+function isBarBoundary(time) {
+  const ticks = Math.round(Tone.Transport.getTicksAtTime(time));
+  return ticks % Tone.Time('1m').toTicks() === 0;
+}
+
+// Rewind the song to its first entry - called when playback starts
+function resetPatternPlayback() {
+  queuedPattern = null;
+  resetSongPosition();
+
+  if (songMode && song.length > 0 && song[0].pattern !== currentPattern) {
+    switchPattern(song[0].pattern);
+  } else {
+    updatePatternBankUI();
+  }
+}
+
+// Move the song position back to the start
+function resetSongPosition() {
+  songIndex = 0;
+  songRepeatCount = 0;
+  renderSongPosition();
+}
+
+// Reflect the current, queued and filled slots on the buttons
+function updatePatternBankUI() {
+  document.querySelectorAll('.pattern-slot').forEach(button => {
+    const slot = button.dataset.pattern;
+    button.classList.toggle('active', slot === currentPattern);
+    button.classList.toggle('queued', slot === queuedPattern);
+    button.classList.toggle('filled', Boolean(patterns[slot]));
+  });
+}
+
+// Rebuild the song entry list
+function renderSongList() {
+  const list = document.getElementById('songList');
+  if (!list) return;
+
+  list.innerHTML = '';
+
+  song.forEach((entry, index) => {
+    const row = document.createElement('div');
+    row.className = 'song-entry';
+    row.dataset.index = index;
+
+    const patternSelect = document.createElement('select');
+    patternSelect.className = 'song-pattern';
+    CONSTANTS.SLOTS.forEach(slot => {
+      const option = document.createElement('option');
+      option.value = slot;
+      option.textContent = slot;
+      patternSelect.appendChild(option);
+    });
+    patternSelect.value = entry.pattern;
+    patternSelect.addEventListener('change', e => {
+      entry.pattern = e.target.value;
+    });
+    row.appendChild(patternSelect);
+
+    const repeatSelect = document.createElement('select');
+    repeatSelect.className = 'song-repeats';
+    for (let i = 1; i <= CONSTANTS.MAX_REPEATS; i++) {
+      const option = document.createElement('option');
+      option.value = i;
+      option.textContent = `x${i}`;
+      repeatSelect.appendChild(option);
+    }
+    repeatSelect.value = entry.repeats;
+    repeatSelect.addEventListener('change', e => {
+      entry.repeats = parseInt(e.target.value);
+    });
+    row.appendChild(repeatSelect);
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'song-remove';
+    removeButton.innerHTML = '<i class="fas fa-times"></i>';
+    removeButton.disabled = song.length === 1; // A song always keeps at least one entry
+    removeButton.addEventListener('click', () => {
+      song.splice(index, 1);
+      if (songIndex >= song.length) {
+        resetSongPosition();
+      }
+      renderSongList();
+    });
+    row.appendChild(removeButton);
+
+    list.appendChild(row);
+  });
+
+  renderSongPosition();
+}
+
+// Highlight the song entry that is currently playing
+function renderSongPosition() {
+  document.querySelectorAll('.song-entry').forEach(row => {
+    row.classList.toggle('playing', songMode && parseInt(row.dataset.index) === songIndex);
+  });
+}
+
+// Get the whole bank for saving in presets
+function getPatternBank() {
+  patterns[currentPattern] = readSteps();
+
+  const saved = {};
+  CONSTANTS.SLOTS.forEach(slot => {
+    if (patterns[slot]) {
+      saved[slot] = patterns[slot].map(step => ({ ...step }));
+    }
+  });
+
+  return {
+    current: currentPattern,
+    patterns: saved,
+    songMode,
+    song: song.map(entry => ({ ...entry }))
+  };
+}
+
+// Load a bank from a preset. Presets without one get their single
+// sequencer pattern in slot A and the rest of the bank cleared.
+function setPatternBank(bank, fallbackSteps) {
+  patterns = createEmptyBank();
+  queuedPattern = null;
+
+  if (bank && bank.patterns) {
+    CONSTANTS.SLOTS.forEach(slot => {
+      if (Array.isArray(bank.patterns[slot]) && bank.patterns[slot].length > 0) {
+        patterns[slot] = bank.patterns[slot].map(step => ({ ...step }));
+      }
+    });
+    currentPattern = CONSTANTS.SLOTS.includes(bank.current) ? bank.current : 'A';
+
+    song = Array.isArray(bank.song) ? bank.song
+      .filter(entry => CONSTANTS.SLOTS.includes(entry.pattern))
+      .map(entry => ({
+        pattern: entry.pattern,
+        repeats: Math.max(1, Math.min(CONSTANTS.MAX_REPEATS, parseInt(entry.repeats) || 1))
+      })) : [];
+    songMode = Boolean(bank.songMode);
+  } else {
+    currentPattern = 'A';
+    song = [];
+    songMode = false;
+  }
+
+  if (song.length === 0) {
+    song = [{ pattern: currentPattern, repeats: 1 }];
+  }
+
+  if (patterns[currentPattern]) {
+    writeSteps(patterns[currentPattern]);
+  } else {
+    if (fallbackSteps) {
+      writeSteps(fallbackSteps);
+    }
+    patterns[currentPattern] = readSteps();
+  }
+
+  const songToggle = document.getElementById('songModeToggle');
+  if (songToggle) {
+    songToggle.checked = songMode;
+    const stateElement = document.getElementById('songModeState');
+    if (stateElement) {
+      stateElement.textContent = songMode ? 'ON' : 'OFF';
+    }
+  }
+
+  songIndex = 0;
+  songRepeatCount = 0;
+  renderSongList();
+  updatePatternBankUI();
+}
+
+// Export the necessary functions
+export {
+  initPatternBank,
+  selectPattern,
+  processPatternBoundary,
+  isBarBoundary,
+  resetPatternPlayback,
+  getPatternBank,
+  setPatternBank
+};
@@ -0,0 +1,329 @@
+// Synth XR Preset Import/Export
+// Reads and writes presets as portable, versioned JSON files and shareable links
+
+import { migratePresetSettings, validatePresetSettings } from './presets.js';
+
+// Identifies Synth XR preset files and the version of the file layout
+export const PRESET_FILE_FORMAT = 'synthxr-presets';
+export const PRESET_FILE_VERSION = 1;
+
+/**
+ * Download presets as a versioned JSON file
+ * @param {object[]} presets - Presets to export ({name, category, settings})
+ * @param {string} fileName - Suggested file name for the download
+ */
+export function exportPresets(presets, fileName) {
+    const exportData = {
+        format: PRESET_FILE_FORMAT,
+        version: PRESET_FILE_VERSION,
+        date: new Date().toISOString(),
+        presets: presets.map(preset => ({
+            name: preset.name,
+            category: preset.category,
+            settings: preset.settings
+        }))
+    };
+
+    try {
+        const jsonString = JSON.stringify(exportData, null, 2);
+        const blob = new Blob([jsonString], { type: 'application/json' });
+
+        // Create a download link
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+
+        // Trigger download
+        document.body.appendChild(a);
+        a.click();
+
+        // Cleanup
+        setTimeout(() => {
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        }, 100);
+
+        console.log(`Exported ${presets.length} preset(s) to ${fileName}`);
+    } catch (error) {
+        console.error('Failed to export presets:', error);
+    }
+}
+
+/**
+ * Turn a preset or category name into a safe file name
+ * @param {string} name - Name to convert
+ * @returns {string} File name ending in .json
+ */
+export function presetFileName(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `synthxr-${slug || 'presets'}.json`;
+}
+
+/**
+ * Read a file selected by the user as text
+ * @param {File} file - The file to read
+ * @returns {Promise<string>} The file contents
+ */
+export function readPresetFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = event => resolve(event.target.result);
+        reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * Parse and validate the contents of a preset file.
+ * Accepts a full export file, a bare array of presets, or a single preset.
+ * Each preset's settings are migrated to the current schema and validated.
+ * @param {string} text - Raw file contents
+ * @param {function(string): boolean} isKnownSetting - Whether applyPreset() understands a settings key
+ * @returns {{presets: object[], errors: string[], warnings: string[]}} Valid presets and a report
+ */
+export function parsePresetFile(text, isKnownSetting) {
+    const errors = [];
+    const warnings = [];
+    const presets = [];
+    const fileNames = new Set();
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        errors.push(`File is not valid JSON (${error.message})`);
+        return { presets, errors, warnings };
+    }
+
+    let entries;
+    if (Array.isArray(data)) {
+        entries = data;
+    } else if (data && Array.isArray(data.presets)) {
+        if (data.format !== undefined && data.format !== PRESET_FILE_FORMAT) {
+            errors.push(`Unrecognised file format "${data.format}"`);
+            return { presets, errors, warnings };
+        }
+        if (typeof data.version === 'number' && data.version > PRESET_FILE_VERSION) {
+            warnings.push(`File version ${data.version} is newer than this version of Synth XR (${PRESET_FILE_VERSION}); some settings may be ignored`);
+        }
+        entries = data.presets;
+    } else if (data && typeof data === 'object' && data.settings) {
+        entries = [data];
+    } else {
+        errors.push('No presets found in file');
+        return { presets, errors, warnings };
+    }
+
+    entries.forEach((entry, index) => {
+        const label = entry && typeof entry.name === 'string' && entry.name.trim() ?
+            `"${entry.name.trim()}"` : `Preset #${index + 1}`;
+
+        if (!entry || typeof entry !== 'object') {
+            errors.push(`${label}: not a preset object`);
+            return;
+        }
+        if (typeof entry.name !== 'string' || !entry.name.trim()) {
+            errors.push(`${label}: missing a name`);
+            return;
+        }
+        if (!entry.settings || typeof entry.settings !== 'object' || Array.isArray(entry.settings)) {
+            errors.push(`${label}: missing a settings object`);
+            return;
+        }
+        if (entry.settings.sequencer !== undefined && !Array.isArray(entry.settings.sequencer)) {
+            errors.push(`${label}: "sequencer" must be a list of steps`);
+            return;
+        }
+
+        // Older presets are upgraded first, so fields that were renamed aren't reported.
+        // Unknown fields are reported and dropped so they never reach the DOM.
+        const settings = {};
+        const unknownFields = [];
+        Object.entries(migratePresetSettings(entry.settings)).forEach(([key, value]) => {
+            if (isKnownSetting(key)) {
+                settings[key] = value;
+            } else {
+                unknownFields.push(key);
+            }
+        });
+
+        if (unknownFields.length > 0) {
+            warnings.push(`${label}: ignored unknown field${unknownFields.length > 1 ? 's' : ''} ${unknownFields.join(', ')}`);
+        }
+
+        // Values the controls can't take are corrected or dropped
+        const validation = validatePresetSettings(settings);
+        validation.warnings.forEach(warning => warnings.push(`${label}: ${warning}`));
+
+        // Two presets with the same name in one file would replace each other when merged
+        const name = getUniquePresetName(entry.name.trim(), fileNames);
+        if (name !== entry.name.trim()) {
+            warnings.push(`${label}: appears more than once in the file, renamed to "${name}"`);
+        }
+        fileNames.add(name);
+
+        presets.push({
+            name,
+            category: typeof entry.category === 'string' && entry.category.trim() ?
+                entry.category.trim().toLowerCase() : 'custom',
+            settings: validation.settings
+        });
+    });
+
+    return { presets, errors, warnings };
+}
+
+/**
+ * Pick a name that isn't taken yet, e.g. "Warm Pad (2)"
+ * @param {string} name - Wanted name
+ * @param {Set<string>} takenNames - Names already in use
+ * @returns {string} A free name
+ */
+export function getUniquePresetName(name, takenNames) {
+    if (!takenNames.has(name)) {
+        return name;
+    }
+
+    let counter = 2;
+    while (takenNames.has(`${name} (${counter})`)) {
+        counter++;
+    }
+    return `${name} (${counter})`;
+}
+
+/**
+ * Merge imported presets into the custom library.
+ * Clashes with built-in presets are always renamed; clashes with custom
+ * presets either replace them or are renamed, depending on replaceExisting.
+ * @param {object[]} customPresets - Current custom presets
+ * @param {object[]} imported - Validated presets from parsePresetFile()
+ * @param {string[]} builtInNames - Names of the built-in presets
+ * @param {boolean} replaceExisting - Replace custom presets with the same name
+ * @returns {{presets: object[], added: number, replaced: number, renamed: string[]}} Merged library and a summary
+ */
+export function mergeImportedPresets(customPresets, imported, builtInNames, replaceExisting) {
+    const merged = customPresets.slice();
+    const builtIn = new Set(builtInNames);
+    const takenNames = new Set([...builtInNames, ...customPresets.map(p => p.name)]);
+    const renamed = [];
+    let added = 0;
+    let replaced = 0;
+
+    imported.forEach(preset => {
+        const existingIndex = merged.findIndex(p => p.name === preset.name);
+
+        if (existingIndex >= 0 && replaceExisting && !builtIn.has(preset.name)) {
+            merged[existingIndex] = preset;
+            replaced++;
+            return;
+        }
+
+        const name = getUniquePresetName(preset.name, takenNames);
+        if (name !== preset.name) {
+            renamed.push(`"${preset.name}" → "${name}"`);
+        }
+
+        takenNames.add(name);
+        merged.push({ ...preset, name });
+        added++;
+    });
+
+    return { presets: merged, added, replaced, renamed };
+}
+
+// Version of the shared link encoding, stored as the first character of the fragment
+const SHARE_LINK_VERSION = '1';
+
+// URL fragment key used for shared presets, e.g. #preset=1z...
+export const SHARE_LINK_KEY = 'preset';
+
+/**
+ * Run bytes through a CompressionStream or DecompressionStream
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {TransformStream} stream - The (de)compression stream
+ * @returns {Promise<Uint8Array>} Output bytes
+ */
+async function transformBytes(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/**
+ * Encode bytes as URL-safe base64 without padding
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} base64url string
+ */
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    // Convert in chunks to stay under the argument limit of fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode URL-safe base64 back into bytes
+ * @param {string} text - base64url string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Encode preset settings into a compact string for a URL fragment.
+ * Settings are deflated when the browser supports CompressionStream,
+ * otherwise the JSON is only base64 encoded.
+ * @param {object} settings - Output of getCurrentSetup()
+ * @returns {Promise<string>} Encoded settings
+ */
+export async function encodePresetForUrl(settings) {
+    let bytes = new TextEncoder().encode(JSON.stringify(settings));
+    let encoding = 'j';
+
+    if (typeof CompressionStream !== 'undefined') {
+        bytes = await transformBytes(bytes, new CompressionStream('deflate-raw'));
+        encoding = 'z';
+    }
+
+    return `${SHARE_LINK_VERSION}${encoding}${bytesToBase64Url(bytes)}`;
+}
+
+/**
+ * Decode preset settings from a string made by encodePresetForUrl()
+ * @param {string} encoded - Encoded settings
+ * @returns {Promise<object>} The settings object
+ * @throws {Error} If the link is malformed or from an unsupported version
+ */
+export async function decodePresetFromUrl(encoded) {
+    const version = encoded.charAt(0);
+    const encoding = encoded.charAt(1);
+
+    if (version !== SHARE_LINK_VERSION) {
+        throw new Error(`Unsupported preset link version "${version}"`);
+    }
+
+    let bytes = base64UrlToBytes(encoded.slice(2));
+    if (encoding === 'z') {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress preset links');
+        }
+        bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (encoding !== 'j') {
+        throw new Error(`Unknown preset link encoding "${encoding}"`);
+    }
+
+    const settings = JSON.parse(new TextDecoder().decode(bytes));
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new Error('Preset link does not contain preset settings');
+    }
+    return settings;
+}
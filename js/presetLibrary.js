@@ -0,0 +1,147 @@
+// Synth XR Preset Library
+// Favourites, user tags and recently used times for built-in and custom presets,
+// plus the search and sorting used by the preset list
+
+// localStorage key for library data
+const PRESET_LIBRARY_STORAGE_KEY = 'presetLibrary';
+
+// Ways the preset list can be ordered
+export const PRESET_SORT_MODES = ['category', 'name', 'recent'];
+
+/**
+ * Key that library data is stored under. Built-in and custom presets can share
+ * a name, so the source is part of the key.
+ * @param {string} name - Preset name
+ * @param {boolean} isCustom - Whether this is a custom preset
+ * @returns {string} e.g. "builtin:Warm Pad"
+ */
+export function getPresetKey(name, isCustom) {
+    return `${isCustom ? 'custom' : 'builtin'}:${name}`;
+}
+
+/**
+ * Load favourites, tags and recently used times from localStorage
+ * @returns {{favorites: string[], tags: Object<string, string[]>, lastUsed: Object<string, number>, sort: string}} Library data
+ */
+export function loadPresetLibrary() {
+    const library = { favorites: [], tags: {}, lastUsed: {}, sort: 'category' };
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(PRESET_LIBRARY_STORAGE_KEY) || '{}');
+
+        if (Array.isArray(saved.favorites)) {
+            library.favorites = saved.favorites.filter(key => typeof key === 'string');
+        }
+        if (saved.tags && typeof saved.tags === 'object') {
+            Object.entries(saved.tags).forEach(([key, tags]) => {
+                if (Array.isArray(tags)) {
+                    library.tags[key] = parseTags(tags.join(','));
+                }
+            });
+        }
+        if (saved.lastUsed && typeof saved.lastUsed === 'object') {
+            Object.entries(saved.lastUsed).forEach(([key, time]) => {
+                if (typeof time === 'number') {
+                    library.lastUsed[key] = time;
+                }
+            });
+        }
+        if (PRESET_SORT_MODES.includes(saved.sort)) {
+            library.sort = saved.sort;
+        }
+    } catch (error) {
+        console.warn('Could not load preset library data:', error);
+    }
+
+    return library;
+}
+
+/**
+ * Save library data to localStorage
+ * @param {object} library - Data from loadPresetLibrary()
+ */
+export function savePresetLibrary(library) {
+    localStorage.setItem(PRESET_LIBRARY_STORAGE_KEY, JSON.stringify(library));
+}
+
+/**
+ * Turn user input like "dark, #Warm  bass" into a clean tag list
+ * @param {string} text - Comma or space separated tags
+ * @returns {string[]} Unique lowercase tags without the leading #
+ */
+export function parseTags(text) {
+    const tags = text.split(/[,\s]+/)
+        .map(tag => tag.trim().replace(/^#+/, '').toLowerCase())
+        .filter(Boolean);
+    return [...new Set(tags)];
+}
+
+/**
+ * Remove everything stored for a preset, e.g. after it was deleted
+ * @param {object} library - Data from loadPresetLibrary()
+ * @param {string} key - Key from getPresetKey()
+ */
+export function forgetPreset(library, key) {
+    library.favorites = library.favorites.filter(favorite => favorite !== key);
+    delete library.tags[key];
+    delete library.lastUsed[key];
+}
+
+/**
+ * Check a preset against a search query. Every word has to appear in the name,
+ * category or a tag; words starting with # only match tags.
+ * @param {{name: string, category: string, tags: string[]}} preset - Preset to check
+ * @param {string} query - Search text
+ * @returns {boolean} Whether the preset matches
+ */
+export function matchesPresetSearch(preset, query) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return words.every(word => {
+        if (word.startsWith('#')) {
+            const tag = word.slice(1);
+            return preset.tags.some(t => t.startsWith(tag));
+        }
+        return preset.name.toLowerCase().includes(word) ||
+            preset.category.toLowerCase().includes(word) ||
+            preset.tags.some(t => t.includes(word));
+    });
+}
+
+/**
+ * Sort presets for the list. 'category' keeps the built-in order within each
+ * category and puts custom presets last, 'name' is alphabetical and 'recent'
+ * puts the most recently used first.
+ * @param {object[]} presets - Presets with name, category, custom, lastUsed and index (original position)
+ * @param {string} mode - One of PRESET_SORT_MODES
+ * @param {string[]} categoryOrder - Preferred category order for 'category' mode
+ * @returns {object[]} A sorted copy
+ */
+export function sortPresets(presets, mode, categoryOrder) {
+    const byName = (a, b) => a.name.localeCompare(b.name);
+
+    // Categories missing from categoryOrder go after the listed ones, alphabetically
+    const categoryRank = category => {
+        const index = categoryOrder.indexOf(category);
+        return index === -1 ? categoryOrder.length : index;
+    };
+
+    return presets.slice().sort((a, b) => {
+        if (mode === 'name') {
+            return byName(a, b);
+        }
+        if (mode === 'recent') {
+            return (b.lastUsed || 0) - (a.lastUsed || 0) || byName(a, b);
+        }
+
+        if (a.custom !== b.custom) {
+            return a.custom ? 1 : -1;
+        }
+        if (!a.custom) {
+            return categoryRank(a.category) - categoryRank(b.category) ||
+                a.category.localeCompare(b.category) ||
+                a.index - b.index;
+        }
+        return a.index - b.index;
+    });
+}
@@ -1,6 +1,746 @@
 // Synth XR Presets - Optimized Module
 // This module has been refactored for better performance and memory usage
 
+import { WAVETABLE_FRAMES, WAVETABLE_PARTIALS } from './wavetable.js';
+
+/**
+ * Current preset schema version. Stored as settings.schemaVersion on every preset.
+ * Version 1 is the original unversioned format; version 2 added per-step
+ * velocity, gate, tie and parameter locks to the sequencer; version 3 added
+ * the second oscillator, sub-oscillator and noise sources; version 4 added the
+ * LFO sync division and retrigger mode; version 5 added LFOs 2 and 3 and the
+ * modulation matrix; version 6 added the filter envelope and key tracking;
+ * version 7 replaced the filterType boolean with filter modes, slope and drive;
+ * version 8 added mono/legato voice modes, note priority, glide and step slides;
+ * version 9 added unison voices with detune, stereo spread and blend;
+ * version 10 added the velocity curve and velocity to cutoff and attack;
+ * version 11 added the wavetable oscillator's table, position and imported data;
+ * version 12 added the FX rack's effect order and bypass states;
+ * version 13 added the effect editors' parameters; version 14 replaced the
+ * flanger's delay time with its rate, depth, manual delay and sync; version 15
+ * added the delay's sync, ping-pong mode, feedback filters and ducking; version 16
+ * added the aux buses' sends, returns, mutes and bus effect settings.
+ */
+const PRESET_SCHEMA_VERSION = 16;
+
+// Settings stored as true/false on a toggle rather than as an input value
+const BOOLEAN_SETTINGS = ['lfoSync', 'lfo2Sync', 'lfo3Sync', 'reverbReturnMute', 'delayReturnMute'];
+
+// Sequencer limits shared with the step sequencer in main.js
+const MAX_SEQUENCER_STEPS = 64;
+const MIN_STEP_LEVEL = 0.05;
+
+/**
+ * Fills in the settings an older preset doesn't have yet
+ * @param {object} settings - Settings being migrated, changed in place
+ * @param {object} defaults - Value for each new setting
+ */
+function fillMissing(settings, defaults) {
+    Object.entries(defaults).forEach(([key, value]) => {
+        if (settings[key] === undefined) {
+            settings[key] = value;
+        }
+    });
+}
+
+// Ordered list of upgrades - each one brings settings up to its version
+const presetMigrations = [
+    {
+        // Version 1 -> 2: fill in the new per-step fields and normalise
+        // booleans that older builds sometimes saved as strings
+        version: 2,
+        migrate: settings => {
+            if (Array.isArray(settings.sequencer)) {
+                settings.sequencer = settings.sequencer.map(step => ({
+                    velocity: 1,
+                    gate: 1,
+                    tie: false,
+                    locks: {},
+                    ...step
+                }));
+            }
+
+            ['filterType', 'lfoSync'].forEach(key => {
+                if (settings[key] === 'true' || settings[key] === 'false') {
+                    settings[key] = settings[key] === 'true';
+                }
+            });
+
+            return settings;
+        }
+    },
+    {
+        // Version 2 -> 3: older presets were a single oscillator, so the new
+        // sources start silent and the patch sounds the same as before
+        version: 3,
+        migrate: settings => {
+            const sourceDefaults = {
+                osc2Waveform: 'sawtooth',
+                osc2Octave: '0',
+                osc2Semi: '0',
+                osc2Fine: '0',
+                osc2Level: '0',
+                subWaveform: 'sine',
+                subOctave: '-1',
+                subLevel: '0',
+                noiseType: 'white',
+                noiseLevel: '0'
+            };
+
+            fillMissing(settings, sourceDefaults);
+
+            return settings;
+        }
+    },
+    {
+        // Version 3 -> 4: lfoSync used to do nothing, so synced presets get the
+        // division closest to the rate they actually played at
+        version: 4,
+        migrate: settings => {
+            if (settings.lfoDivision === undefined) {
+                settings.lfoDivision = settings.lfoSync === true ?
+                    getClosestLfoDivision(parseFloat(settings.lfoRate), parseFloat(settings.tempo) || 120) :
+                    '4n';
+            }
+            if (settings.lfoRetrigger === undefined) {
+                settings.lfoRetrigger = 'off';
+            }
+
+            return settings;
+        }
+    },
+    {
+        // Version 4 -> 5: the extra LFOs start at their defaults and the
+        // matrix starts empty, so only the LFO module's own route is active
+        version: 5,
+        migrate: settings => {
+            ['lfo2', 'lfo3'].forEach(prefix => {
+                const lfoDefaults = {
+                    [`${prefix}Rate`]: '1',
+                    [`${prefix}Waveform`]: 'sine',
+                    [`${prefix}Sync`]: false,
+                    [`${prefix}Division`]: '4n',
+                    [`${prefix}Retrigger`]: 'off'
+                };
+
+                fillMissing(settings, lfoDefaults);
+            });
+
+            if (!Array.isArray(settings.modMatrix)) {
+                settings.modMatrix = [];
+            }
+
+            return settings;
+        }
+    },
+    {
+        // Version 5 -> 6: the filter envelope starts with no amount and no
+        // velocity or key tracking, so the cutoff stays where the knob is
+        version: 6,
+        migrate: settings => {
+            const filterDefaults = {
+                filterEnvAttack: '0.01',
+                filterEnvDecay: '0.3',
+                filterEnvSustain: '0',
+                filterEnvRelease: '0.5',
+                filterEnvAmount: '0',
+                filterEnvVelocity: '0',
+                filterKeyTrack: '0'
+            };
+
+            fillMissing(settings, filterDefaults);
+
+            return settings;
+        }
+    },
+    {
+        // Version 6 -> 7: the filterType toggle (true = highpass) becomes a mode.
+        // The old filter was a -12 dB biquad without drive.
+        version: 7,
+        migrate: settings => {
+            if (settings.filterMode === undefined) {
+                settings.filterMode = settings.filterType === true ? 'highpass' : 'lowpass';
+            }
+            delete settings.filterType;
+
+            const filterDefaults = {
+                filterRolloff: '-12',
+                filterVowel: 'a',
+                filterDrive: '0'
+            };
+
+            fillMissing(settings, filterDefaults);
+
+            return settings;
+        }
+    },
+    {
+        // Version 7 -> 8: mono and legato voice modes with note priority and glide.
+        // Sequencer steps gain a slide flag, which validation fills in as false.
+        version: 8,
+        migrate: settings => {
+            const voiceDefaults = {
+                voiceMode: 'poly',
+                notePriority: 'last',
+                glideTime: '0'
+            };
+
+            fillMissing(settings, voiceDefaults);
+
+            return settings;
+        }
+    },
+    {
+        // Version 8 -> 9: unison stacking, off (one copy) for older presets
+        version: 9,
+        migrate: settings => {
+            const unisonDefaults = {
+                unisonVoices: '1',
+                unisonDetune: '20',
+                unisonSpread: '0.5',
+                unisonBlend: '0.75'
+            };
+
+            fillMissing(settings, unisonDefaults);
+
+            return settings;
+        }
+    },
+    {
+        // Version 9 -> 10: velocity response, linear with no cutoff or attack change
+        version: 10,
+        migrate: settings => {
+            const velocityDefaults = {
+                velocityCurve: 'linear',
+                velocityCutoff: '0',
+                velocityAttack: '0'
+            };
+
+            fillMissing(settings, velocityDefaults);
+
+            return settings;
+        }
+    },
+    {
+        // Version 10 -> 11: wavetable oscillator, the first built-in table at its start
+        version: 11,
+        migrate: settings => {
+            const wavetableDefaults = {
+                wavetableTable: 'basic',
+                wavetablePosition: '0'
+            };
+
+            fillMissing(settings, wavetableDefaults);
+
+            return settings;
+        }
+    },
+    {
+        // Version 11 -> 12: FX rack, the fixed chain older presets were made with
+        version: 12,
+        migrate: settings => {
+            if (settings.fxRack === undefined) {
+                settings.fxRack = ['filter', 'chorus', 'distortion', 'flanger', 'phaser', 'reverb', 'delay']
+                    .map(id => ({ id, bypass: false }));
+            }
+
+            return settings;
+        }
+    },
+    {
+        // Version 12 -> 13: effect parameters, at the values the effects were fixed to
+        version: 13,
+        migrate: settings => {
+            const effectDefaults = {
+                reverbPreDelay: '0.01',
+                chorusRate: '1.5',
+                chorusDelay: '3.5',
+                chorusDepth: '0.7',
+                chorusFeedback: '0',
+                chorusSpread: '180',
+                distortionAmount: '0.8',
+                distortionOversample: 'none',
+                flangerDelay: '0.25',
+                flangerFeedback: '0.5',
+                phaserRate: '0.5',
+                phaserOctaves: '3',
+                phaserBaseFrequency: '350',
+                phaserQ: '10',
+                delayMix: '1'
+            };
+
+            fillMissing(settings, effectDefaults);
+
+            return settings;
+        }
+    },
+    {
+        // Version 13 -> 14: the flanger became a modulated delay. Its old delay time was
+        // an echo length with no counterpart, so presets get the new defaults.
+        version: 14,
+        migrate: settings => {
+            delete settings.flangerDelay;
+
+            const flangerDefaults = {
+                flangerRate: '0.5',
+                flangerDepth: '0.5',
+                flangerFeedback: '0.5',
+                flangerManual: '3',
+                flangerSync: 'off'
+            };
+
+            fillMissing(settings, flangerDefaults);
+
+            return settings;
+        }
+    },
+    {
+        // Version 14 -> 15: delay sync, mode, feedback filters and ducking, all off
+        version: 15,
+        migrate: settings => {
+            const delayDefaults = {
+                delaySync: 'off',
+                delayMode: 'stereo',
+                delayLowCut: '20',
+                delayHighCut: '20000',
+                delayDuck: '0'
+            };
+
+            fillMissing(settings, delayDefaults);
+
+            return settings;
+        }
+    },
+    {
+        // Version 15 -> 16: aux buses, with every send off so presets sound as before
+        version: 16,
+        migrate: settings => {
+            const auxDefaults = {
+                reverbReturn: '1',
+                reverbReturnMute: false,
+                reverbBusDecay: '3',
+                delayReturn: '1',
+                delayReturnMute: false,
+                delayBusTime: '8n.',
+                delayBusFeedback: '0.35'
+            };
+            ['rack', 'drums'].forEach(source => {
+                auxDefaults[`${source}ReverbSend`] = '0';
+                auxDefaults[`${source}DelaySend`] = '0';
+            });
+
+            fillMissing(settings, auxDefaults);
+
+            return settings;
+        }
+    }
+];
+
+// LFO sync divisions offered in the LFO module
+const LFO_DIVISIONS = ['4m', '2m', '1m', '2n', '2n.', '2t', '4n', '4n.', '4t', '8n', '8n.', '8t', '16n', '16n.', '16t', '32n', '32t'];
+
+/**
+ * Length of a division such as "1m", "8n." or "16t" in quarter-note beats (4/4)
+ * @param {string} division - Tone.js note value
+ * @returns {number} Length in beats
+ */
+function getDivisionBeats(division) {
+    const [, count, type, dotted] = division.match(/^(\d+)([mnt])(\.?)$/);
+    let beats = type === 'm' ? Number(count) * 4 : 4 / Number(count);
+    if (type === 't') beats *= 2 / 3;
+    if (dotted) beats *= 1.5;
+    return beats;
+}
+
+/**
+ * Division whose rate at the given tempo is closest to a free-running LFO rate
+ * @param {number} rate - LFO rate in Hz
+ * @param {number} bpm - Tempo
+ * @returns {string} One of LFO_DIVISIONS
+ */
+function getClosestLfoDivision(rate, bpm) {
+    if (!(rate > 0)) return '4n';
+
+    const distance = division => Math.abs(Math.log(rate * getDivisionBeats(division) * 60 / bpm));
+    return LFO_DIVISIONS.reduce((best, division) => distance(division) < distance(best) ? division : best);
+}
+
+/**
+ * Upgrades preset settings to the current schema version
+ * @param {object} settings - Settings in any schema version
+ * @returns {object} A migrated copy of the settings
+ */
+function migratePresetSettings(settings) {
+    const migrated = {...settings};
+    let version = Number.isInteger(migrated.schemaVersion) ? migrated.schemaVersion : 1;
+
+    presetMigrations.forEach(migration => {
+        if (version < migration.version) {
+            migration.migrate(migrated);
+            version = migration.version;
+        }
+    });
+
+    migrated.schemaVersion = version;
+    return migrated;
+}
+
+// Limits of the controls settings are written to, kept in step with index.html:
+// [min, max] for every knob and slider, and the values each select offers, with the
+// EQ targets main.js adds to lfoDestination. Validation works from these rather than
+// the page, so presets can be checked without the controls.
+const PRESET_SETTING_RANGES = {
+    pulseWidth: [0.05, 0.95],
+    harmonicity: [0.1, 10],
+    modulationIndex: [0, 50],
+    wavetablePosition: [0, 1],
+    tempo: [60, 200],
+    oscillatorOctave: [-2, 2],
+    oscillatorSemi: [-12, 12],
+    detune: [-100, 100],
+    glideTime: [0, 2],
+    unisonVoices: [1, 8],
+    unisonDetune: [0, 100],
+    unisonSpread: [0, 1],
+    unisonBlend: [0, 1],
+    osc2Octave: [-2, 2],
+    osc2Semi: [-12, 12],
+    osc2Fine: [-100, 100],
+    oscillatorLevel: [0, 1],
+    osc2Level: [0, 1],
+    subLevel: [0, 1],
+    noiseLevel: [0, 1],
+    filterCutoff: [20, 20000],
+    filterRes: [0, 20],
+    filterDrive: [0, 1],
+    filterEnvAttack: [0, 12],
+    filterEnvDecay: [0, 12],
+    filterEnvSustain: [0, 1],
+    filterEnvRelease: [0, 12],
+    filterEnvAmount: [-100, 100],
+    filterEnvVelocity: [0, 100],
+    filterKeyTrack: [0, 100],
+    chorusRate: [0.1, 10],
+    chorusDelay: [2, 20],
+    chorusDepth: [0, 1],
+    chorusFeedback: [0, 0.9],
+    chorusSpread: [0, 180],
+    distortionAmount: [0, 1],
+    flangerRate: [0.05, 10],
+    flangerDepth: [0, 1],
+    flangerFeedback: [-0.95, 0.95],
+    flangerManual: [0.5, 10],
+    phaserRate: [0.1, 10],
+    phaserOctaves: [0.5, 6],
+    phaserBaseFrequency: [50, 2000],
+    phaserQ: [0.5, 20],
+    reverbPreDelay: [0, 0.2],
+    delayMix: [0, 1],
+    delayLowCut: [20, 2000],
+    delayHighCut: [500, 20000],
+    delayDuck: [0, 1],
+    reverbMix: [0, 1],
+    reverbDecay: [0.1, 10],
+    delayTime: [0, 1],
+    delayFeedback: [0, 0.9],
+    chorusMix: [0, 1],
+    flangerMix: [0, 1],
+    distortionMix: [0, 1],
+    phaserMix: [0, 1],
+    reverbReturn: [0, 1],
+    reverbBusDecay: [0.5, 10],
+    rackReverbSend: [0, 1],
+    drumsReverbSend: [0, 1],
+    delayReturn: [0, 1],
+    delayBusFeedback: [0, 0.9],
+    rackDelaySend: [0, 1],
+    drumsDelaySend: [0, 1],
+    attack: [0, 12],
+    decay: [0, 12],
+    sustain: [0, 1],
+    release: [0, 12],
+    velocityCutoff: [-100, 100],
+    velocityAttack: [-100, 100],
+    eqLow: [-12, 12],
+    eqMid: [-12, 12],
+    eqHigh: [-12, 12],
+    eqMidFreq: [200, 5000],
+    eqQ: [0.1, 5],
+    droneOctave: [-3, 0],
+    arpRate: [60, 240],
+    arpGate: [10, 100],
+    arpSwing: [0, 100],
+    lfoRate: [0.01, 5],
+    lfoAmount: [0, 100],
+    lfo2Rate: [0.01, 5],
+    lfo3Rate: [0.01, 5],
+    masterVolume: [0, 2],
+    masterPan: [-1, 1],
+    stereoWidth: [0, 1],
+    compressor: [0, 1]
+};
+
+const PRESET_SETTING_OPTIONS = {
+    waveform: [
+        'sine', 'square', 'sawtooth', 'triangle', 'pulse', 'fmsine', 'wavetable', 'amsine',
+        'fatsawtooth', 'fatsquare'
+    ],
+    wavetableTable: ['basic', 'pwm', 'sync', 'harmonics', 'custom'],
+    voiceMode: ['poly', 'mono', 'legato'],
+    notePriority: ['last', 'low', 'high'],
+    osc2Waveform: ['sine', 'square', 'sawtooth', 'triangle'],
+    subWaveform: ['sine', 'square', 'triangle'],
+    subOctave: ['-1', '-2'],
+    noiseType: ['white', 'pink', 'brown'],
+    filterMode: ['lowpass', 'highpass', 'bandpass', 'notch', 'peaking', 'comb', 'formant'],
+    filterRolloff: ['-12', '-24', '-48'],
+    filterVowel: ['a', 'e', 'i', 'o', 'u'],
+    distortionOversample: ['none', '2x', '4x'],
+    flangerSync: [
+        'off', '4m', '2m', '1m', '2n', '2n.', '2t', '4n', '4n.', '4t', '8n', '8n.', '8t', '16n',
+        '16n.', '16t'
+    ],
+    delaySync: [
+        'off', '1m', '2n', '2n.', '2t', '4n', '4n.', '4t', '8n', '8n.', '8t', '16n', '16n.', '16t',
+        '32n'
+    ],
+    delayMode: ['stereo', 'pingpong'],
+    delayBusTime: [
+        '1m', '2n', '2n.', '2t', '4n', '4n.', '4t', '8n', '8n.', '8t', '16n', '16n.', '16t', '32n'
+    ],
+    velocityCurve: ['linear', 'soft', 'hard', 'fixed'],
+    lfoWaveform: ['sine', 'triangle', 'square', 'sawtooth', 'random'],
+    lfoDestination: [
+        'off', 'oscillatorLevel', 'detune', 'pulseWidth', 'harmonicity', 'modulationIndex',
+        'wavetablePosition', 'filterCutoff', 'filterRes', 'attack', 'decay', 'sustain', 'release',
+        'eqLow', 'eqMid', 'eqHigh', 'eqMidFreq', 'eqQ', 'reverbMix', 'reverbDecay', 'delayTime',
+        'delayFeedback', 'delayMix', 'delayLowCut', 'delayHighCut', 'delayDuck', 'chorusMix',
+        'flangerMix', 'phaserMix', 'distortionMix', 'chorusRate', 'chorusDelay', 'chorusDepth',
+        'chorusFeedback', 'chorusSpread', 'distortionAmount', 'flangerRate', 'flangerDepth',
+        'flangerFeedback', 'flangerManual', 'phaserRate', 'phaserOctaves', 'phaserBaseFrequency',
+        'phaserQ', 'masterVolume', 'masterPan', 'stereoWidth'
+    ],
+    lfoDivision: [
+        '4m', '2m', '1m', '2n', '2n.', '2t', '4n', '4n.', '4t', '8n', '8n.', '8t', '16n', '16n.',
+        '16t', '32n', '32t'
+    ],
+    lfoRetrigger: ['off', 'note', 'bar'],
+    lfo2Waveform: ['sine', 'triangle', 'square', 'sawtooth', 'random'],
+    lfo2Division: [
+        '4m', '2m', '1m', '2n', '2n.', '2t', '4n', '4n.', '4t', '8n', '8n.', '8t', '16n', '16n.',
+        '16t', '32n', '32t'
+    ],
+    lfo2Retrigger: ['off', 'note', 'bar'],
+    lfo3Waveform: ['sine', 'triangle', 'square', 'sawtooth', 'random'],
+    lfo3Division: [
+        '4m', '2m', '1m', '2n', '2n.', '2t', '4n', '4n.', '4t', '8n', '8n.', '8t', '16n', '16n.',
+        '16t', '32n', '32t'
+    ],
+    lfo3Retrigger: ['off', 'note', 'bar'],
+    sequencerResolution: ['4n', '8n', '16n', '4t', '8t', '16t']
+};
+
+/**
+ * Validates settings against the controls they will be written to.
+ * Range values are clamped to the control's min/max, select values must match
+ * an option, and anything that can't be used is dropped with a warning.
+ * @param {object} settings - Migrated preset settings
+ * @returns {{settings: object, warnings: string[]}} Safe settings and what was changed
+ */
+function validatePresetSettings(settings) {
+    const valid = {};
+    const warnings = [];
+
+    Object.entries(settings).forEach(([key, value]) => {
+        if (BOOLEAN_SETTINGS.includes(key)) {
+            if (typeof value === 'boolean') {
+                valid[key] = value;
+            } else {
+                warnings.push(`${key}: expected true or false, got "${value}"`);
+            }
+            return;
+        }
+
+        if (key === 'sequencer') {
+            if (Array.isArray(value)) {
+                valid[key] = validateSequencerSteps(value, warnings);
+            } else {
+                warnings.push('sequencer: expected a list of steps');
+            }
+            return;
+        }
+
+        if (key === 'modMatrix') {
+            if (Array.isArray(value)) {
+                valid[key] = validateModMatrix(value, warnings);
+            } else {
+                warnings.push('modMatrix: expected a list of routes');
+            }
+            return;
+        }
+
+        if (key === 'fxRack') {
+            if (Array.isArray(value)) {
+                valid[key] = validateFxRack(value, warnings);
+            } else {
+                warnings.push('fxRack: expected a list of effects');
+            }
+            return;
+        }
+
+        if (key === 'wavetableData') {
+            const table = validateWavetableData(value);
+            if (table) {
+                valid[key] = table;
+            } else {
+                warnings.push(`wavetableData: expected ${WAVETABLE_FRAMES} frames of ${WAVETABLE_PARTIALS} harmonic levels`);
+            }
+            return;
+        }
+
+        if (key === 'patternBank' && value && typeof value === 'object' && value.patterns) {
+            const patterns = {};
+            Object.entries(value.patterns).forEach(([slot, steps]) => {
+                if (Array.isArray(steps)) {
+                    patterns[slot] = validateSequencerSteps(steps, warnings);
+                }
+            });
+            valid[key] = { ...value, patterns };
+            return;
+        }
+
+        if (Object.hasOwn(PRESET_SETTING_RANGES, key)) {
+            const number = parseFloat(value);
+            if (!isFinite(number)) {
+                warnings.push(`${key}: "${value}" is not a number`);
+                return;
+            }
+
+            const [min, max] = PRESET_SETTING_RANGES[key];
+            const clamped = Math.min(max, Math.max(min, number));
+            if (clamped !== number) {
+                warnings.push(`${key}: ${number} is outside ${min}-${max}, clamped to ${clamped}`);
+            }
+
+            // Keep the loose string format the inputs produce
+            valid[key] = String(clamped);
+        } else if (Object.hasOwn(PRESET_SETTING_OPTIONS, key)) {
+            if (PRESET_SETTING_OPTIONS[key].includes(String(value))) {
+                valid[key] = String(value);
+            } else {
+                warnings.push(`${key}: "${value}" is not one of the available options`);
+            }
+        } else {
+            // Structured settings (patterns, drum machine, schema version) are checked by their own loaders
+            valid[key] = value;
+        }
+    });
+
+    return { settings: valid, warnings };
+}
+
+/**
+ * Validates mod matrix routes. Destinations must be a range control and
+ * amounts are clamped to -1..1; routes that can't be used are dropped.
+ * @param {object[]} slots - Matrix routes from a preset
+ * @param {string[]} warnings - Collects a message for each correction
+ * @returns {object[]} Safe matrix routes
+ */
+function validateModMatrix(slots, warnings) {
+    return slots.reduce((valid, slot, index) => {
+        const safeSlot = slot && typeof slot === 'object' ? slot : {};
+        const amount = parseFloat(safeSlot.amount);
+        const usableDestination = typeof safeSlot.destination === 'string' &&
+            Object.hasOwn(PRESET_SETTING_RANGES, safeSlot.destination);
+
+        if (typeof safeSlot.source !== 'string' || !usableDestination || !isFinite(amount)) {
+            warnings.push(`modMatrix route ${index + 1}: unusable route dropped`);
+            return valid;
+        }
+
+        const clamped = Math.min(1, Math.max(-1, amount));
+        if (clamped !== amount) {
+            warnings.push(`modMatrix route ${index + 1}: amount ${amount} clamped to ${clamped}`);
+        }
+
+        valid.push({ source: safeSlot.source, destination: safeSlot.destination, amount: clamped });
+        return valid;
+    }, []);
+}
+
+/**
+ * Validates FX rack slots. Each slot needs an effect id; effects the rack
+ * doesn't know are dropped when the rack is loaded.
+ * @param {object[]} slots - Rack slots from a preset, in signal order
+ * @param {string[]} warnings - Collects a message for each correction
+ * @returns {{id: string, bypass: boolean}[]} Safe rack slots
+ */
+function validateFxRack(slots, warnings) {
+    return slots.reduce((valid, slot, index) => {
+        if (!slot || typeof slot.id !== 'string') {
+            warnings.push(`fxRack slot ${index + 1}: missing effect, dropped`);
+            return valid;
+        }
+
+        valid.push({ id: slot.id, bypass: slot.bypass === true });
+        return valid;
+    }, []);
+}
+
+/**
+ * Validates a wavetable embedded in a preset. Every frame must have one level
+ * per harmonic; levels are clamped to 0..1.
+ * @param {object} table - Embedded table with a name and its frames
+ * @returns {{name: string, frames: number[][]}|null} Safe table, or null if unusable
+ */
+function validateWavetableData(table) {
+    const frames = table && typeof table === 'object' ? table.frames : null;
+    const usable = Array.isArray(frames) && frames.length === WAVETABLE_FRAMES &&
+        frames.every(frame => Array.isArray(frame) && frame.length === WAVETABLE_PARTIALS &&
+            frame.every(level => typeof level === 'number' && isFinite(level)));
+    if (!usable) return null;
+
+    return {
+        name: typeof table.name === 'string' && table.name ? table.name : 'Imported',
+        frames: frames.map(frame => frame.map(level => Math.min(1, Math.max(0, level))))
+    };
+}
+
+/**
+ * Validates sequencer steps, clamping levels and dropping bad notes
+ * @param {object[]} steps - Sequencer steps from a preset
+ * @param {string[]} warnings - Collects a message for each correction
+ * @returns {object[]} Safe sequencer steps
+ */
+function validateSequencerSteps(steps, warnings) {
+    if (steps.length > MAX_SEQUENCER_STEPS) {
+        warnings.push(`sequencer: ${steps.length} steps is more than ${MAX_SEQUENCER_STEPS}, extra steps dropped`);
+    }
+
+    const clampLevel = (value, fallback) => {
+        const number = parseFloat(value);
+        return isFinite(number) ? Math.min(1, Math.max(MIN_STEP_LEVEL, number)) : fallback;
+    };
+
+    return steps.slice(0, MAX_SEQUENCER_STEPS).map((step, index) => {
+        const safeStep = step && typeof step === 'object' ? step : {};
+        const validNote = typeof safeStep.note === 'string' && /^[A-G]#?[1-8]$/.test(safeStep.note);
+        if (safeStep.note !== undefined && !validNote) {
+            warnings.push(`sequencer step ${index + 1}: "${safeStep.note}" is not a valid note`);
+        }
+
+        return {
+            note: validNote ? safeStep.note : undefined,
+            active: Boolean(safeStep.active),
+            velocity: clampLevel(safeStep.velocity, 1),
+            gate: clampLevel(safeStep.gate, 1),
+            tie: Boolean(safeStep.tie),
+            slide: Boolean(safeStep.slide),
+            locks: safeStep.locks && typeof safeStep.locks === 'object' ? safeStep.locks : {}
+        };
+    });
+}
+
 /**
  * Creates a preset with name, category, and settings
  * @param {string} name - The display name of the preset
@@ -26,6 +766,9 @@ const createPreset = (name, category, settings) => {
     if (!preset.settings.sequencer) {
         preset.settings.sequencer = [];
     }
+
+    // Stamp the schema version, upgrading presets written in an older format
+    preset.settings = migratePresetSettings(preset.settings);
     
     return preset;
 };
@@ -1179,7 +1922,9 @@ const builtInPresets = [
 
     // ==== BASS PRESETS ====
     createPreset("Deep Sub", "bass", {
-        voiceMode: "poly",
+        voiceMode: "mono",
+        notePriority: "low",
+        glideTime: "0",
         waveform: "sine",
         filterCutoff: "300",
         filterRes: "1",
@@ -1234,7 +1979,9 @@ const builtInPresets = [
     }),
     
     createPreset("Acid Wobble", "bass", {
-        voiceMode: "poly",
+        voiceMode: "legato",
+        notePriority: "last",
+        glideTime: "0.08",
         waveform: "sawtooth",
         filterCutoff: "400",
         filterRes: "12",
@@ -1343,7 +2090,9 @@ const builtInPresets = [
 
     // ==== LEAD PRESETS ====
     createPreset("Screaming Lead", "lead", {
-        voiceMode: "poly",
+        voiceMode: "mono",
+        notePriority: "last",
+        glideTime: "0.05",
         waveform: "sawtooth",
         filterCutoff: "2000",
         filterRes: "6",
@@ -1397,7 +2146,9 @@ const builtInPresets = [
     }),
     
     createPreset("Smooth Solo", "lead", {
-        voiceMode: "poly",
+        voiceMode: "legato",
+        notePriority: "last",
+        glideTime: "0.15",
         waveform: "sine",
         filterCutoff: "1200",
         filterRes: "3",
@@ -2446,7 +3197,12 @@ function clearPresetCache() {
 // Export the optimized preset system for use in other modules
 export { 
     builtInPresets, 
+    PRESET_SCHEMA_VERSION,
+    MAX_SEQUENCER_STEPS,
+    MIN_STEP_LEVEL,
     createPreset,
+    migratePresetSettings,
+    validatePresetSettings,
     getPresetByName,
     getPresetsByCategory,
     clearPresetCache
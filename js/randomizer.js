@@ -0,0 +1,428 @@
+// Randomizer Module - constrained, category-aware patch randomization
+// Powers the Chaos and Nudge buttons with locks, learned distributions and a recallable history
+
+// Constants to replace magic numbers
+const CONSTANTS = {
+  HISTORY_SIZE: 20, // Rolls kept in the history
+  MIN_SPREAD: 0.05, // Smallest standard deviation, as a fraction of the control's range
+  RANGE_MARGIN: 0.1, // How far past the values seen in presets a roll may go, as a fraction of the range
+  STORAGE_KEY: 'randomizerLocks',
+};
+
+// Parameters grouped into sections that can be locked as a whole
+const RANDOMIZER_SECTIONS = {
+  oscillator: {
+    label: 'Osc',
+    params: ['waveform', 'oscillatorOctave', 'oscillatorSemi', 'oscillatorLevel', 'pulseWidth', 'harmonicity', 'modulationIndex', 'wavetableTable', 'wavetablePosition', 'unisonDetune', 'unisonSpread', 'unisonBlend']
+  },
+  sources: {
+    label: 'Sources',
+    params: ['osc2Waveform', 'osc2Octave', 'osc2Semi', 'osc2Fine', 'osc2Level', 'subWaveform', 'subOctave', 'subLevel', 'noiseType', 'noiseLevel']
+  },
+  envelope: {
+    label: 'Envelope',
+    params: ['attack', 'decay', 'sustain', 'release']
+  },
+  filter: {
+    label: 'Filter',
+    params: ['filterCutoff', 'filterRes', 'filterMode', 'filterRolloff', 'filterVowel', 'filterDrive', 'filterEnvAttack', 'filterEnvDecay', 'filterEnvSustain', 'filterEnvRelease', 'filterEnvAmount', 'filterEnvVelocity', 'filterKeyTrack']
+  },
+  fx: {
+    label: 'FX',
+    params: ['reverbMix', 'reverbDecay', 'reverbPreDelay', 'delayTime', 'delayFeedback', 'delayMix', 'delayLowCut', 'delayHighCut', 'delayDuck', 'delayMode', 'chorusMix', 'chorusRate', 'chorusDelay', 'chorusDepth', 'chorusFeedback', 'chorusSpread', 'distortionMix', 'distortionAmount', 'distortionOversample', 'flangerMix', 'flangerRate', 'flangerDepth', 'flangerFeedback', 'flangerManual', 'phaserMix', 'phaserRate', 'phaserOctaves', 'phaserBaseFrequency', 'phaserQ']
+  },
+  eq: {
+    label: 'EQ',
+    params: ['eqLow', 'eqMid', 'eqHigh', 'eqMidFreq', 'eqQ']
+  },
+  lfo: {
+    label: 'LFO',
+    params: ['lfoRate', 'lfoAmount', 'lfoWaveform', 'lfoDestination', 'lfoSync', 'lfoDivision', 'lfoRetrigger']
+  },
+  drone: {
+    label: 'Drone',
+    params: ['droneType', 'droneOctave', 'droneVolume']
+  },
+  sequencer: {
+    label: 'Sequencer',
+    params: ['sequencer']
+  }
+};
+
+// Module state
+let presetLibrary = [];
+let lockedSections = new Set();
+let lockedParams = new Set();
+let rollHistory = [];
+let rollCounter = 0;
+const distributionCache = new Map();
+
+// Initialize the randomizer panel
+function initRandomizer(presets) {
+  try {
+    presetLibrary = presets;
+    loadLocks();
+
+    // Target categories come from the built-in presets
+    const targetSelect = document.getElementById('randomTarget');
+    if (targetSelect) {
+      [...new Set(presets.map(p => p.category))].sort().forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = `Random ${category}`;
+        targetSelect.appendChild(option);
+      });
+    }
+
+    // One toggle chip per section
+    const sectionContainer = document.getElementById('randomSectionLocks');
+    if (sectionContainer) {
+      Object.entries(RANDOMIZER_SECTIONS).forEach(([section, config]) => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'random-lock-chip';
+        chip.dataset.section = section;
+        chip.innerHTML = `<i class="fas fa-lock-open"></i> ${config.label}`;
+        chip.title = `Lock ${config.label} so Chaos and Nudge leave it alone`;
+        sectionContainer.appendChild(chip);
+      });
+
+      sectionContainer.addEventListener('click', e => {
+        const chip = e.target.closest('.random-lock-chip');
+        if (!chip) return;
+        toggleSetMember(lockedSections, chip.dataset.section);
+        saveLocks();
+        updateLockUI();
+      });
+    }
+
+    // Right-click a knob to lock that single parameter
+    document.querySelectorAll('.knob').forEach(knob => {
+      const inputId = knob.id.replace(/Knob$/, '');
+      if (!getSectionForParam(inputId)) return;
+
+      knob.addEventListener('contextmenu', e => {
+        e.preventDefault();
+        toggleSetMember(lockedParams, inputId);
+        saveLocks();
+        updateLockUI();
+      });
+    });
+
+    const nudgeAmount = document.getElementById('nudgeAmount');
+    if (nudgeAmount) {
+      nudgeAmount.addEventListener('input', () => {
+        document.getElementById('nudgeAmountValue').textContent = `${Math.round(getNudgeAmount() * 100)}%`;
+      });
+    }
+
+    updateLockUI();
+    console.log("Randomizer initialized");
+  } catch (error) {
+    console.error("Error initializing randomizer:", error);
+  }
+}
+
+// Add or remove a value from a set
+function toggleSetMember(set, value) {
+  if (set.has(value)) {
+    set.delete(value);
+  } else {
+    set.add(value);
+  }
+}
+
+// Restore locks saved in an earlier session
+function loadLocks() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CONSTANTS.STORAGE_KEY) || '{}');
+    lockedSections = new Set((saved.sections || []).filter(section => RANDOMIZER_SECTIONS[section]));
+    lockedParams = new Set((saved.params || []).filter(param => getSectionForParam(param)));
+  } catch (e) {
+    console.warn("Could not load randomizer locks:", e);
+  }
+}
+
+// Persist locks so they survive a reload
+function saveLocks() {
+  localStorage.setItem(CONSTANTS.STORAGE_KEY, JSON.stringify({
+    sections: [...lockedSections],
+    params: [...lockedParams]
+  }));
+}
+
+// Reflect lock state on the section chips and knobs
+function updateLockUI() {
+  document.querySelectorAll('.random-lock-chip').forEach(chip => {
+    const locked = lockedSections.has(chip.dataset.section);
+    chip.classList.toggle('locked', locked);
+    chip.querySelector('i').className = locked ? 'fas fa-lock' : 'fas fa-lock-open';
+  });
+
+  document.querySelectorAll('.knob').forEach(knob => {
+    const inputId = knob.id.replace(/Knob$/, '');
+    knob.classList.toggle('random-locked', isParamLocked(inputId));
+  });
+}
+
+// Find which section a parameter belongs to
+function getSectionForParam(param) {
+  return Object.keys(RANDOMIZER_SECTIONS).find(section => RANDOMIZER_SECTIONS[section].params.includes(param));
+}
+
+// Current locks as plain lists, kept with each roll so it can be made again
+function getLocks() {
+  return { sections: [...lockedSections], params: [...lockedParams] };
+}
+
+// Whether a parameter is locked directly or through its section, by the current locks
+// or the ones a roll was made with
+function isParamLocked(param, locks = getLocks()) {
+  return locks.params.includes(param) || isSectionLocked(getSectionForParam(param), locks);
+}
+
+// Whether a whole section is locked
+function isSectionLocked(section, locks = getLocks()) {
+  return locks.sections.includes(section);
+}
+
+// Nudge size as a fraction of each control's range
+function getNudgeAmount() {
+  const input = document.getElementById('nudgeAmount');
+  return input ? parseFloat(input.value) / 100 : 0.1;
+}
+
+// Create a fresh 32-bit seed
+function createSeed() {
+  return Math.floor(Math.random() * 0xffffffff) >>> 0;
+}
+
+// Small, fast seeded PRNG (mulberry32) - the same seed always gives the same roll
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Shuffle a copy of a list with the given random source (Fisher-Yates)
+function shuffle(items, random) {
+  const shuffled = items.slice();
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Standard normal sample using the Box-Muller transform
+function gaussian(random) {
+  const u = Math.max(random(), Number.EPSILON);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// Learn per-parameter value distributions from the presets in a category
+function getDistributions(category) {
+  if (distributionCache.has(category)) {
+    return distributionCache.get(category);
+  }
+
+  const presets = category === 'all' ? presetLibrary : presetLibrary.filter(p => p.category === category);
+  const distributions = { params: {}, notes: [], activeRatio: 0.5 };
+  let stepCount = 0;
+  let activeCount = 0;
+
+  presets.forEach(preset => {
+    Object.entries(preset.settings).forEach(([key, value]) => {
+      if (key === 'sequencer') {
+        value.forEach(step => {
+          if (step.note) distributions.notes.push(step.note);
+          if (step.active) activeCount++;
+          stepCount++;
+        });
+        return;
+      }
+
+      if (!getSectionForParam(key)) return;
+      if (!distributions.params[key]) {
+        distributions.params[key] = [];
+      }
+      distributions.params[key].push(value);
+    });
+  });
+
+  if (stepCount > 0) {
+    distributions.activeRatio = activeCount / stepCount;
+  }
+
+  distributionCache.set(category, distributions);
+  return distributions;
+}
+
+// Pick a value for one parameter. 'uniform' ignores the presets entirely.
+function sampleParam(param, target, random) {
+  // Preset toggles are stored without the 'Toggle' suffix of their checkbox id
+  const control = document.getElementById(param) || document.getElementById(`${param}Toggle`);
+  if (!control) return undefined;
+
+  const learned = target === 'uniform' ? [] : (getDistributions(target).params[param] || []);
+
+  // Toggles and dropdowns draw from how often each value appears in the presets
+  if (control.type === 'checkbox') {
+    const trueRatio = learned.length > 0 ? learned.filter(Boolean).length / learned.length : 0.5;
+    return random() < trueRatio;
+  }
+
+  if (control.tagName === 'SELECT') {
+    const options = Array.from(control.options).filter(option => !option.disabled).map(option => option.value);
+    const seen = learned.map(String).filter(value => options.includes(value));
+    const pool = seen.length > 0 ? seen : options;
+    return pool[Math.floor(random() * pool.length)];
+  }
+
+  // Range inputs sample a normal distribution fitted to the presets
+  const min = parseFloat(control.min);
+  const max = parseFloat(control.max);
+  const range = max - min;
+  const values = learned.map(parseFloat).filter(isFinite);
+
+  let value;
+  if (values.length === 0) {
+    value = min + random() * range;
+  } else {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length;
+    const spread = Math.max(Math.sqrt(variance), range * CONSTANTS.MIN_SPREAD);
+    const low = Math.min(...values) - range * CONSTANTS.RANGE_MARGIN;
+    const high = Math.max(...values) + range * CONSTANTS.RANGE_MARGIN;
+    value = Math.min(high, Math.max(low, mean + gaussian(random) * spread));
+  }
+
+  return String(Math.min(max, Math.max(min, value)));
+}
+
+// Build a randomized copy of the current settings, leaving locked parameters untouched
+function randomizeSettings(currentSettings, target, seed, locks = getLocks()) {
+  const random = createSeededRandom(seed);
+  const settings = { ...currentSettings };
+
+  // The bank and drum pattern aren't randomized; dropping them leaves them as they are
+  delete settings.patternBank;
+  delete settings.drumMachine;
+
+  Object.values(RANDOMIZER_SECTIONS).forEach(section => {
+    section.params.forEach(param => {
+      if (param === 'sequencer' || isParamLocked(param, locks)) return;
+
+      const value = sampleParam(param, target, random);
+      if (value !== undefined) {
+        settings[param] = value;
+      }
+    });
+  });
+
+  if (!isParamLocked('sequencer', locks) && Array.isArray(settings.sequencer)) {
+    settings.sequencer = randomizeSequencer(settings.sequencer, target, random);
+  }
+
+  return settings;
+}
+
+// Randomize step notes and on/off states, keeping velocity, gate, ties and locks
+function randomizeSequencer(steps, target, random) {
+  const learned = target === 'uniform' ? null : getDistributions(target);
+  const notePool = learned && learned.notes.length > 0 ? learned.notes : null;
+  const activeRatio = learned ? learned.activeRatio : 0.5;
+
+  return steps.map(step => {
+    let note = step.note;
+    if (notePool) {
+      note = notePool[Math.floor(random() * notePool.length)];
+    } else {
+      // Fall back to any note in the sequencer's own note list
+      const select = document.querySelector('.step select');
+      if (select) {
+        note = select.options[Math.floor(random() * select.options.length)].value;
+      }
+    }
+
+    return { ...step, note, active: random() < activeRatio };
+  });
+}
+
+// Remember a roll, before it's made, so it can be recalled later. A roll is its seed
+// plus what it started from - the settings, the drone state, the locks, the target and
+// nudge amount - so recalling it goes back to that start and rolls the seed again.
+// The settings cover the randomized parameters only, so recalling a roll doesn't undo
+// later drum or pattern bank edits.
+function addToHistory(roll) {
+  const snapshot = { ...roll.settings };
+  delete snapshot.patternBank;
+  delete snapshot.drumMachine;
+
+  // Some randomized controls aren't part of the preset format, read them from the DOM
+  Object.values(RANDOMIZER_SECTIONS).forEach(section => {
+    section.params.forEach(param => {
+      const input = document.getElementById(param);
+      if (snapshot[param] === undefined && input) {
+        snapshot[param] = input.value;
+      }
+    });
+  });
+
+  rollCounter++;
+  const entry = { ...roll, id: rollCounter, settings: snapshot };
+  rollHistory.unshift(entry);
+  rollHistory = rollHistory.slice(0, CONSTANTS.HISTORY_SIZE);
+  renderHistory();
+  return entry;
+}
+
+// Get a roll from the history by id
+function getHistoryEntry(id) {
+  return rollHistory.find(entry => entry.id === id) || null;
+}
+
+// Rebuild the history dropdown
+function renderHistory() {
+  const select = document.getElementById('randomHistory');
+  if (!select) return;
+
+  select.innerHTML = '';
+  if (rollHistory.length === 0) {
+    select.innerHTML = '<option value="">No rolls yet</option>';
+    return;
+  }
+
+  rollHistory.forEach(entry => {
+    const option = document.createElement('option');
+    option.value = entry.id;
+    const parts = [`#${entry.id} ${entry.kind}`];
+    if (entry.target) {
+      parts.push(entry.target === 'uniform' ? 'anything' : entry.target);
+    }
+    parts.push(`seed ${entry.seed.toString(16).padStart(8, '0')}`);
+    option.textContent = parts.join(' · ');
+    select.appendChild(option);
+  });
+}
+
+// Export the necessary functions
+export {
+  RANDOMIZER_SECTIONS,
+  initRandomizer,
+  getLocks,
+  isParamLocked,
+  isSectionLocked,
+  getNudgeAmount,
+  createSeed,
+  createSeededRandom,
+  shuffle,
+  randomizeSettings,
+  addToHistory,
+  getHistoryEntry
+};
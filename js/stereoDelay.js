@@ -0,0 +1,133 @@
+// Stereo Delay Module - feedback delay with ping-pong, filtered repeats and ducking
+// Each side has its own delay line. In stereo mode each line feeds back into itself;
+// in ping-pong mode the input goes into the left line and the lines feed each other,
+// so the repeats bounce from side to side. A low-cut and high-cut sit in front of
+// the lines, so every trip round the feedback loop thins the repeats a little more.
+// Ducking follows the level going into the delay and turns the repeats down by up
+// to the duck amount while it's playing.
+
+import { Effect } from './utils.js';
+
+const MAX_DELAY = 4; // s - a bar at 60 BPM, the slowest synced setting
+const ROUTE_FADE_TIME = 0.02; // s - fade when switching between stereo and ping-pong
+const DUCK_SMOOTHING = 0.15; // s - how quickly the repeats come back after the input stops
+const DUCK_SENSITIVITY = 4; // An input level of 1 / DUCK_SENSITIVITY ducks fully
+
+class StereoDelay extends Effect {
+    constructor(options = {}) {
+        const settings = { ...StereoDelay.getDefaults(), ...options };
+        super(settings);
+        this.name = 'StereoDelay';
+
+        const context = this.context;
+        this._pingPong = settings.pingPong;
+        this._duck = settings.duck;
+
+        // Shared controls, connected to both sides
+        this.delayTime = new Tone.Signal({ context, value: settings.delayTime, units: 'time' });
+        this.feedback = new Tone.Signal({ context, value: settings.feedback, units: 'normalRange' });
+        this.lowCut = new Tone.Signal({ context, value: settings.lowCut, units: 'frequency' });
+        this.highCut = new Tone.Signal({ context, value: settings.highCut, units: 'frequency' });
+
+        // Mono sources are spread to both sides before the split
+        this.effectSend.channelCount = 2;
+        this.effectSend.channelCountMode = 'explicit';
+        this._split = new Tone.Split({ context, channels: 2 });
+        this._merge = new Tone.Merge({ context, channels: 2 });
+        this._duckGain = new Tone.Gain({ context, gain: 1 });
+
+        this._lines = [0, 1].map(() => {
+            const line = {
+                input: new Tone.Gain({ context }),
+                lowCut: new Tone.BiquadFilter({ context, type: 'highpass', Q: 0.5 }),
+                highCut: new Tone.BiquadFilter({ context, type: 'lowpass', Q: 0.5 }),
+                delay: new Tone.Delay({ context, maxDelay: MAX_DELAY }),
+                feedback: new Tone.Gain({ context, gain: 0 })
+            };
+            line.input.chain(line.lowCut, line.highCut, line.delay, line.feedback);
+            this.delayTime.connect(line.delay.delayTime);
+            this.feedback.connect(line.feedback.gain);
+            this.lowCut.connect(line.lowCut.frequency);
+            this.highCut.connect(line.highCut.frequency);
+            return line;
+        });
+        const [left, right] = this._lines;
+
+        // Routes between the split input, the lines and the merge, with their
+        // levels as [stereo, ping-pong]
+        this._routes = [];
+        const route = (from, outputNumber, to, levels) => {
+            const gain = new Tone.Gain({ context, gain: levels[this._pingPong ? 1 : 0] });
+            from.connect(gain, outputNumber);
+            gain.connect(to);
+            this._routes.push({ gain, levels });
+        };
+        route(this._split, 0, left.input, [1, 0.5]);
+        route(this._split, 1, right.input, [1, 0]);
+        route(this._split, 1, left.input, [0, 0.5]);
+        route(left.feedback, 0, left.input, [1, 0]);
+        route(right.feedback, 0, right.input, [1, 0]);
+        route(left.feedback, 0, right.input, [0, 1]);
+        route(right.feedback, 0, left.input, [0, 1]);
+
+        left.delay.connect(this._merge, 0, 0);
+        right.delay.connect(this._merge, 0, 1);
+        this.effectSend.connect(this._split);
+        this._merge.chain(this._duckGain, this.effectReturn);
+
+        // Input level -> 0..1 duck signal -> scaled by minus the duck amount. A plain
+        // gain adds that to the duck gain's level of 1.
+        this._follower = new Tone.Follower({ context, smoothing: DUCK_SMOOTHING });
+        this._duckCurve = new Tone.WaveShaper({
+            context,
+            mapping: value => Math.min(1, Math.abs(value) * DUCK_SENSITIVITY)
+        });
+        this._duckDepth = new Tone.Gain({ context, gain: -this._duck });
+        this.effectSend.chain(this._follower, this._duckCurve, this._duckDepth, this._duckGain.gain);
+    }
+
+    static getDefaults() {
+        return Object.assign(Effect.getDefaults(), {
+            delayTime: 0.25, // s
+            feedback: 0.5,
+            lowCut: 20, // Hz
+            highCut: 20000, // Hz
+            pingPong: false,
+            duck: 0 // 0..1 - how far the repeats are turned down under the input
+        });
+    }
+
+    get pingPong() {
+        return this._pingPong;
+    }
+
+    set pingPong(value) {
+        this._pingPong = Boolean(value);
+        this._routes.forEach(({ gain, levels }) => {
+            gain.gain.rampTo(levels[this._pingPong ? 1 : 0], ROUTE_FADE_TIME);
+        });
+    }
+
+    get duck() {
+        return this._duck;
+    }
+
+    set duck(value) {
+        this._duck = Math.max(0, Math.min(1, value));
+        this._duckDepth.gain.rampTo(-this._duck, ROUTE_FADE_TIME);
+    }
+
+    dispose() {
+        super.dispose();
+        this._lines.forEach(line => Object.values(line).forEach(node => node.dispose()));
+        this._routes.forEach(({ gain }) => gain.dispose());
+        [this._split, this._merge, this._duckGain, this._follower, this._duckCurve, this._duckDepth,
+            this.delayTime, this.feedback, this.lowCut, this.highCut].forEach(node => node.dispose());
+        return this;
+    }
+}
+
+// Export the necessary functions and variables
+export {
+    StereoDelay
+};
@@ -0,0 +1,486 @@
+// Synth Voice Module - layered voice for the main PolySynth, and a mono version of it
+// Adds a second oscillator, a sub-oscillator and a noise source to Tone.Synth. Each
+// source has its own level in a small mixer ahead of the shared amplitude envelope,
+// so everything after the voice (filter, effects) sees a single signal. Oscillator 1
+// can play the current wavetable in place of its waveform.
+
+import { WavetableOscillator } from './wavetable.js';
+import { Instrument } from './utils.js';
+
+// Shared modulation inputs. Every voice adds these buses to its own params, so a
+// modulator connected to a bus once reaches all current and future voices.
+const voiceModulation = {
+    detune: new Tone.Gain(1),
+    osc1Level: new Tone.Gain(1)
+};
+
+// Most copies of Oscillator 1 a voice can stack in unison
+const MAX_UNISON = 8;
+
+// How note velocity is shaped before it reaches the voices. The curve sets the
+// amplitude; attack is -1..1, positive makes harder notes attack faster.
+const VELOCITY_ATTACK_RANGE = 10; // Attack is divided (or multiplied) by up to this at full amount
+const velocityResponse = {
+    curve: 'linear', // 'linear', 'soft', 'hard' or 'fixed'
+    attack: 0
+};
+
+function setVelocityResponse(options) {
+    Object.assign(velocityResponse, options);
+}
+
+// Shape a 0..1 velocity with the current curve
+function applyVelocityCurve(velocity) {
+    switch (velocityResponse.curve) {
+        case 'soft':
+            return Math.sqrt(velocity);
+        case 'hard':
+            return velocity * velocity;
+        case 'fixed':
+            return 1;
+        default:
+            return velocity;
+    }
+}
+
+// Listeners called when any voice starts a note, with (time, velocity, voice),
+// and when it releases one, with (time, voice)
+const noteStartListeners = [];
+const noteEndListeners = [];
+
+function onVoiceNoteStart(listener) {
+    noteStartListeners.push(listener);
+}
+
+function onVoiceNoteEnd(listener) {
+    noteEndListeners.push(listener);
+}
+
+class LayeredSynth extends Tone.Synth {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'LayeredSynth';
+
+        const defaults = LayeredSynth.getDefaults();
+        const settings = { ...defaults, ...options };
+
+        this._wavetable = settings.wavetable;
+        if (this._wavetable) {
+            this._useWavetableOscillator();
+        }
+
+        // Velocity can scale the attack per note, so keep the knob's value to scale from
+        this._attackBase = { ...defaults.envelope, ...options.envelope }.attack;
+
+        // Mixer - one gain per source. The level params are exposed directly
+        // so PolySynth.set({ osc2Level: 0.5 }) reaches every voice.
+        this._osc1Gain = new Tone.Gain({ context: this.context, gain: settings.osc1Level });
+        this._osc2Gain = new Tone.Gain({ context: this.context, gain: settings.osc2Level });
+        this._subGain = new Tone.Gain({ context: this.context, gain: settings.subLevel });
+        this._noiseGain = new Tone.Gain({ context: this.context, gain: settings.noiseLevel });
+        this.osc1Level = this._osc1Gain.gain;
+        this.osc2Level = this._osc2Gain.gain;
+        this.subLevel = this._subGain.gain;
+        this.noiseLevel = this._noiseGain.gain;
+
+        // Oscillator 2 follows the note and Oscillator 1's detune, plus its own offset in cents
+        this.oscillator2 = new Tone.OmniOscillator({
+            context: this.context,
+            ...defaults.oscillator2,
+            ...options.oscillator2
+        });
+        this._osc2Offset = new Tone.Add({ context: this.context, value: settings.osc2Detune });
+        this.osc2Detune = this._osc2Offset.addend;
+
+        // The sub-oscillator sits a fixed number of octaves below Oscillator 1
+        this.subOscillator = new Tone.OmniOscillator({
+            context: this.context,
+            ...defaults.subOscillator,
+            ...options.subOscillator
+        });
+        this._subOffset = new Tone.Add({ context: this.context, value: settings.subDetune });
+        this.subDetune = this._subOffset.addend;
+
+        this.noise = new Tone.Noise({
+            context: this.context,
+            ...defaults.noise,
+            ...options.noise
+        });
+
+        // Route Oscillator 1 through its mixer gain instead of straight into the envelope
+        this.oscillator.disconnect();
+        this.oscillator.chain(this._osc1Gain, this.envelope);
+
+        this.frequency.connect(this.oscillator2.frequency);
+        this.detune.chain(this._osc2Offset, this.oscillator2.detune);
+        this.oscillator2.chain(this._osc2Gain, this.envelope);
+
+        this.frequency.connect(this.subOscillator.frequency);
+        this.detune.chain(this._subOffset, this.subOscillator.detune);
+        this.subOscillator.chain(this._subGain, this.envelope);
+
+        this.noise.chain(this._noiseGain, this.envelope);
+
+        this._unisonDetune = settings.unisonDetune;
+        this._unisonSpread = settings.unisonSpread;
+        this._unisonBlend = settings.unisonBlend;
+        this._createUnison(settings.unison, { ...defaults.oscillator, ...options.oscillator });
+
+        // Plain connections sum with the params instead of replacing their values
+        voiceModulation.detune.connect(this.detune);
+        voiceModulation.osc1Level.connect(this.osc1Level);
+    }
+
+    static getDefaults() {
+        return Object.assign(Tone.Synth.getDefaults(), {
+            osc1Level: 1,
+            oscillator2: { type: 'sawtooth' },
+            osc2Detune: 0,
+            osc2Level: 0,
+            subOscillator: { type: 'sine' },
+            subDetune: -1200,
+            subLevel: 0,
+            noise: { type: 'white' },
+            noiseLevel: 0,
+            unison: 1, // Copies of Oscillator 1 per voice
+            unisonDetune: 0, // Cents from the centre to the outermost copy
+            unisonSpread: 0, // Stereo width of the copies, 0..1
+            unisonBlend: 1, // Level of the outer copies against the centre ones
+            wavetable: false // Oscillator 1 plays the current wavetable instead of its waveform
+        });
+    }
+
+    // Replace Tone.Synth's oscillator with a wavetable one. Tone makes the oscillator
+    // and its frequency and detune read-only, so they're unlocked for the swap.
+    _useWavetableOscillator() {
+        const keys = ['oscillator', 'frequency', 'detune'];
+        const previous = this.oscillator;
+        keys.forEach(key => Object.defineProperty(this, key, { writable: true }));
+        // Tone.Synth frees the voice from its oscillator's onstop, so the new one needs it too
+        this.oscillator = new WavetableOscillator({
+            context: this.context,
+            onstop: () => this.onsilence(this)
+        });
+        this.frequency = this.oscillator.frequency;
+        this.detune = this.oscillator.detune;
+        keys.forEach(key => Object.defineProperty(this, key, { writable: false }));
+        previous.dispose();
+        this.oscillator.connect(this.envelope);
+    }
+
+    // Unison stacks copies of Oscillator 1, spread evenly across the detune and stereo
+    // range, each with its own level and pan. The number of copies is fixed when the
+    // voice is built. Oscillator 1 is the first copy; the others follow its frequency
+    // and detune plus an offset, so octave/semitone and fine detune move the whole stack.
+    _createUnison(count, oscillatorOptions) {
+        this._unison = [];
+        const unison = Math.max(1, Math.min(MAX_UNISON, Math.round(count)));
+        if (unison === 1) return;
+
+        // Oscillator 1's detune is shared with the copies, so its own offset is added to
+        // the shared signal and each copy's offset is relative to it
+        this._unisonCenter = new Tone.Signal({ context: this.context, value: 0, units: 'cents' });
+        this._unisonCenterSend = new Tone.Gain({ context: this.context, gain: 1 });
+        this._unisonCenter.chain(this._unisonCenterSend, this.detune);
+
+        const { detune, phase, ...copyOptions } = oscillatorOptions;
+        this.oscillator.disconnect();
+        for (let i = 0; i < unison; i++) {
+            const copy = {
+                oscillator: this.oscillator,
+                offset: null,
+                gain: new Tone.Gain({ context: this.context }),
+                panner: new Tone.Panner({ context: this.context })
+            };
+
+            if (i > 0) {
+                // Spread the start phases so the copies don't all start in step
+                const phase = i * 360 / unison;
+                copy.oscillator = this._wavetable
+                    ? new WavetableOscillator({ context: this.context, phase })
+                    : new Tone.OmniOscillator({ context: this.context, ...copyOptions, phase });
+                copy.offset = new Tone.Add({ context: this.context, value: 0 });
+                this.frequency.connect(copy.oscillator.frequency);
+                this.detune.chain(copy.offset, copy.oscillator.detune);
+            }
+
+            copy.oscillator.chain(copy.gain, copy.panner, this._osc1Gain);
+            this._unison.push(copy);
+        }
+
+        this._updateUnison();
+    }
+
+    // Apply detune, stereo spread and blend to the unison copies
+    _updateUnison() {
+        if (this._unison.length === 0) return;
+
+        const positions = this._unison.map((_, i) => i / (this._unison.length - 1) * 2 - 1);
+        const nearest = Math.min(...positions.map(Math.abs));
+        const levels = positions.map(position => Math.abs(position) - nearest < 1e-6 ? 1 : this._unisonBlend);
+        // Detuned copies add up roughly by power, so keep the stack near a single oscillator's level
+        const normalise = 1 / Math.sqrt(levels.reduce((sum, level) => sum + level * level, 0));
+        const offsets = positions.map(position => position * this._unisonDetune);
+
+        this._unisonCenter.value = offsets[0];
+        this._unison.forEach((copy, i) => {
+            if (copy.offset) {
+                copy.offset.addend.value = offsets[i] - offsets[0];
+            }
+            copy.gain.gain.value = levels[i] * normalise;
+            copy.panner.pan.value = positions[i] * this._unisonSpread;
+        });
+    }
+
+    get unisonDetune() {
+        return this._unisonDetune;
+    }
+
+    set unisonDetune(value) {
+        this._unisonDetune = value;
+        this._updateUnison();
+    }
+
+    get unisonSpread() {
+        return this._unisonSpread;
+    }
+
+    set unisonSpread(value) {
+        this._unisonSpread = value;
+        this._updateUnison();
+    }
+
+    get unisonBlend() {
+        return this._unisonBlend;
+    }
+
+    set unisonBlend(value) {
+        this._unisonBlend = value;
+        this._updateUnison();
+    }
+
+    // Unison copies take the same oscillator settings as Oscillator 1. Detune already
+    // reaches them through Oscillator 1's detune and they keep their own start phases.
+    // Wavetable copies play the table like Oscillator 1, so the placeholder waveform
+    // the voices are built with never reaches them.
+    set(props) {
+        super.set(props);
+        if (props.envelope && props.envelope.attack !== undefined) {
+            this._attackBase = props.envelope.attack;
+        }
+        if (props.oscillator && this._unison && !this._wavetable) {
+            const { detune, phase, ...oscillatorProps } = props.oscillator;
+            this._getUnisonCopies().forEach(oscillator => oscillator.set(oscillatorProps));
+        }
+        return this;
+    }
+
+    _getUnisonCopies() {
+        return this._unison.slice(1).map(copy => copy.oscillator);
+    }
+
+    // The extra sources start and stop with Oscillator 1. Velocity goes through the
+    // velocity curve first, and listeners get the shaped value.
+    _triggerEnvelopeAttack(time, rawVelocity) {
+        const velocity = applyVelocityCurve(rawVelocity);
+        this.envelope.attack = this.toSeconds(this._attackBase) *
+            Math.pow(VELOCITY_ATTACK_RANGE, -velocityResponse.attack * velocity);
+
+        super._triggerEnvelopeAttack(time, velocity);
+        this._getAudibleSources().forEach(source => source.start(time));
+        noteStartListeners.forEach(listener => listener(time, velocity, this));
+
+        // Matches Tone.Synth, which stops a zero-sustain note once it has decayed
+        if (this.envelope.sustain === 0) {
+            const stopTime = time + this.toSeconds(this.envelope.attack) + this.toSeconds(this.envelope.decay);
+            this._getExtraSources().forEach(source => source.stop(stopTime));
+        }
+    }
+
+    _triggerEnvelopeRelease(time) {
+        super._triggerEnvelopeRelease(time);
+        const stopTime = time + this.toSeconds(this.envelope.release);
+        this._getExtraSources().forEach(source => source.stop(stopTime));
+        noteEndListeners.forEach(listener => listener(time, this));
+    }
+
+    _getExtraSources() {
+        return [this.oscillator2, this.subOscillator, this.noise, ...this._getUnisonCopies()];
+    }
+
+    // The extra sources a note starts. One whose mixer level is 0 would only cost CPU,
+    // so it's left stopped; turning it up brings it in from the next note.
+    _getAudibleSources() {
+        const mixed = [
+            [this.oscillator2, this._osc2Gain],
+            [this.subOscillator, this._subGain],
+            [this.noise, this._noiseGain]
+        ];
+        return [
+            ...mixed.filter(([, gain]) => gain.gain.value > 0).map(([source]) => source),
+            ...this._getUnisonCopies()
+        ];
+    }
+
+    dispose() {
+        voiceModulation.detune.disconnect(this.detune);
+        voiceModulation.osc1Level.disconnect(this.osc1Level);
+        super.dispose();
+        [
+            this.oscillator2, this.subOscillator, this.noise,
+            this._osc2Offset, this._subOffset,
+            this._osc1Gain, this._osc2Gain, this._subGain, this._noiseGain
+        ].forEach(node => node.dispose());
+        this._unison.forEach(({ oscillator, offset, gain, panner }) => {
+            if (offset) {
+                oscillator.dispose();
+                offset.dispose();
+            }
+            gain.dispose();
+            panner.dispose();
+        });
+        if (this._unisonCenter) {
+            this._unisonCenter.dispose();
+            this._unisonCenterSend.dispose();
+        }
+        return this;
+    }
+}
+
+// Single-voice version of the main synth for mono and legato playing. It takes the
+// same calls as the PolySynth (note arrays, release by note, releaseAll), so the
+// keyboard, MIDI and sequencer code can drive either one.
+// Held notes are kept in a stack and the priority setting picks the one that sounds.
+// 'mono' retriggers the envelope on every note change; 'legato' only retriggers when
+// no other note is held. Glide only applies between overlapping notes.
+class MonoLayeredSynth extends Instrument {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'MonoLayeredSynth';
+
+        const settings = { ...MonoLayeredSynth.getDefaults(), ...options };
+        this.mode = settings.mode;
+        this.priority = settings.priority;
+        this.glide = settings.glide;
+
+        this.voice = new LayeredSynth({ ...settings.options, context: this.context });
+        this.voice.connect(this.output);
+
+        this._heldNotes = []; // { note, frequency, velocity } in the order they were played
+        this._currentNote = null;
+    }
+
+    static getDefaults() {
+        return Object.assign(Instrument.getDefaults(), {
+            mode: 'mono', // 'mono' or 'legato'
+            priority: 'last', // 'last', 'low' or 'high'
+            glide: 0, // seconds
+            options: {}
+        });
+    }
+
+    triggerAttack(notes, time, velocity = 1) {
+        const computedTime = this.toSeconds(time);
+        this._toArray(notes).forEach(note => {
+            const frequency = Tone.Frequency(note).toFrequency();
+            this._heldNotes = this._heldNotes.filter(held => held.frequency !== frequency);
+            this._heldNotes.push({ note, frequency, velocity });
+        });
+        this._updateVoice(computedTime);
+        return this;
+    }
+
+    triggerRelease(notes, time) {
+        const computedTime = this.toSeconds(time);
+        const frequencies = this._toArray(notes).map(note => Tone.Frequency(note).toFrequency());
+        this._heldNotes = this._heldNotes.filter(held => !frequencies.includes(held.frequency));
+        this._updateVoice(computedTime);
+        return this;
+    }
+
+    // Durations can be an array matching the notes, as with PolySynth
+    triggerAttackRelease(notes, duration, time, velocity) {
+        const computedTime = this.toSeconds(time);
+        this.triggerAttack(notes, computedTime, velocity);
+        this._toArray(notes).forEach((note, index) => {
+            const noteDuration = Array.isArray(duration) ? duration[Math.min(index, duration.length - 1)] : duration;
+            this.triggerRelease(note, computedTime + this.toSeconds(noteDuration));
+        });
+        return this;
+    }
+
+    releaseAll(time) {
+        this._heldNotes = [];
+        this._updateVoice(this.toSeconds(time));
+        return this;
+    }
+
+    // Mode, priority and glide are handled here, everything else goes to the voice.
+    // PolySynth-only options are dropped.
+    set(options) {
+        const { mode, priority, glide, maxPolyphony, voice, ...voiceOptions } = options;
+        if (mode !== undefined) this.mode = mode;
+        if (priority !== undefined) this.priority = priority;
+        if (glide !== undefined) this.glide = glide;
+        this.voice.set(voiceOptions);
+        return this;
+    }
+
+    get() {
+        return { ...this.voice.get(), mode: this.mode, priority: this.priority, glide: this.glide };
+    }
+
+    _toArray(notes) {
+        return Array.isArray(notes) ? notes : [notes];
+    }
+
+    _getPriorityNote() {
+        if (this._heldNotes.length === 0) return null;
+        if (this.priority === 'low') {
+            return this._heldNotes.reduce((low, held) => held.frequency < low.frequency ? held : low);
+        }
+        if (this.priority === 'high') {
+            return this._heldNotes.reduce((high, held) => held.frequency > high.frequency ? held : high);
+        }
+        return this._heldNotes[this._heldNotes.length - 1];
+    }
+
+    // Move the voice to the held note with the highest priority, or release it
+    _updateVoice(time) {
+        const next = this._getPriorityNote();
+        if (!next) {
+            if (this._currentNote) {
+                this.voice.triggerRelease(time);
+                this._currentNote = null;
+            }
+            return;
+        }
+        if (this._currentNote && this._currentNote.frequency === next.frequency) return;
+
+        const overlapping = this._currentNote !== null;
+        this.voice.portamento = overlapping ? this.glide : 0;
+        if (overlapping && this.mode === 'legato') {
+            this.voice.setNote(next.note, time);
+        } else {
+            this.voice.triggerAttack(next.note, time, next.velocity);
+        }
+        this._currentNote = next;
+    }
+
+    dispose() {
+        super.dispose();
+        this.voice.dispose();
+        return this;
+    }
+}
+
+export {
+    MAX_UNISON,
+    LayeredSynth,
+    MonoLayeredSynth,
+    voiceModulation,
+    setVelocityResponse,
+    applyVelocityCurve,
+    onVoiceNoteStart,
+    onVoiceNoteEnd
+};
@@ -398,4 +398,12 @@ export function formatControlValue(controlId, value) {
                 return Math.round(value);
             }
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Tone's build doesn't export its base classes, so modules that extend one take it
+ * from an exported subclass here
+ */
+export const Instrument = Object.getPrototypeOf(Tone.PolySynth);
+export const Source = Object.getPrototypeOf(Tone.Oscillator);
+export const Effect = Object.getPrototypeOf(Tone.Distortion);
@@ -0,0 +1,294 @@
+// Wavetable Module - wavetable oscillator for Oscillator 1
+// A wavetable is a series of single-cycle frames, kept as the harmonic amplitudes of
+// each frame. Every voice plays all frames at once on custom-wave oscillators and the
+// position crossfades between neighbouring frames. The position is one signal shared
+// by all voices, so the LFO and the mod matrix sweep it at audio rate.
+
+import { Source } from './utils.js';
+
+const WAVETABLE_FRAMES = 8; // Every table is resampled to this many frames
+const WAVETABLE_PARTIALS = 128; // Harmonics kept from each frame
+const IMPORT_FRAME_SIZE = 2048; // Samples per cycle in a single WAV holding a whole table
+const BUILT_IN_SAMPLES = 1024; // Samples per cycle when generating the built-in tables
+const POSITION_CURVE_SIZE = 4096;
+
+// Built-in tables, each drawn from a shape that morphs as m goes from 0 to 1
+const WAVETABLES = [
+    {
+        id: 'basic',
+        label: 'Basic Shapes',
+        // Sine -> triangle -> saw -> square
+        sample: (t, m) => {
+            const shapes = [
+                Math.sin(2 * Math.PI * t),
+                1 - 4 * Math.abs(((t + 0.25) % 1) - 0.5),
+                1 - 2 * ((t + 0.5) % 1),
+                t < 0.5 ? 1 : -1
+            ];
+            const segment = Math.min(shapes.length - 2, Math.floor(m * (shapes.length - 1)));
+            const blend = m * (shapes.length - 1) - segment;
+            return shapes[segment] * (1 - blend) + shapes[segment + 1] * blend;
+        }
+    },
+    {
+        id: 'pwm',
+        label: 'Pulse Width',
+        sample: (t, m) => (t < 0.5 - m * 0.45 ? 1 : -1)
+    },
+    {
+        id: 'sync',
+        label: 'Hard Sync',
+        // A saw restarting every cycle at 1 to 6 times the note's frequency
+        sample: (t, m) => 1 - 2 * ((t * (1 + m * 5)) % 1)
+    },
+    {
+        id: 'harmonics',
+        label: 'Harmonic Sweep',
+        // Adds harmonics one octave at a time, from a sine up to a bright saw
+        partials: m => {
+            const count = Math.pow(2, m * Math.log2(WAVETABLE_PARTIALS));
+            return Array.from({ length: WAVETABLE_PARTIALS }, (_, i) => (
+                Math.max(0, Math.min(1, count - i)) / (i + 1)
+            ));
+        }
+    }
+];
+
+// Harmonic amplitudes of one cycle. The phases are dropped: frames in sine phase
+// crossfade without the cancellation that mismatched phases would cause.
+function getCyclePartials(samples) {
+    const length = samples.length;
+    const partialCount = Math.min(WAVETABLE_PARTIALS, Math.floor(length / 2));
+    const partials = new Array(WAVETABLE_PARTIALS).fill(0);
+
+    for (let harmonic = 1; harmonic <= partialCount; harmonic++) {
+        let real = 0;
+        let imaginary = 0;
+        for (let i = 0; i < length; i++) {
+            const angle = 2 * Math.PI * harmonic * i / length;
+            real += samples[i] * Math.cos(angle);
+            imaginary += samples[i] * Math.sin(angle);
+        }
+        partials[harmonic - 1] = 2 * Math.sqrt(real * real + imaginary * imaginary) / length;
+    }
+
+    // The oscillators normalise each wave, so scale the loudest harmonic to 1 for storage
+    const peak = Math.max(...partials);
+    return partials.map(value => (peak > 0 ? Math.round(value / peak * 10000) / 10000 : 0));
+}
+
+// Frames at evenly spaced points of a table, interpolating when the table has fewer
+function getFramesAt(frameCount, getFrame) {
+    return Array.from({ length: WAVETABLE_FRAMES }, (_, i) => {
+        const position = frameCount > 1 ? i / (WAVETABLE_FRAMES - 1) * (frameCount - 1) : 0;
+        const index = Math.floor(position);
+        const blend = position - index;
+        if (blend === 0 || index + 1 >= frameCount) {
+            return getFrame(Math.min(index, frameCount - 1));
+        }
+        const from = getFrame(index);
+        const to = getFrame(index + 1);
+        return from.map((value, partial) => value * (1 - blend) + to[partial] * blend);
+    });
+}
+
+const builtInFrames = new Map(); // Tables are generated the first time they're used
+
+function getBuiltInFrames(id) {
+    const table = WAVETABLES.find(entry => entry.id === id) || WAVETABLES[0];
+    if (!builtInFrames.has(table.id)) {
+        builtInFrames.set(table.id, Array.from({ length: WAVETABLE_FRAMES }, (_, i) => {
+            const m = i / (WAVETABLE_FRAMES - 1);
+            if (table.partials) {
+                return table.partials(m);
+            }
+            const samples = Array.from({ length: BUILT_IN_SAMPLES }, (_, n) => table.sample(n / BUILT_IN_SAMPLES, m));
+            return getCyclePartials(samples);
+        }));
+    }
+    return builtInFrames.get(table.id);
+}
+
+// Sample rate from a WAV header. Decoding resamples to the audio context's rate, and
+// this tells how long each cycle was in the file.
+function getWavSampleRate(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    const isRiff = view.byteLength >= 28 && view.getUint32(0, false) === 0x52494646; // 'RIFF'
+    return isRiff ? view.getUint32(24, true) : null;
+}
+
+// Build a table from WAV files: several files are one cycle each, in file name order;
+// a single file is either one cycle or a run of 2048-sample cycles.
+async function importWavetableFiles(files) {
+    const list = Array.from(files).sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    const cycles = [];
+
+    for (const file of list) {
+        const arrayBuffer = await file.arrayBuffer();
+        const fileRate = getWavSampleRate(arrayBuffer);
+        const buffer = await Tone.getContext().decodeAudioData(arrayBuffer);
+        const samples = buffer.getChannelData(0);
+
+        const fileLength = fileRate ? Math.round(samples.length * fileRate / buffer.sampleRate) : samples.length;
+        const frameCount = fileLength / IMPORT_FRAME_SIZE;
+        if (list.length === 1 && frameCount > 1 && Number.isInteger(frameCount)) {
+            const frameLength = samples.length / frameCount;
+            for (let i = 0; i < frameCount; i++) {
+                cycles.push(samples.subarray(Math.round(i * frameLength), Math.round((i + 1) * frameLength)));
+            }
+        } else if (samples.length > 0) {
+            cycles.push(samples);
+        }
+    }
+
+    if (cycles.length === 0) {
+        throw new Error('No audio found in the selected files');
+    }
+
+    // Only the cycles that end up in the table are analysed
+    const analysed = new Map();
+    const getFrame = index => {
+        if (!analysed.has(index)) {
+            analysed.set(index, getCyclePartials(cycles[index]));
+        }
+        return analysed.get(index);
+    };
+    const frames = cycles.length > WAVETABLE_FRAMES
+        ? getFramesAt(WAVETABLE_FRAMES, i => getFrame(Math.round(i / (WAVETABLE_FRAMES - 1) * (cycles.length - 1))))
+        : getFramesAt(cycles.length, getFrame);
+
+    return {
+        name: list.length === 1 ? list[0].name.replace(/\.wav$/i, '') : `${list.length} cycles`,
+        frames
+    };
+}
+
+// Module state
+let currentFrames = getBuiltInFrames(WAVETABLES[0].id);
+let importedTable = null; // { name, frames } from a WAV import or a preset
+const liveOscillators = new Set();
+
+// Select the table new and playing voices use: a built-in id, or 'custom' for the
+// imported table. Returns false when 'custom' is asked for and nothing is imported.
+function setWavetable(id) {
+    if (id === 'custom' && !importedTable) return false;
+    currentFrames = id === 'custom' ? importedTable.frames : getBuiltInFrames(id);
+    liveOscillators.forEach(oscillator => oscillator.setFrames(currentFrames));
+    return true;
+}
+
+function setImportedWavetable(table) {
+    importedTable = table;
+}
+
+function getImportedWavetable() {
+    return importedTable;
+}
+
+// Harmonics of the current table at a position, for sources that play a single wave
+function getWavetablePartials(position) {
+    const scaled = Math.max(0, Math.min(1, position)) * (WAVETABLE_FRAMES - 1);
+    const index = Math.min(WAVETABLE_FRAMES - 2, Math.floor(scaled));
+    const blend = scaled - index;
+    return currentFrames[index].map((value, partial) => (
+        value * (1 - blend) + currentFrames[index + 1][partial] * blend
+    ));
+}
+
+// Shared position, 0..1 across the table. Each frame's level comes from a shaper
+// that turns the position into a triangular window around that frame.
+const wavetablePosition = new Tone.Signal(0);
+const frameLevels = Array.from({ length: WAVETABLE_FRAMES }, (_, frame) => {
+    const shaper = new Tone.WaveShaper(value => {
+        const position = Math.max(0, Math.min(1, value)) * (WAVETABLE_FRAMES - 1);
+        return Math.max(0, 1 - Math.abs(position - frame));
+    }, POSITION_CURVE_SIZE);
+    wavetablePosition.connect(shaper);
+    return shaper;
+});
+
+// Oscillator that plays the current wavetable. It has the frequency and detune
+// signals of Tone's oscillators, so Tone.Synth can play it in place of its own.
+class WavetableOscillator extends Source {
+    constructor(options = {}) {
+        // Source reads its volume and callbacks straight from the options, so it gets the defaults too
+        const settings = { ...WavetableOscillator.getDefaults(), ...options };
+        super(settings);
+        this.name = 'WavetableOscillator';
+
+        this.frequency = new Tone.Signal({ context: this.context, units: 'frequency', value: settings.frequency });
+        this.detune = new Tone.Signal({ context: this.context, units: 'cents', value: settings.detune });
+
+        this._frames = currentFrames.map((partials, i) => {
+            const oscillator = new Tone.Oscillator({
+                context: this.context,
+                type: 'custom',
+                partials,
+                phase: settings.phase
+            });
+            const level = new Tone.Gain({ context: this.context, gain: 0 });
+            this.frequency.connect(oscillator.frequency);
+            this.detune.connect(oscillator.detune);
+            oscillator.chain(level, this.output);
+            frameLevels[i].connect(level.gain);
+            // The frames start and stop together, so the first one reports the stop
+            if (i === 0) oscillator.onstop = () => this.onstop(this);
+            return { oscillator, level };
+        });
+
+        liveOscillators.add(this);
+    }
+
+    static getDefaults() {
+        return Object.assign(Source.getDefaults(), {
+            frequency: 440,
+            detune: 0,
+            phase: 0
+        });
+    }
+
+    setFrames(frames) {
+        this._frames.forEach(({ oscillator }, i) => {
+            oscillator.partials = frames[i];
+        });
+    }
+
+    _start(time) {
+        this._frames.forEach(({ oscillator }) => oscillator.start(time));
+    }
+
+    _stop(time) {
+        this._frames.forEach(({ oscillator }) => oscillator.stop(time));
+    }
+
+    _restart(time) {
+        this._frames.forEach(({ oscillator }) => oscillator.restart(time));
+    }
+
+    dispose() {
+        super.dispose();
+        liveOscillators.delete(this);
+        this._frames.forEach(({ oscillator, level }, i) => {
+            frameLevels[i].disconnect(level.gain);
+            oscillator.dispose();
+            level.dispose();
+        });
+        this.frequency.dispose();
+        this.detune.dispose();
+        return this;
+    }
+}
+
+// Export the necessary functions and variables
+export {
+    WAVETABLES,
+    WAVETABLE_FRAMES,
+    WAVETABLE_PARTIALS,
+    WavetableOscillator,
+    wavetablePosition,
+    setWavetable,
+    setImportedWavetable,
+    getImportedWavetable,
+    getWavetablePartials,
+    importWavetableFiles
+};